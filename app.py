@@ -1,9 +1,15 @@
-from flask import Flask, jsonify, send_from_directory
+from flask import Flask, jsonify, request, send_from_directory
+from functools import wraps
 import json
 import os
+import re
+import unicodedata
 
 app = Flask(__name__, static_folder='static', template_folder='templates')
 
+ALL_CUISINES = "All cuisines"  # Pseudo-cuisine served by /api/heb/<cuisine>: every cuisine merged
+CUISINE_WEIGHTINGS = ("sum", "equal")  # How merge_cuisines combines the cuisines' counts
+
 # --- Keep your load_heb_data function ---
 def load_heb_data():
     """Helper function to load and cache HEB data"""
@@ -21,6 +27,186 @@ def load_heb_data():
         raise Exception(f"Error reading heb_data.json: {e}")
 
 
+def cached_on_data_version(loader):
+    """Decorator reusing a loader's result until get_data_version() changes (the recipe file is
+    large, and re-parsing it on every request is slow)"""
+    cache = {}
+
+    @wraps(loader)
+    def cached_loader():
+        version = get_data_version()
+        if cache.get("version") != version:
+            cache["value"] = loader()
+            cache["version"] = version
+        return cache["value"]
+    return cached_loader
+
+
+@cached_on_data_version
+def load_recipe_counts():
+    """Helper function to count recipes per cuisine (lowercased name -> count)
+
+    heb_data.json only stores ingredient and pair counts, but association metrics
+    (lift, PMI, ...) need the number of recipes as the denominator.
+    """
+    counts = {}
+    try:
+        with open('clean_recipes_with_ingredients.json', 'r', encoding='utf-8') as f:
+            for line in f:  # One JSON recipe per line
+                line = line.strip()
+                if not line:
+                    continue
+                cuisine = json.loads(line).get("cuisine")
+                if cuisine:
+                    counts[cuisine.lower()] = counts.get(cuisine.lower(), 0) + 1
+    except FileNotFoundError:
+        print("Warning: 'clean_recipes_with_ingredients.json' not found. Recipe counts unavailable.")
+    except json.JSONDecodeError as e:
+        print(f"Warning: Invalid JSON in clean_recipes_with_ingredients.json: {e}")
+    return counts
+
+
+@cached_on_data_version
+def load_recipes():
+    """Helper function to load the recipes (title, ingredients, cuisine), one JSON recipe per line
+
+    Each recipe also gets "ingredient_keys": its distinct ingredients mapped to their normalized
+    names, so pantry queries don't normalize the same recipe ingredients again.
+    """
+    recipes = []
+    try:
+        with open('clean_recipes_with_ingredients.json', 'r', encoding='utf-8') as f:
+            for line in f:
+                line = line.strip()
+                if not line:
+                    continue
+                recipe = json.loads(line)
+                if recipe.get("ingredients"):
+                    recipe["ingredient_keys"] = {name: normalize_ingredient(name) for name in recipe["ingredients"]}
+                    recipes.append(recipe)
+    except FileNotFoundError:
+        raise Exception("Recipe file not found at 'clean_recipes_with_ingredients.json'")
+    except json.JSONDecodeError as e:
+        raise Exception(f"Invalid JSON format in clean_recipes_with_ingredients.json: {e}")
+    return recipes
+
+
+def singular_word(word):
+    """Drop a plural ending ("tomatoes" -> "tomato", "berries" -> "berry", "onions" -> "onion")"""
+    if len(word) > 3 and word.endswith("ies"):
+        return word[:-3] + "y"
+    if len(word) > 3 and word.endswith(("oes", "ches", "shes", "xes", "sses")):
+        return word[:-2]
+    if len(word) > 3 and word.endswith("s") and not word.endswith("ss"):
+        return word[:-1]
+    return word
+
+
+def normalize_ingredient(name):
+    """Lowercase, strip accents and punctuation, and singularize each word (so "Tomatoes" matches "tomato")"""
+    text = unicodedata.normalize("NFD", str(name).lower())
+    text = "".join(ch for ch in text if not unicodedata.combining(ch))
+    return " ".join(singular_word(word) for word in re.sub(r"[^a-z]+", " ", text).split())
+
+
+def pantry_covers(item, ingredient):
+    """True if a normalized pantry item is the head (last words) of a normalized recipe ingredient
+    ("peanut butter" covers "smooth peanut butter", "garlic" does not cover "garlic salt")"""
+    return bool(item) and (ingredient == item or ingredient.endswith(f" {item}"))
+
+
+def assign_pantry_items(keys, ingredient_keys):
+    """Recipe ingredient -> pantry item standing for it, each pantry item used at most once
+
+    keys maps pantry items to their normalized names, ingredient_keys recipe ingredients to
+    theirs. Exact names claim their pantry item first, then the remaining items go to the first
+    ingredient they cover ("garlic" is not both the garlic and the roasted garlic of a recipe).
+    """
+    assigned, used = {}, set()
+    for exact in (True, False):
+        for ingredient, ingredient_key in ingredient_keys.items():
+            if ingredient in assigned:
+                continue
+            item = next((item for item, key in keys.items() if item not in used and (
+                (key and key == ingredient_key) if exact else pantry_covers(key, ingredient_key))), None)
+            if item is not None:
+                assigned[ingredient] = item
+                used.add(item)
+    return assigned
+
+
+def merge_cuisines(data, recipe_counts, weighting="sum"):
+    """Merge the hierarchy and links of every cuisine into one pseudo-cuisine
+
+    Occurrences and co-occurrences are summed over the cuisines. With weighting "equal" each
+    cuisine's counts are first scaled to the mean recipe count, so the largest cuisines don't
+    dominate (the weighted totals still add up to the number of recipes). Every ingredient and
+    link keeps a "cuisines" breakdown of its unweighted per-cuisine counts.
+    """
+    cuisines = [c for c in data["hierarchy"]["children"] if "name" in c]
+    names_by_key = {c["name"].lower(): c["name"] for c in cuisines}
+    known_counts = [recipe_counts[key] for key in names_by_key if recipe_counts.get(key)]
+    mean_recipes = sum(known_counts) / len(known_counts) if known_counts else None
+
+    def weight(cuisine):
+        count = recipe_counts.get(cuisine.lower())
+        if weighting != "equal" or not count or not mean_recipes:
+            return 1  # Cuisines without a recipe count keep their raw counts
+        return mean_recipes / count
+
+    def rounded(value):
+        return round(value, 2) if weighting == "equal" else value
+
+    ingredients = {}  # Ingredient -> {"value": weighted sum, "cuisines": {cuisine: count}}
+    for cuisine in cuisines:
+        cuisine_weight = weight(cuisine["name"])
+        for child in cuisine.get("children", []):
+            if "name" not in child:
+                continue
+            entry = ingredients.setdefault(child["name"], {"value": 0, "cuisines": {}})
+            entry["value"] += child.get("value", 0) * cuisine_weight
+            entry["cuisines"][cuisine["name"]] = entry["cuisines"].get(cuisine["name"], 0) + child.get("value", 0)
+
+    pairs = {}  # (source, target) in sorted order -> {"value": weighted sum, "cuisines": {cuisine: count}}
+    for link in data["links"]:
+        cuisine = names_by_key.get(str(link.get("cuisine", "")).lower())
+        if not cuisine:
+            continue
+        entry = pairs.setdefault(tuple(sorted((link["source"], link["target"]))), {"value": 0, "cuisines": {}})
+        entry["value"] += link["value"] * weight(cuisine)
+        entry["cuisines"][cuisine] = entry["cuisines"].get(cuisine, 0) + link["value"]
+
+    recipe_total = sum(recipe_counts.get(key, 0) for key in names_by_key)
+    return {
+        "hierarchy": {
+            "name": ALL_CUISINES,
+            "children": [
+                {"name": name, "value": rounded(entry["value"]), "cuisines": entry["cuisines"]}
+                for name, entry in sorted(ingredients.items())
+            ]
+        },
+        "links": [
+            {"source": source, "target": target, "value": rounded(entry["value"]), "cuisine": ALL_CUISINES, "cuisines": entry["cuisines"]}
+            for (source, target), entry in sorted(pairs.items())
+        ],
+        "recipe_count": recipe_total or None,
+        "weighting": weighting,
+        "cuisine_count": len(cuisines)
+    }
+
+
+def get_data_version():
+    """Version of the data files (changes whenever one is rewritten), used by client-side caches"""
+    parts = []
+    for path in ('data/heb_data.json', 'clean_recipes_with_ingredients.json'):
+        try:
+            stat = os.stat(path)
+            parts.append(f"{int(stat.st_mtime)}-{stat.st_size}")
+        except OSError:
+            parts.append("missing")
+    return "_".join(parts)
+
+
 @app.route('/')
 def home():
     """Serve the main HTML page"""
@@ -45,17 +231,29 @@ def get_cuisines():
         # Optional: Sort the list alphabetically
         cuisine_names.sort()
         
-        return jsonify(cuisine_names)
+        # Every cuisine merged (served by /api/heb/<ALL_CUISINES>), listed first
+        return jsonify([ALL_CUISINES] + cuisine_names)
 
     except Exception as e:
         # Log the error for debugging on the server
         print(f"Error in /api/cuisines: {e}")
         return jsonify({"error": f"Failed to load cuisine list: {e}"}), 500
 
+# --- Data version: the browser drops cached cuisine data when it changes ---
+@app.route('/api/version')
+def get_version():
+    """Endpoint with the current data version"""
+    return jsonify({"version": get_data_version()})
+
 # --- Keep your existing route for specific cuisine data ---
 @app.route('/api/heb/<cuisine>')
 def get_heb(cuisine):
-    """Generic endpoint for specific cuisine HEB data"""
+    """Generic endpoint for specific cuisine HEB data
+
+    "All cuisines" merges every cuisine; its optional weighting parameter is "sum"
+    (default: counts added up) or "equal" (each cuisine weighted as if it had the mean
+    number of recipes).
+    """
     try:
         data = load_heb_data()
 
@@ -64,6 +262,12 @@ def get_heb(cuisine):
         if "links" not in data:
              return jsonify({"error": "Invalid data structure: Missing 'links'"}), 500
 
+        if cuisine.lower() == ALL_CUISINES.lower():
+            weighting = request.args.get("weighting", "sum")
+            if weighting not in CUISINE_WEIGHTINGS:
+                return jsonify({"error": f"Unknown weighting '{weighting}' (use one of: {', '.join(CUISINE_WEIGHTINGS)})"}), 400
+            return jsonify(merge_cuisines(data, load_recipe_counts(), weighting))
+
         # Find the requested cuisine (case-insensitive comparison)
         cuisine_node = next(
             (c for c in data["hierarchy"]["children"] if "name" in c and c["name"].lower() == cuisine.lower()),
@@ -94,14 +298,91 @@ def get_heb(cuisine):
         return jsonify({
             # Return only the relevant part of the hierarchy for the specific cuisine
             "hierarchy": cuisine_node,
-            "links": cuisine_links
+            "links": cuisine_links,
+            # Number of recipes behind the counts (None if the recipe file is missing)
+            "recipe_count": load_recipe_counts().get(cuisine.lower())
         })
 
     except Exception as e:
         print(f"Error in /api/heb/{cuisine}: {e}") # Log error server-side
         # Be careful about sending raw exception messages to the client in production
         return jsonify({"error": f"An internal error occurred: {e}"}), 500
-    
+
+# --- Pantry matcher: recipes ranked by how much of their ingredient list the pantry covers ---
+@app.route('/api/pantry')
+def get_pantry_matches():
+    """Endpoint ranking recipes by pantry coverage
+
+    Query parameters: ingredients (comma-separated pantry items), cuisine (optional filter
+    for the recipe list; the per-cuisine breakdown always covers every cuisine) and
+    limit (recipes returned, default 50, at most 200).
+    """
+    pantry = list(dict.fromkeys(item.strip() for item in request.args.get("ingredients", "").split(",") if item.strip()))
+    if not pantry:
+        return jsonify({"error": "No pantry ingredients given (use ?ingredients=a,b,...)"}), 400
+    cuisine_filter = request.args.get("cuisine", "").strip().lower()
+    limit = max(1, min(request.args.get("limit", 50, type=int), 200))
+
+    try:
+        recipes = load_recipes()
+        keys = {item: normalize_ingredient(item) for item in pantry}
+        covered = {item: set() for item in pantry}  # Recipe ingredient names each pantry item stands for
+        matches = []
+        cuisines = {}  # Cuisine -> { recipes, complete, coverage_sum }
+
+        for recipe in recipes:
+            ingredients = recipe["ingredient_keys"]  # Ingredients listed twice count once
+            assigned = assign_pantry_items(keys, ingredients)
+            have, missing = [], []
+            for ingredient in ingredients:
+                if ingredient in assigned:
+                    covered[assigned[ingredient]].add(ingredient)
+                (have if ingredient in assigned else missing).append(ingredient)
+            if not have:
+                continue
+
+            coverage = len(have) / len(ingredients)
+            cuisine = recipe.get("cuisine") or "Unknown"
+            stats = cuisines.setdefault(cuisine, {"recipes": 0, "complete": 0, "coverage_sum": 0.0})
+            stats["recipes"] += 1
+            stats["complete"] += not missing
+            stats["coverage_sum"] += coverage
+
+            if cuisine_filter and cuisine.lower() != cuisine_filter:
+                continue
+            matches.append({
+                "title": recipe.get("title", "Untitled recipe"),
+                "cuisine": cuisine,
+                "coverage": round(coverage, 4),
+                "have": have,
+                "missing": missing
+            })
+
+        # Best coverage first, then the fewest ingredients to buy
+        matches.sort(key=lambda r: (-r["coverage"], len(r["missing"]), r["title"]))
+        breakdown = sorted(
+            ({
+                "cuisine": name,
+                "recipes": stats["recipes"],
+                "complete": stats["complete"],
+                "mean_coverage": round(stats["coverage_sum"] / stats["recipes"], 4)
+            } for name, stats in cuisines.items()),
+            key=lambda c: (-c["complete"], -c["recipes"], c["cuisine"])
+        )
+
+        return jsonify({
+            "pantry": [{"item": item, "ingredients": sorted(covered[item])} for item in pantry],
+            "unknown": [item for item in pantry if not covered[item]],  # Pantry items no recipe uses
+            "cuisine": cuisine_filter or None,
+            "total": len(matches),
+            "recipes": matches[:limit],
+            "cuisines": breakdown
+        })
+
+    except Exception as e:
+        print(f"Error in /api/pantry: {e}")
+        return jsonify({"error": f"An internal error occurred: {e}"}), 500
+
 
 # --- Keep your main execution block ---
 if __name__ == '__main__':
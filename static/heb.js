@@ -1,7 +1,8 @@
 /**
  * /static/heb.js
  * Main D3.js script for ingredient visualization dashboard.
- * Includes: HEB, Top Ingredients Bar, Top Pairs Bar, Adjacency Matrix (Top 15)
+ * Includes: HEB, Top Ingredients Bar, Top Pairs Bar, Adjacency Matrix, Force Network, Chord Diagram,
+ * Signature Ingredients, Cuisine Similarity Map
  */
 document.addEventListener('DOMContentLoaded', () => {
     console.log("DOM Loaded. Initializing Visualization...");
@@ -13,12 +14,6 @@ document.addEventListener('DOMContentLoaded', () => {
     const searchInput = d3.select("#search-input");
     const clearHighlightButton = d3.select("#clear-highlight-button");
     const vizHeight = Math.min(700, window.innerHeight * 0.8);
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10); // Color scale for nodes/categories
-    const lineColors = [ // Specific colors for HEB links
-        "#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd",
-        "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf",
-        "#aec7e8", "#ffbb78", "#98df8a", "#ff9896", "#c5b0d5"
-    ];
     // Margins for different charts
     const barChartMargin = { top: 30, right: 30, bottom: 120, left: 180 };
     const pairBarChartMargin = { top: 30, right: 30, bottom: 120, left: 200 };
@@ -27,42 +22,351 @@ document.addEventListener('DOMContentLoaded', () => {
     const matrixMargin = { top: 40, right: 40, bottom: 40, left: 180 };
     const initialHebScale = 0.9; // Initial zoom scale for HEB
     const hebVerticalOffset = 0; // Vertical offset for HEB center
-    const MATRIX_TOP_N = 15; // Number of top ingredients for the Adjacency Matrix
+    const MATRIX_TOP_N = 15; // Default number of top ingredients for the Adjacency Matrix
+    const MATRIX_CANVAS_THRESHOLD = 40; // Larger matrices draw their cells on a canvas with zoom/pan, lens and minimap
+    const HEB_CANVAS_LINK_THRESHOLD = 1000; // HEBs with more links paint them on a canvas (hit-tested with a quadtree)
+    const HEB_LEGEND_LINKS_WIDTH = 200; // Width of the link encodings in the on-screen HEB legend (fits .heb-legend)
+    const HEB_CANVAS_FLATTEN_STEP = 4; // Max spacing (layout px) of the points sampled along canvas HEB links
+    const HEB_CANVAS_HIT_TOLERANCE = 5; // Hover distance (screen px) from the pointer to a canvas HEB link
+    const MATRIX_MINIMAP_SIZE = 120; // Side of the canvas matrix's overview, in px
+    const MATRIX_LENS_FOCUS_SIZE = 14; // Row/column size (px) the fisheye lens magnifies to at its focus
+    const MATRIX_LABEL_MIN_BAND = 3; // Canvas matrix rows/columns thinner than this (px) get no label
+    const CHART_TRANSITION_MS = 750; // Updates between data (new cuisine, settings) animate; resizes relayout at once
+    const MATRIX_REORDER_STAGGER_MS = 600; // A matrix reorder spreads the start of each row (then column) move over this
+    const BAR_TOP_N = 20; // Ingredients shown in the Top Ingredients chart
+    const PAIRS_TOP_N = 20; // Pairs shown in the Top Pairs chart
+    const HEB_MIN_VALUE_SLIDER_CAP = 50; // Upper bound for the min co-occurrence slider on very dense cuisines
+    const COMPARE_TOP_N = 20; // Ingredients/pairs shown in the compare bar charts
+    const compareColors = { a: "#1f77b4", b: "#ff7f0e" }; // Cuisine A / cuisine B in compare mode
+    const DETAILS_TOP_PARTNERS = 10; // Number of co-occurrence partners listed per pinned ingredient
+    const SEARCH_SUGGESTIONS_MAX = 8; // Entries in the search box's autocomplete list
+    const PANTRY_RECIPES_LIMIT = 30; // Recipes listed by the pantry matcher
+    const PANTRY_TOP_PARTNERS = 3; // Strongest HEB partners highlighted per pantry ingredient
+    const SUBSTITUTES_TOP_N = 8; // Substitute candidates listed for an ingredient
+    const SUBSTITUTES_MIN_SHARED = 3; // Candidates need at least this many partners in common with the ingredient
+    const SUBSTITUTES_SHARED_SHOWN = 4; // Shared partners listed to justify each candidate
+    const NETWORK_MAX_NODES = 100; // Most frequent linked ingredients drawn by the Force Network
+    const NETWORK_MIN_VALUE_SLIDER_CAP = 100; // Upper bound for the network's strength threshold slider
+    const CHORD_TOP_N = 20; // Default number of most frequent ingredients in the per-ingredient Chord Diagram
+    const CHORD_LABEL_SPACE = 90; // Room (px) left around the chord circle for its labels
+    const SIGNATURE_TOP_N = 20; // Ingredients shown in the Signature Ingredients chart
+    const SIGNATURE_MIN_RECIPES = 3; // Signature ingredients appear in at least this many of the cuisine's recipes
+    const SIGNATURE_Z = 1.96; // Normal quantile of the signature scores' 95% confidence interval
+    const COMPARE_CHART_TYPES = ['bar', 'pairs-bar', 'matrix']; // Charts drawing cuisine A vs B in compare mode (the others show A)
+    // Chart type -> button ID (used when switching charts programmatically)
+    const CHART_BUTTON_IDS = { 'heb': 'heb-button', 'bar': 'bar-button', 'pairs-bar': 'pairs-bar-button', 'matrix': 'matrix-button', 'network': 'network-button', 'chord': 'chord-button', 'signature': 'signature-button' };
+    const CHART_LABELS = { 'heb': 'Edge Bundling', 'bar': 'Top Ingredients', 'pairs-bar': 'Top Pairs', 'matrix': 'Adj. Matrix', 'network': 'Force Network', 'chord': 'Chord Diagram', 'signature': 'Signature Ingredients' };
+    // Association metrics for an ingredient pair (A, B): co = recipes with both, ca/cb = recipes with A/B, n = recipes.
+    // 'conditional' is directional (P(B|A)); the others are symmetric. 'diverging' metrics can be negative.
+    const PAIR_METRICS = {
+        count: { label: "Co-occurrence Count", format: ",.0f", compute: ({ co }) => co },
+        lift: { label: "Lift", format: ".2f", compute: ({ co, ca, cb, n }) => (co * n) / (ca * cb) },
+        pmi: { label: "PMI (bits)", format: ".2f", diverging: true, compute: ({ co, ca, cb, n }) => Math.log2((co * n) / (ca * cb)) },
+        npmi: {
+            label: "NPMI", format: ".2f", diverging: true,
+            compute: ({ co, ca, cb, n }) => {
+                const pJoint = Math.min(1, co / n);
+                if (pJoint >= 1) return 1; // Pair appears in every recipe: perfect association
+                return Math.log2((co * n) / (ca * cb)) / -Math.log2(pJoint);
+            }
+        },
+        jaccard: { label: "Jaccard Index", format: ".3f", compute: ({ co, ca, cb }) => co / (ca + cb - co) },
+        conditional: { label: "P(B|A)", format: ".2f", directional: true, compute: ({ co, ca }) => Math.min(1, co / ca) }
+    };
+    // Ingredient taxonomy for the HEB's middle hierarchy level (cuisine -> group -> ingredient).
+    // An ingredient joins the group of the LONGEST keyword found in its name as whole words (plural
+    // -s/-es allowed), so "garlic powder" is a spice and "peanut butter" a nut; ties go to the earlier group.
+    // Names matching no keyword fall into the 'other' group.
+    const INGREDIENT_TAXONOMY = [
+        { key: 'produce', label: "Vegetables & fruit", color: "#2ca02c", keywords: [
+            "onion", "garlic", "garlic clove", "cloves garlic", "shallot", "leek", "scallion", "green onion", "spring onion", "chive",
+            "tomato", "cherry tomato", "potato", "sweet potato", "yam", "carrot", "celery", "bell pepper", "jalapeno", "serrano",
+            "chile", "chili", "chilies", "chiles", "green chili", "poblano", "habanero", "spinach", "kale", "lettuce", "arugula", "cabbage",
+            "bok choy", "mushroom", "zucchini", "eggplant", "aubergine", "cucumber", "squash", "pumpkin", "broccoli", "cauliflower",
+            "asparagus", "artichoke", "artichoke hearts", "corn", "peas", "snow peas", "green beans", "okra", "beet", "radish",
+            "turnip", "parsnip", "fennel bulb", "avocado", "olive", "plantain", "cassava", "ginger", "lemongrass", "bean sprouts",
+            "lemon", "lime", "orange", "grapefruit", "apple", "pear", "banana", "mango", "pineapple", "papaya", "peach", "apricot",
+            "plum", "cherry", "cherries", "berry", "berries", "strawberry", "strawberries", "raspberry", "raspberries", "blueberry",
+            "blueberries", "cranberry", "cranberries", "grape", "fig", "date", "raisin", "currant", "pomegranate", "rhubarb",
+            "zest", "peel", "lemon juice", "lime juice", "orange juice", "sundried tomato", "pickle", "sauerkraut", "kimchi", "swiss chard", "collard greens", "greens", "watercress",
+            "purslane", "daikon", "jicama", "rutabaga", "kohlrabi", "tomatillo", "bamboo shoots", "yuca", "bitter melon", "pea pods",
+            "galangal", "seaweed", "nori", "wakame", "kombu", "culantro", "recao", "pimento", "horseradish", "cornichons", "vegetables",
+            "coleslaw mix", "fruit", "quince", "kiwi", "kiwifruit", "tangerine", "prune", "barberries", "lingonberries", "tamarind",
+            "calamansi", "applesauce"
+        ] },
+        { key: 'herbs', label: "Herbs & spices", color: "#8c564b", keywords: [
+            "salt", "kosher salt", "sea salt", "pepper", "black pepper", "white pepper", "peppercorn", "cumin", "paprika",
+            "smoked paprika", "cinnamon", "nutmeg", "clove", "allspice", "cardamom", "turmeric", "saffron", "coriander", "cayenne",
+            "chili powder", "chili flakes", "red pepper flakes", "crushed red pepper", "curry", "curry powder", "garam masala",
+            "masala", "ground ginger", "ginger powder", "garlic powder", "garlic granules", "garlic salt", "onion powder",
+            "mustard powder", "mustard seed", "fennel seed", "caraway", "anise", "star anise", "fenugreek", "sumac", "za atar",
+            "five spice", "seasoning", "italian seasoning", "herbes de provence", "bay leaf", "bay leaves", "oregano", "basil",
+            "basil leaves", "thyme", "rosemary", "parsley", "cilantro", "dill", "mint", "sage", "sage leaves", "tarragon",
+            "marjoram", "herb", "herbs", "msg", "bouquet garni", "vanilla bean", "mace", "mixed spice", "pickling spice", "mahleb", "mahlab",
+            "asafoetida", "annatto", "achiote", "file powder", "gumbo file", "furikake", "togarashi", "gochugaru", "savory",
+            "monosodium glutamate"
+        ] },
+        { key: 'dairy', label: "Dairy & eggs", color: "#1f77b4", keywords: [
+            "milk", "butter", "cream", "heavy cream", "whipping cream", "sour cream", "cream cheese", "cheese", "yogurt",
+            "buttermilk", "ghee", "egg", "egg yolk", "egg white", "parmesan", "parmigiano", "mozzarella", "ricotta",
+            "mascarpone", "feta", "cheddar", "gruyere", "provolone", "pecorino", "gorgonzola", "asiago", "monterey jack",
+            "halloumi", "paneer", "queso", "cotija", "kefir", "labneh", "curd", "half and half", "evaporated milk",
+            "condensed milk", "sweetened condensed milk", "creme fraiche", "whipped cream", "ice cream", "quark", "rennet",
+            "creamer", "half half"
+        ] },
+        { key: 'protein', label: "Meat & seafood", color: "#d62728", keywords: [
+            "chicken", "chicken breast", "chicken thigh", "beef", "ground beef", "steak", "sirloin", "ribeye", "brisket", "veal",
+            "pork", "pork loin", "pork chop", "lamb", "mutton", "goat", "turkey", "duck", "bacon", "pancetta", "ham", "prosciutto",
+            "salami", "pepperoni", "capicola", "chorizo", "sausage", "meatball", "ribs", "short ribs", "fish", "white fish",
+            "salmon", "tuna", "cod", "tilapia", "halibut", "trout", "sardine", "anchovy", "anchovies", "shrimp", "prawn", "crab",
+            "lobster", "scallop", "mussel", "clam", "oyster", "squid", "calamari", "octopus", "meat", "rotisserie chicken",
+            "crabmeat", "crawfish", "catfish", "snapper", "sea bass", "whitefish", "monkfish", "sole fillets", "mackerel", "smelt",
+            "walleye", "milkfish", "bonito", "caviar", "kielbasa", "bratwurst", "linguica", "chourico", "bologna", "oxtail", "roast",
+            "tenderloin", "filet mignon", "rabbit", "chitterlings", "fillets"
+        ] },
+        { key: 'grains', label: "Grains, pasta & bread", color: "#ff7f0e", keywords: [
+            "flour", "all purpose flour", "bread flour", "cake flour", "semolina", "cornmeal", "polenta", "rice", "arborio rice",
+            "basmati", "jasmine rice", "oats", "oatmeal", "barley", "bulgur", "couscous", "quinoa", "farro", "wheat berries",
+            "pasta", "spaghetti", "noodles", "lasagna noodles", "fettuccine", "linguine", "penne", "rigatoni", "farfalle", "orzo",
+            "macaroni", "ditalini", "pappardelle", "fusilli", "pastina", "gnocchi", "ravioli", "tortellini", "bread", "baguette",
+            "loaf", "rolls", "hoagie rolls", "buns", "pita", "naan", "tortilla", "tortillas", "breadcrumbs", "bread crumbs",
+            "panko", "crackers", "croutons", "dough", "pizza dough", "pastry", "pie crust", "phyllo", "puff pastry", "wonton wrappers",
+            "cookies", "ladyfingers", "cereal", "granola", "grits", "hominy", "masa harina", "millet", "farina", "matzo",
+            "cracked wheat", "wheat germ", "graham cracker", "wrappers", "pie shell", "tart shells", "biscuits", "roll", "taco shells",
+            "ramen", "waffles", "mochiko", "popcorn", "pizza crust", "cake mix", "sponge cake", "crust"
+        ] },
+        { key: 'legumes', label: "Legumes, nuts & seeds", color: "#bcbd22", keywords: [
+            "beans", "black beans", "kidney beans", "cannellini beans", "pinto beans", "chickpeas", "garbanzo", "lentils",
+            "split peas", "tofu", "tempeh", "edamame", "soybeans", "almond", "almonds", "almond meal", "walnut", "pecan",
+            "pine nuts", "pistachio", "pistachios", "peanut", "peanuts", "peanut butter", "cashew", "cashews", "hazelnut",
+            "macadamia", "nuts", "coconut", "shredded coconut", "sesame", "sesame seeds", "tahini", "sunflower seeds",
+            "pumpkin seeds", "chia seeds", "flaxseed", "poppy seeds", "chestnuts", "candlenuts", "dal", "hummus",
+            "bean threads", "kidney bean"
+        ] },
+        { key: 'sweet', label: "Sweeteners & baking", color: "#e377c2", keywords: [
+            "sugar", "brown sugar", "powdered sugar", "confectioners sugar", "icing sugar", "honey", "maple syrup", "syrup",
+            "corn syrup", "molasses", "agave", "chocolate", "chocolate chips", "cocoa", "cocoa powder", "vanilla", "vanilla extract",
+            "almond extract", "extract", "baking powder", "baking soda", "yeast", "active yeast", "cornstarch", "starch",
+            "cream of tartar", "gelatin", "sprinkles", "jam", "jelly", "marmalade", "preserves", "marshmallow", "candied",
+            "caramel", "food coloring", "food color", "marzipan", "nutella", "dulce de leche", "pectin",
+            "custard powder", "sucralose", "xylitol", "whipped topping", "pie filling"
+        ] },
+        { key: 'condiments', label: "Oils, vinegars & sauces", color: "#9467bd", keywords: [
+            "oil", "olive oil", "vegetable oil", "canola oil", "coconut oil", "sesame oil", "cooking spray", "shortening", "lard",
+            "margarine", "vinegar", "balsamic vinegar", "red wine vinegar", "rice vinegar", "apple cider vinegar", "soy sauce",
+            "fish sauce", "oyster sauce", "hoisin", "worcestershire", "hot sauce", "sriracha", "tabasco", "ketchup", "mustard",
+            "dijon", "mayonnaise", "mayo", "salsa", "pesto", "tomato sauce", "tomato paste", "tomato puree", "marinara",
+            "marinara sauce", "pizza sauce", "sauce", "paste", "curry paste", "miso", "gochujang", "capers", "relish", "dressing",
+            "harissa", "chutney", "nonstick spray", "liquid smoke", "tamari", "kecap manis", "sambal", "nuoc mam", "patis",
+            "belacan", "gravy", "guacamole", "mojo", "marinade", "sofrito", "rosewater", "bitters"
+        ] },
+        { key: 'liquids', label: "Stocks, wine & drinks", color: "#17becf", keywords: [
+            "water", "broth", "stock", "chicken broth", "chicken stock", "beef broth", "beef stock", "vegetable broth",
+            "vegetable stock", "bouillon", "chicken bouillon", "wine", "white wine", "red wine", "rice wine", "marsala", "marsala wine",
+            "sherry", "mirin", "sake", "beer", "rum", "brandy", "cognac", "vodka", "whiskey", "bourbon", "tequila", "liqueur",
+            "coffee", "espresso", "tea", "juice", "coconut milk", "almond milk", "soda", "club soda", "dashi", "ice", "ice cubes", "ale",
+            "gin", "triple sec", "cachaca", "pisco", "pinot grigio", "cola", "lemonade", "eggnog"
+        ] }
+    ];
+    const TAXONOMY_OTHER = { key: 'other', label: "Other", color: "#adb5bd" }; // Ingredients no keyword matched
+    // Cuisine data cache (see getCuisineData)
+    const DATA_CACHE_DB = "ingredient-web-cache"; // IndexedDB database
+    const DATA_CACHE_STORE = "cuisines"; // Object store: lowercased cuisine name -> { version, data, savedAt }
+    const MEMORY_CACHE_LIMIT = 12; // Cuisines kept in memory (least recently used are dropped)
+    const FETCH_RETRY_DELAYS = [500, 1500, 4000]; // Backoff (ms) before each retry of a failed request
+    const PREFETCH_COUNT = 2; // Likely next cuisines fetched in the background after a load
+    const CUISINE_VISITS_KEY = "ingredient-web-cuisine-visits"; // localStorage: visit count per cuisine
+    const ALL_CUISINES = "All cuisines"; // Pseudo-cuisine merging every cuisine (served by /api/heb/All cuisines)
+    const CUISINE_WEIGHTINGS = { sum: "Summed counts", equal: "Cuisines weighted equally" }; // ?weighting= of All cuisines
+    const TOOLTIP_OFFSET = 14; // Gap (px) between the pointer and the chart tooltip, also kept from the viewport edges
+    const TOOLTIP_TOP_PARTNERS = 5; // Strongest co-occurrence partners listed in an ingredient's tooltip
+    const CUISINE_BREAKDOWN_SHOWN = 5; // Cuisines listed in the tooltips of merged data (the rest are counted)
+    // Keyboard help read with each chart (see handleChartKeydown)
+    const KEYBOARD_HELP = {
+        'heb': "Left and right arrows move around the circle, Down arrow steps into an ingredient's neighbours, Up arrow steps back, Space pins.",
+        'bar': "Up and down arrows move between bars, Space pins the ingredient.",
+        'pairs-bar': "Up and down arrows move between bars, Space pins the pair.",
+        'matrix': "Arrow keys move between cells, Space pins the pair.",
+        'network': "Arrow keys move between ingredients from the most frequent down, Space pins the ingredient.",
+        'chord': "Left and right arrows move around the circle, Space pins the ingredient (per-ingredient view).",
+        'signature': "Up and down arrows move between bars, Space pins the ingredient."
+    };
+    const DATA_TABLE_MAX_ROWS = 500; // Rows listed in the on-page data table (downloads have all)
+    const HEB_LAYOUTS = { // How the HEB groups its leaves around the circle
+        alpha: "Alphabetical",
+        taxonomy: "Ingredient groups",
+        community: "Detected communities"
+    };
+    const HEB_LINK_COLOR_MODES = { // How HEB links are coloured (#heb-link-color)
+        strength: "Co-occurrence strength",
+        source: "Source group",
+        gradient: "Source to target gradient"
+    };
+    const HEB_LINK_STRENGTH_COLORS = t => d3.interpolateYlOrRd(0.2 + 0.8 * t); // Sequential link colours (palest end stays visible on white)
+    const HEB_LINK_NO_METRIC_COLOR = "#adb5bd"; // Strength colour of links whose pair has no metric value (below min support)
+    const COMMUNITY_COLORS = d3.schemeTableau10.concat(d3.schemeSet3); // Community colours, largest community first
+    const COMMUNITY_MIN_SIZE = 2; // Smaller communities join the "Loosely connected" group
+    const COMMUNITY_LABEL_MEMBERS = 3; // Best-connected members named in a community's label
+    const COMMUNITY_MAX_LEVELS = 10; // Louvain aggregation levels (stops earlier once nothing moves)
+    const COMMUNITY_MAX_PASSES = 50; // Node-moving passes per level
+    const SIMILARITY_METRICS = { // How the cuisine similarity map compares two cuisines
+        cosine: "cosine similarity",  // Of the ingredient-frequency vectors
+        jaccard: "Jaccard similarity" // Of the ingredient sets (ingredients in common / in either)
+    };
+    const SIMILARITY_CELL_SIZE = 12; // Side (px) of a cell in the cuisine similarity heatmap
+    const SIMILARITY_DENDROGRAM_WIDTH = 120; // Width (px) of the dendrogram left of the heatmap
+    const SIMILARITY_LABEL_SPACE = 170; // Room (px) for the cuisine labels right of and above the heatmap
+    // Row/column orders for the Adjacency Matrix (see computeMatrixOrder)
+    const MATRIX_ORDERS = {
+        alpha: "Alphabetical",
+        occurrence: "Occurrence",
+        degree: "Degree",
+        cluster: "Hierarchical clustering",
+        spectral: "Spectral",
+        barycentric: "Barycentric"
+    };
 
     // --- State Variables ---
     let currentWidth = container.node()?.getBoundingClientRect().width || 800;
     let currentCuisineData = null; // Stores raw { hierarchy: ..., links: ... }
-    let currentChartType = 'heb'; // Active chart: 'heb', 'bar', 'pairs-bar', 'matrix'
-    let radius, barChartWidth, barChartHeight, pairBarChartWidth, pairBarChartHeight, matrixWidth, matrixHeight; // Chart dimensions
+    let currentCuisineName = ''; // Name of the cuisine whose data is loaded
+    let compareMode = false; // Compare mode toggled on (#compare-toggle)
+    let compareCuisineData = null; // Raw data of the second cuisine (B) in compare mode
+    let compareCuisineName = '';
+    let loadController = null; // AbortController of the main cuisine request in flight
+    let compareLoadController = null; // AbortController of the cuisine B request in flight
+    const cuisineDataCache = new Map(); // Lowercased cuisine -> { version, data }, least recently used first
+    const pendingCuisineRequests = new Map(); // Lowercased cuisine -> prefetch promise in flight
+    let dataVersionPromise = null; // Memoized /api/version request
+    let cacheDbPromise = null; // Memoized IndexedDB connection
+    let currentChartType = 'heb'; // Active chart: 'heb', 'bar', 'pairs-bar', 'matrix', 'network', 'chord', 'signature'
+    // HEB filtering thresholds (driven by the sliders in #heb-controls)
+    const hebFilters = {
+        minLinkValue: 3, // Keep links with co-occurrence value >= minLinkValue
+        minDegree: 2,    // Keep leaves with at least minDegree remaining links
+        topK: 0          // Keep only each node's K strongest links (0 = no cap)
+    };
+    // HEB layout (#heb-layout): HEB_LAYOUTS key
+    const hebLayoutSettings = {
+        layout: 'taxonomy'
+    };
+    // HEB link colouring (#heb-link-color): HEB_LINK_COLOR_MODES key
+    const hebLinkColorSettings = {
+        mode: 'strength'
+    };
+    // Association metric driving Top Pairs ranking, matrix colours and HEB link widths
+    const pairMetricSettings = {
+        metric: 'count',
+        minSupport: 3 // Pairs seen in fewer recipes are ignored by the non-count metrics
+    };
+    // Adjacency Matrix options (#matrix-controls)
+    const matrixSettings = {
+        topN: MATRIX_TOP_N, // Ingredients shown (0 = all)
+        order: 'alpha', // MATRIX_ORDERS key; changing it animates the drawn matrix instead of redrawing it
+        lens: false // Fisheye lens follows the pointer on the canvas matrix
+    };
+    // Force Network options (#network-controls)
+    const networkSettings = {
+        minLinkValue: 5 // Strength threshold: edges need at least this co-occurrence (unlinked ingredients are dropped)
+    };
+    // Chord Diagram options (#chord-controls)
+    const chordSettings = {
+        aggregate: 'ingredient', // 'ingredient' (one arc per top-N ingredient) or 'group' (one arc per taxonomy group)
+        topN: CHORD_TOP_N
+    };
+    // All cuisines options (#cuisine-weighting)
+    const allCuisinesSettings = {
+        weighting: 'sum' // Key of CUISINE_WEIGHTINGS requested for All cuisines
+    };
+    // Substitute suggestions: profile similarity measure ('cosine' or 'jaccard')
+    const substituteSettings = {
+        metric: 'cosine'
+    };
+    // Ingredient search options (#search-mode)
+    const searchSettings = {
+        mode: 'any' // Comma-separated terms: 'any' term matches (OR) or 'all' terms must match (AND)
+    };
+    let matrixLegendInfo = null; // { scale, title } of the last drawn matrix colour scale (for legends/exports)
+    let matrixScales = null; // { xScale, yScale } of the drawn matrix (reused when reordering)
+    let matrixCanvasView = null; // State of the canvas-backed matrix (null when the matrix is drawn as SVG)
+    let hebCanvasView = null; // State of the canvas link layer of large HEBs (null when links are SVG paths)
+    let networkSimulation = null; // d3.forceSimulation of the drawn Force Network (stopped when the chart is cleared)
+    const chartGroupKinds = new Map(); // Chart group node -> renderer variant of its elements (see prepareChartGroup)
+    let hebDrawnPositions = new Map(); // HEB node key -> { x, y } as drawn (mid-glide included), to glide from
+    const chordDrawnAngles = new WeakMap(); // Chord arc/ribbon element -> angles as drawn, to morph from
+    const pinnedIngredients = new Set(); // Ingredients pinned by click (Shift+click adds), kept across chart switches
+    let lastRendered = null; // { chartType, compare, processed } of the chart on screen (source of data downloads)
+    let searchSuggestions = { items: [], active: -1 }; // Autocomplete entries and the one selected by the arrow keys
+    const pantryState = { items: [], cuisine: '', result: null }; // Pantry matcher query and its /api/pantry result
+    let pantryController = null; // AbortController of the pantry request in flight
+    let substituteState = null; // { name, candidates } of the pinned ingredient whose substitutes are shown
+    const cooccurrenceProfileCache = new WeakMap(); // Raw cuisine data -> ingredient -> Map(partner -> count)
+    const recipeCountWarned = new WeakSet(); // Raw cuisine data already warned about a missing recipe_count
+    let allCuisinesData = null; // All cuisines data behind the signature ingredients and the similarity map (see getAllCuisinesData)
+    let allCuisinesDataPromise = null;
+    const similarityState = { metric: 'cosine', result: null }; // Cuisine similarity map: metric and clustering drawn
+    const tooltipContent = new WeakMap(); // Chart element -> function building its tooltip (see bindTooltip)
+    const cuisineBreakdownCache = new WeakMap(); // Merged raw data -> { ingredients, pairs } per-cuisine counts
+    let keyboardFocus = null; // Arrow-key position on the chart: { chartType, index, row, col, neighbors }
+    let radius, barChartWidth, barChartHeight, pairBarChartWidth, pairBarChartHeight, matrixWidth, matrixHeight, chordRadius; // Chart dimensions
 
     // --- SVG Setup ---
     const svg = container.append("svg")
         .attr("width", "100%")
         .attr("height", vizHeight)
         .attr("preserveAspectRatio", "xMidYMid meet")
-        .style("overflow", "visible");
+        .style("overflow", "visible")
+        // Keyboard access: the chart takes focus and handles the arrow keys itself (see handleChartKeydown)
+        .attr("tabindex", 0)
+        .attr("role", "application")
+        .attr("aria-roledescription", "interactive chart");
 
     // Create dedicated groups for each chart type
     const g = svg.append("g").attr("class", "heb-group");
     const barG = svg.append("g").attr("class", "bar-group");
     const pairBarG = svg.append("g").attr("class", "pair-bar-group");
     const matrixG = svg.append("g").attr("class", "matrix-group"); // Group for Matrix
+    const networkG = svg.append("g").attr("class", "network-group"); // Force Network (transform handled by zoom)
+    const chordG = svg.append("g").attr("class", "chord-group");
+    const signatureG = svg.append("g").attr("class", "signature-group"); // Laid out like the Top Ingredients chart
+
+    // Shared HTML tooltip (see bindTooltip); fixed positioning keeps it relative to the viewport
+    const tooltip = d3.select("body").append("div")
+        .attr("id", "chart-tooltip").attr("class", "chart-tooltip").attr("role", "tooltip")
+        .property("hidden", true);
 
     // --- D3 Layout Helpers ---
     const lineRadial = d3.lineRadial() // For HEB links
         .curve(d3.curveBundle.beta(0.95))
         .radius(d => d.y)
         .angle(d => d.x * Math.PI / 180);
-
-    // --- Zoom Behavior (Only for HEB) ---
+    let hebMetricWidthScale = null; // Maps the selected metric to HEB link width (null = sqrt of raw count)
+    const hebLinkWidth = d => { // Resting HEB link width
+        if (!hebMetricWidthScale) return Math.min(8, Math.max(1, Math.sqrt(d.value)));
+        return d.metricValue === null ? 1 : hebMetricWidthScale(d.metricValue);
+    };
+    const hebLinkWidthEmphasized = d => Math.min(10, Math.max(1.5, hebLinkWidth(d) * 1.5)); // Hovered/pinned width
+    let hebLinkColorScale = null; // Maps link strength (the width quantity) to colour in the 'strength' colour mode
+
+    // --- Zoom Behavior (HEB and Force Network) ---
     const zoom = d3.zoom()
         .scaleExtent([0.5, 3]) // Min/max zoom levels
         .on('zoom', (event) => {
+            if (currentChartType === 'network') networkG.attr('transform', event.transform); // Not kept in the URL
             if (currentChartType === 'heb') {
                 g.attr('transform', event.transform); // Apply zoom transform only to HEB group
+                if (hebCanvasView) { // Canvas links follow the same transform
+                    hebCanvasView.transform = event.transform;
+                    scheduleHebCanvasDraw();
+                }
+                scheduleUrlStateUpdate(); // Keep the zoom in the shareable URL
             }
         });
     svg.call(zoom).on("dblclick.zoom", null); // Apply zoom to SVG but disable double-click zoom
+    // Clicking empty chart space releases the pinned selection (Shift+click keeps it)
+    svg.on("click.pin", (event) => {
+        if (event.target === svg.node() && !event.shiftKey) clearPins();
+    });
 
     // --- Zoom Helper Functions (for HEB) ---
     function getInitialHebTransform() {
@@ -79,6 +383,16 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     // Attach reset view listener
     document.getElementById('reset-view')?.addEventListener('click', resetHEBView);
+    // The Force Network starts centered at its natural size
+    function getInitialNetworkTransform() {
+        return d3.zoomIdentity.translate(currentWidth / 2, vizHeight / 2);
+    }
+    function resetNetworkView() {
+        if (currentChartType === 'network') {
+            svg.transition().duration(750).call(zoom.transform, getInitialNetworkTransform());
+        }
+    }
+    document.getElementById('network-reset-view')?.addEventListener('click', resetNetworkView);
 
     // --- Core Functions ---
 
@@ -104,6 +418,7 @@ document.addEventListener('DOMContentLoaded', () => {
         pairBarChartHeight = Math.max(150, vizHeight - pairBarChartMargin.top - pairBarChartMargin.bottom);
         matrixWidth = Math.max(150, currentWidth - matrixMargin.left - matrixMargin.right); // Matrix dimensions
         matrixHeight = Math.max(150, vizHeight - matrixMargin.top - matrixMargin.bottom); // Matrix dimensions
+        chordRadius = Math.max(80, Math.min(currentWidth, vizHeight) / 2 - CHORD_LABEL_SPACE); // Outer radius of the chord arcs
 
         // Manage visibility and static transforms for each group
         g.style("display", currentChartType === 'heb' ? "block" : "none"); // HEB transform handled by zoom
@@ -111,17 +426,25 @@ document.addEventListener('DOMContentLoaded', () => {
         barG.attr("transform", `translate(${barChartMargin.left},${barChartMargin.top})`)
             .style("display", currentChartType === 'bar' ? "block" : "none");
 
+        signatureG.attr("transform", `translate(${barChartMargin.left},${barChartMargin.top})`)
+            .style("display", currentChartType === 'signature' ? "block" : "none");
+
         pairBarG.attr("transform", `translate(${pairBarChartMargin.left},${pairBarChartMargin.top})`)
                .style("display", currentChartType === 'pairs-bar' ? "block" : "none");
 
         matrixG.attr("transform", `translate(${matrixMargin.left},${matrixMargin.top})`) // Matrix transform
                .style("display", currentChartType === 'matrix' ? "block" : "none");    // Matrix display
 
-        // If HEB is the current chart, update its zoom transform's center point on resize
-        if (currentChartType === 'heb') {
+        networkG.style("display", currentChartType === 'network' ? "block" : "none"); // Network transform handled by zoom
+
+        chordG.attr("transform", `translate(${currentWidth / 2},${vizHeight / 2})`) // Chord circle centered
+              .style("display", currentChartType === 'chord' ? "block" : "none");
+
+        // If HEB or the network is the current chart, update its zoom transform's center point on resize
+        if (currentChartType === 'heb' || currentChartType === 'network') {
             const currentTransform = d3.zoomTransform(svg.node()); // Get current zoom state
             const newTranslateX = currentWidth / 2;
-            const newTranslateY = vizHeight / 2 + hebVerticalOffset;
+            const newTranslateY = vizHeight / 2 + (currentChartType === 'heb' ? hebVerticalOffset : 0);
             // Create a new transform keeping the scale but updating translation
             const recenteredTransform = d3.zoomIdentity
                  .translate(newTranslateX, newTranslateY)
@@ -131,56 +454,377 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // Fetch data for the selected cuisine from the API
+    // Load data for the selected cuisine (cache or API). A newer selection cancels the previous request,
+    // so a slow earlier response can't replace the chart of the cuisine picked last.
     async function loadData(cuisineName) {
+        if (loadController) { // Cancel the request of the previous selection
+            loadController.abort();
+            loadController = null;
+            setLoadingState(false);
+        }
+        syncCuisineWeightingControl();
         if (!cuisineName) {
             clearVisualization("Select a cuisine from the list.");
             updateTitle("Ingredient Relationships");
             currentCuisineData = null;
+            currentCuisineName = '';
+            updateUrlState({ push: true });
             return;
         }
-        setLoadingState(true, cuisineName); // Show loading state
-        currentCuisineData = null; // Clear old data
+        const controller = loadController = new AbortController();
+        setLoadingState(true, cuisineName); // Show loading state (the previous cuisine's data stays drawn until replaced)
         clearHighlight(); // Clear any search highlights
+        clearPins(); // Pinned ingredients belong to the previous cuisine
 
         try {
-            const response = await fetch(`/api/heb/${cuisineName}`); // API endpoint
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            const data = await response.json();
-
-            // Basic data validation (required for most charts)
-            if (!data || !data.hierarchy || !data.links) {
-                console.error("Incomplete data received:", data);
-                throw new Error(`Incomplete data for ${cuisineName}. Requires hierarchy and links.`);
-            }
-            // Specific check for matrix ranking requirement
-            if (!data.hierarchy.children) {
-                 console.warn("Data lacks hierarchy.children. Matrix ranking may fail or be incomplete.");
-            }
-
+            const data = await getCuisineData(cuisineName, { signal: controller.signal });
             currentCuisineData = data; // Store fetched data
-            updateTitle(`${cuisineName} Cousine - Recipes Analysis`); // Update dashboard title
-            renderCurrentChart(); // Render the currently selected chart type
+            currentCuisineName = cuisineName;
+            markSimilarityCuisine();
+            configureThresholdControls(data); // Fit slider ranges to this cuisine
+            renderCurrentChart(); // Render the currently selected chart type (also updates the title)
+            updateUrlState({ push: true }); // New history entry for the cuisine change
+            recordCuisineVisit(cuisineName);
+            scheduleCuisinePrefetch(cuisineName);
 
         } catch (error) {
+            if (error.name === 'AbortError') { console.log(`Loading ${cuisineName} was cancelled by a newer selection.`); return; }
             console.error(`Error loading data for ${cuisineName}:`, error);
-            displayErrorMessage(`Failed to load data for ${cuisineName}. Please try again or select another cuisine.`);
             currentCuisineData = null;
+            if (error.offline) displayOfflineMessage(cuisineName, () => loadData(cuisineName));
+            else displayErrorMessage(`Failed to load data for ${cuisineName}. Please try again or select another cuisine.`);
+        } finally {
+            if (loadController === controller) { // Only the latest request owns the loading state
+                loadController = null;
+                setLoadingState(false); // Hide loading state
+            }
+        }
+    }
+
+    // Fetch the second cuisine (B) for compare mode and re-render
+    async function loadCompareData(cuisineName) {
+        if (compareLoadController) { // A newer cuisine B replaces the pending one
+            compareLoadController.abort();
+            compareLoadController = null;
+            setLoadingState(false);
+        }
+        compareCuisineData = null;
+        compareCuisineName = '';
+        syncCuisineWeightingControl();
+        if (!cuisineName) {
+            renderCurrentChart();
+            return;
+        }
+        const controller = compareLoadController = new AbortController();
+        setLoadingState(true, cuisineName);
+        try {
+            compareCuisineData = await getCuisineData(cuisineName, { signal: controller.signal });
+            compareCuisineName = cuisineName;
+            renderCurrentChart();
+        } catch (error) {
+            if (error.name === 'AbortError') { console.log(`Loading ${cuisineName} for comparison was cancelled.`); return; }
+            console.error(`Error loading comparison data for ${cuisineName}:`, error);
+            if (error.offline) displayOfflineMessage(cuisineName, () => loadCompareData(cuisineName));
+            else displayErrorMessage(`Failed to load ${cuisineName} for comparison. Please try again or select another cuisine.`);
         } finally {
-            setLoadingState(false); // Hide loading state
+            if (compareLoadController === controller) {
+                compareLoadController = null;
+                setLoadingState(false);
+            }
+        }
+    }
+
+    // Fetch and validate one cuisine's { hierarchy, links, recipe_count } from the API. Network failures
+    // and 5xx/429 responses are retried with backoff; errors caused by the network carry `offline: true`.
+    async function fetchCuisineData(cuisineName, { signal = null } = {}) {
+        let data;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                if (navigator.onLine === false) { // No point retrying until the browser is back online
+                    const error = new Error("The browser is offline.");
+                    error.offline = true;
+                    throw error;
+                }
+                const query = isAllCuisines(cuisineName) && allCuisinesSettings.weighting !== 'sum' ? `?weighting=${allCuisinesSettings.weighting}` : '';
+                const response = await fetch(`/api/heb/${encodeURIComponent(cuisineName)}${query}`, { signal }); // API endpoint
+                if (!response.ok) {
+                    const error = new Error(`HTTP error! status: ${response.status}`);
+                    error.retryable = response.status >= 500 || response.status === 429;
+                    throw error;
+                }
+                data = await response.json();
+                break;
+            } catch (error) {
+                if (error.name === 'AbortError' || error.offline) throw error;
+                const networkError = error.name === 'TypeError'; // fetch() rejects with a TypeError when the server is unreachable
+                if ((!networkError && !error.retryable) || attempt >= FETCH_RETRY_DELAYS.length) {
+                    if (networkError) error.offline = true;
+                    throw error;
+                }
+                console.warn(`Fetching ${cuisineName} failed (${error.message}), retry ${attempt + 1} in ${FETCH_RETRY_DELAYS[attempt]} ms.`);
+                await waitForRetry(FETCH_RETRY_DELAYS[attempt], signal);
+            }
+        }
+
+        // Basic data validation (required for most charts)
+        if (!data || !data.hierarchy || !data.links) {
+            console.error("Incomplete data received:", data);
+            throw new Error(`Incomplete data for ${cuisineName}. Requires hierarchy and links.`);
+        }
+        // Specific check for matrix ranking requirement
+        if (!data.hierarchy.children) {
+             console.warn("Data lacks hierarchy.children. Matrix ranking may fail or be incomplete.");
+        }
+        return data;
+    }
+
+    // --- Cuisine Data Cache (memory + IndexedDB, prefetch, retries) ---
+
+    // Data version reported by the server; cached cuisines from another version are refetched.
+    // Resolves to null when the server can't be reached (any cached copy is then good enough).
+    function getDataVersion() {
+        if (!dataVersionPromise) {
+            dataVersionPromise = fetch('/api/version')
+                .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP error! status: ${response.status}`)))
+                .then(body => body.version ?? null)
+                .catch(error => {
+                    console.warn("Data version unavailable, using cached cuisines as they are:", error.message);
+                    dataVersionPromise = null; // Ask again next time
+                    return null;
+                });
+        }
+        return dataVersionPromise;
+    }
+
+    // One cuisine's data, from memory, then IndexedDB, then the API. `signal` cancels the network
+    // request (a stale selection); prefetches run without one and are shared with later loads.
+    async function getCuisineData(cuisineName, { signal = null, prefetch = false } = {}) {
+        const key = getCuisineCacheKey(cuisineName);
+        const version = await abortable(getDataVersion(), signal);
+        const isCurrent = entry => entry && (version === null || entry.version === version);
+
+        const cached = cuisineDataCache.get(key);
+        if (isCurrent(cached)) {
+            rememberCuisineData(key, cached.version, cached.data); // Most recently used
+            return cached.data;
+        }
+        const stored = await abortable(readStoredCuisine(key), signal);
+        if (isCurrent(stored)) {
+            console.log(`${cuisineName} loaded from the IndexedDB cache (version ${stored.version}).`);
+            rememberCuisineData(key, stored.version, stored.data);
+            return stored.data;
+        }
+        if (pendingCuisineRequests.has(key)) return abortable(pendingCuisineRequests.get(key), signal); // Prefetch in flight
+
+        const request = fetchCuisineData(cuisineName, { signal: prefetch ? null : signal }).then(data => {
+            rememberCuisineData(key, version, data);
+            writeStoredCuisine(key, version, data);
+            return data;
+        });
+        if (prefetch) {
+            pendingCuisineRequests.set(key, request);
+            request.catch(() => {}).finally(() => pendingCuisineRequests.delete(key));
+        }
+        return request;
+    }
+
+    // Cache key of a cuisine: its lowercased name, plus the weighting for non-default All cuisines merges
+    function getCuisineCacheKey(cuisineName) {
+        const key = cuisineName.toLowerCase();
+        return isAllCuisines(cuisineName) && allCuisinesSettings.weighting !== 'sum' ? `${key}|${allCuisinesSettings.weighting}` : key;
+    }
+
+    // Keep the memory cache in least-recently-used order, bounded to MEMORY_CACHE_LIMIT cuisines
+    function rememberCuisineData(key, version, data) {
+        cuisineDataCache.delete(key);
+        cuisineDataCache.set(key, { version, data });
+        while (cuisineDataCache.size > MEMORY_CACHE_LIMIT) cuisineDataCache.delete(cuisineDataCache.keys().next().value);
+    }
+
+    // Settle with `promise`, or reject with an AbortError as soon as `signal` aborts
+    function abortable(promise, signal) {
+        if (!signal) return promise;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new DOMException("The request was cancelled.", "AbortError"));
+            if (signal.aborted) { onAbort(); return; }
+            signal.addEventListener("abort", onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+        });
+    }
+
+    // Backoff delay between fetch attempts (cancelled with the request)
+    function waitForRetry(ms, signal) {
+        return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
+    }
+
+    // IndexedDB database holding one record per cuisine: { version, data, savedAt }. Resolves to null
+    // where IndexedDB is unavailable (private mode, old browsers); the memory cache still works then.
+    function openCacheDb() {
+        if (!cacheDbPromise) {
+            cacheDbPromise = new Promise(resolve => {
+                if (!window.indexedDB) { resolve(null); return; }
+                const request = indexedDB.open(DATA_CACHE_DB, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(DATA_CACHE_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => { console.warn("IndexedDB cache unavailable:", request.error); resolve(null); };
+                request.onblocked = () => resolve(null);
+            });
+        }
+        return cacheDbPromise;
+    }
+
+    // Run one request against the cache store; failures are logged and resolve to null
+    async function withCacheStore(mode, makeRequest) {
+        const db = await openCacheDb();
+        if (!db) return null;
+        return new Promise(resolve => {
+            try {
+                const request = makeRequest(db.transaction(DATA_CACHE_STORE, mode).objectStore(DATA_CACHE_STORE));
+                request.onsuccess = () => resolve(request.result ?? null);
+                request.onerror = () => { console.warn("IndexedDB cache request failed:", request.error); resolve(null); };
+            } catch (error) {
+                console.warn("IndexedDB cache request failed:", error);
+                resolve(null);
+            }
+        });
+    }
+    function readStoredCuisine(key) {
+        return withCacheStore("readonly", store => store.get(key));
+    }
+    function writeStoredCuisine(key, version, data) {
+        return withCacheStore("readwrite", store => store.put({ version, data, savedAt: Date.now() }, key));
+    }
+
+    // Names of the cuisines that can be shown without the network (for the offline message)
+    async function getCachedCuisineNames() {
+        const keys = new Set(cuisineDataCache.keys());
+        ((await withCacheStore("readonly", store => store.getAllKeys())) || []).forEach(key => keys.add(key));
+        const options = Array.from(document.getElementById("cuisine-select")?.options || []).map(option => option.value).filter(Boolean);
+        return options.filter(name => keys.has(name.toLowerCase()));
+    }
+
+    // Count a visit to a cuisine (most visited cuisines are prefetched)
+    function recordCuisineVisit(cuisineName) {
+        try {
+            const visits = JSON.parse(localStorage.getItem(CUISINE_VISITS_KEY) || "{}");
+            visits[cuisineName] = (visits[cuisineName] || 0) + 1;
+            localStorage.setItem(CUISINE_VISITS_KEY, JSON.stringify(visits));
+        } catch (error) {
+            console.warn("Could not record the cuisine visit:", error.message); // Storage disabled or full
+        }
+    }
+
+    // Likely next cuisines: the dropdown neighbours (arrow keys), then the most visited ones
+    function getLikelyNextCuisines(cuisineName) {
+        const options = Array.from(document.getElementById("cuisine-select")?.options || []).map(option => option.value).filter(Boolean);
+        const index = options.indexOf(cuisineName);
+        let visits = {};
+        try { visits = JSON.parse(localStorage.getItem(CUISINE_VISITS_KEY) || "{}"); } catch (error) { /* No history */ }
+        const mostVisited = Object.keys(visits).sort((a, b) => visits[b] - visits[a]);
+        return Array.from(new Set([options[index + 1], options[index - 1], ...mostVisited]))
+            .filter(name => name && name !== cuisineName && options.includes(name) && !isAllCuisines(name) && !cuisineDataCache.has(name.toLowerCase())) // All cuisines is too big to prefetch
+            .slice(0, PREFETCH_COUNT);
+    }
+
+    // Warm the cache with likely next cuisines once the browser is idle (one request at a time)
+    function scheduleCuisinePrefetch(cuisineName) {
+        if (navigator.onLine === false || navigator.connection?.saveData) return; // Offline or data saver
+        const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 500));
+        whenIdle(async () => {
+            for (const name of getLikelyNextCuisines(cuisineName)) {
+                try {
+                    await getCuisineData(name, { prefetch: true });
+                    console.log(`Prefetched ${name}.`);
+                } catch (error) {
+                    console.warn(`Prefetch of ${name} failed:`, error.message);
+                    return; // Don't keep hammering a failing server
+                }
+            }
+        });
+    }
+
+    // Tell the user the data could not be fetched because the network is down, and reload it
+    // (via `retry`) from a button or as soon as the browser reports the connection is back
+    async function displayOfflineMessage(cuisineName, retry) {
+        clearVisualization();
+        updateTitle("Offline");
+        const cachedNames = await getCachedCuisineNames();
+        if (loadController || compareLoadController) return; // Another cuisine is loading by now
+        container.selectAll(".error-message, .info-message").remove();
+        const message = container.append("div").attr("class", "error-message offline-message");
+        message.append("p").text(`Can't reach the server to load ${cuisineName}. Check your connection; it will load automatically once you're back online.`);
+        if (cachedNames.length) message.append("p").text(`Available offline: ${cachedNames.join(", ")}.`);
+        message.append("button").attr("type", "button").text("Retry now").on("click", retry);
+        const onOnline = () => { if (message.node().isConnected) retry(); };
+        window.addEventListener("online", onOnline, { once: true });
+    }
+
+    // --- All Cuisines (merged data) ---
+
+    function isAllCuisines(cuisineName) {
+        return (cuisineName || '').toLowerCase() === ALL_CUISINES.toLowerCase();
+    }
+
+    // Per-cuisine counts of a merged dataset: { ingredients: name -> {cuisine: count}, pairs: pairKey -> {cuisine: count} }.
+    // Null for single-cuisine data, which carries no breakdown.
+    function getCuisineBreakdowns(rawData) {
+        if (!rawData?.cuisine_count) return null;
+        if (!cuisineBreakdownCache.has(rawData)) {
+            cuisineBreakdownCache.set(rawData, {
+                ingredients: new Map((rawData.hierarchy.children || []).filter(d => d.cuisines).map(d => [d.name, d.cuisines])),
+                pairs: new Map(rawData.links.filter(d => d.cuisines).map(d => [pairKey(d.source, d.target), d.cuisines]))
+            });
         }
+        return cuisineBreakdownCache.get(rawData);
+    }
+
+    // Tooltip list of the cuisines an ingredient ([name]) or a pair ([a, b]) comes from, most recipes first.
+    // Empty unless the loaded data is All cuisines.
+    function getCuisineBreakdownList(names, rawData = currentCuisineData) {
+        const list = { title: "By cuisine (recipes)", items: [] };
+        const breakdowns = getCuisineBreakdowns(rawData);
+        if (!breakdowns) return list;
+        const counts = names.length === 1 ? breakdowns.ingredients.get(names[0]) : breakdowns.pairs.get(pairKey(names[0], names[1]));
+        const entries = Object.entries(counts || {}).filter(([, count]) => count > 0).sort((a, b) => b[1] - a[1] || d3.ascending(a[0], b[0]));
+        list.items = entries.slice(0, CUISINE_BREAKDOWN_SHOWN).map(([cuisine, count]) => `${cuisine}: ${count.toLocaleString()}`);
+        const rest = entries.length - CUISINE_BREAKDOWN_SHOWN;
+        if (rest > 0) list.items.push(`+ ${rest} more cuisine${rest === 1 ? "" : "s"}`);
+        return list;
+    }
+
+    // Heading of the loaded cuisine: "Italian Cousine", or All cuisines with its cuisine count and weighting
+    function getCuisineHeading() {
+        if (!isAllCuisines(currentCuisineName)) return `${currentCuisineName} Cousine`;
+        const details = [
+            currentCuisineData?.cuisine_count ? `${currentCuisineData.cuisine_count} cuisines` : null,
+            currentCuisineData?.weighting === 'equal' ? "weighted equally" : null
+        ].filter(Boolean);
+        return details.length ? `${ALL_CUISINES} (${details.join(", ")})` : ALL_CUISINES;
+    }
+
+    // The weighting select only applies while All cuisines is picked (as cuisine A, or as B in compare mode)
+    function syncCuisineWeightingControl() {
+        const weightingSelect = document.getElementById("cuisine-weighting");
+        if (!weightingSelect) return;
+        weightingSelect.value = allCuisinesSettings.weighting;
+        weightingSelect.disabled = !(isAllCuisines(document.getElementById("cuisine-select")?.value)
+            || (compareMode && isAllCuisines(document.getElementById("compare-select")?.value)));
     }
 
     // --- Data Processing Functions ---
 
     // Process data specifically for Hierarchical Edge Bundling
-    function processDataForHEB(rawData) {
-        console.log("Processing data for HEB...");
+    function processDataForHEB(rawData, filters = hebFilters, layout = hebLayoutSettings.layout) {
+        const { minLinkValue, minDegree, topK } = filters;
+        console.log(`Processing data for HEB (value >= ${minLinkValue}, degree >= ${minDegree}, top-K ${topK || 'all'}, layout ${layout})...`);
         if (!rawData?.links || !rawData?.hierarchy) return { error: "Links & hierarchy needed for HEB." };
 
         // Filter links by strength (co-occurrence value)
-        const filteredLinks = rawData.links.filter(link => link.value > 2);
-        if (filteredLinks.length === 0) return { error: "No strong ingredient connections (value > 2) found for HEB." };
+        const strongLinks = rawData.links.filter(link => link.value >= minLinkValue);
+        if (strongLinks.length === 0) return { error: `No strong ingredient connections (value >= ${minLinkValue}) found for HEB.` };
+
+        // Optionally cap each node to its K strongest links (a link survives if it is in the top K of either end)
+        const filteredLinks = topK > 0 ? keepTopKLinksPerNode(strongLinks, topK) : strongLinks;
 
         // Calculate node degrees based on strong links
         const nodeDegrees = {};
@@ -192,13 +836,13 @@ document.addEventListener('DOMContentLoaded', () => {
             nodesInFilteredLinks.add(link.target);
         });
 
-        // Filter the hierarchy: keep leaf nodes only if they have degree > 1 in strong links
-        const filteredHierarchy = filterHierarchy(rawData.hierarchy, node => {
-            if (!node.children) return nodesInFilteredLinks.has(node.name) && nodeDegrees[node.name] > 1;
+        // Filter the hierarchy: keep leaf nodes only if they have degree >= minDegree in strong links
+        const survivingHierarchy = filterHierarchy(rawData.hierarchy, node => {
+            if (!node.children) return nodesInFilteredLinks.has(node.name) && nodeDegrees[node.name] >= minDegree;
             return true; // Keep internal nodes initially
         });
 
-        if (!filteredHierarchy?.children?.length) return { error: "No significant ingredient clusters found after filtering for HEB." };
+        if (!survivingHierarchy?.children?.length) return { error: "No significant ingredient clusters found after filtering for HEB." };
 
         // Get names of leaf nodes that survived the filtering
         const survivingLeafNodeNames = new Set();
@@ -206,19 +850,27 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!node.children && node.name) survivingLeafNodeNames.add(node.name);
             if (node.children) node.children.forEach(collectLeafNames);
         }
-        collectLeafNames(filteredHierarchy);
+        collectLeafNames(survivingHierarchy);
 
-        // Final filter for links: both source and target must be surviving leaf nodes
-        const finalLinks = filteredLinks.filter(link =>
+        // Group the surviving ingredients (taxonomy or detected communities) so links bundle through their group node
+        const filteredHierarchy = layout === 'community'
+            ? groupHierarchyByCommunity(survivingHierarchy, filteredLinks.filter(link =>
+                survivingLeafNodeNames.has(link.source) && survivingLeafNodeNames.has(link.target)))
+            : layout === 'taxonomy' ? groupHierarchyByTaxonomy(survivingHierarchy) : survivingHierarchy;
+
+        // Final filter for links: both source and target must be surviving leaf nodes,
+        // annotated with the selected association metric (drives link width)
+        const finalLinks = scoreLinks(rawData, filteredLinks.filter(link =>
             survivingLeafNodeNames.has(link.source) && survivingLeafNodeNames.has(link.target)
-        );
+        ), { keepUnsupported: true });
 
         if (finalLinks.length === 0) return { error: "No connections remain between filtered ingredients for HEB." };
 
         // Create D3 hierarchy and cluster layout
         const root = d3.hierarchy(filteredHierarchy)
             .sum(d => d.value || 1) // Use value if present, otherwise count as 1
-            .sort((a, b) => d3.ascending(a.data.name, b.data.name)); // Sort nodes alphabetically
+            // Groups by groupIndex (taxonomy order with "Other" last, or communities largest first), ingredients alphabetically
+            .sort((a, b) => d3.ascending(a.data.groupIndex ?? 0, b.data.groupIndex ?? 0) || d3.ascending(a.data.name, b.data.name));
 
         const cluster = d3.cluster()
             .size([360, radius]); // Use calculated radius for layout size
@@ -230,8 +882,308 @@ document.addEventListener('DOMContentLoaded', () => {
         return { root, finalLinks, nodeMap }; // Return data needed for rendering
     }
 
+    // Keep, for every node, only its K strongest links. A link is kept if it ranks
+    // within the top K for its source OR its target, so hubs don't starve small nodes.
+    function keepTopKLinksPerNode(links, k) {
+        const linksByNode = new Map();
+        links.forEach(link => {
+            if (!linksByNode.has(link.source)) linksByNode.set(link.source, []);
+            if (!linksByNode.has(link.target)) linksByNode.set(link.target, []);
+            linksByNode.get(link.source).push(link);
+            linksByNode.get(link.target).push(link);
+        });
+
+        const kept = new Set();
+        linksByNode.forEach(nodeLinks => {
+            nodeLinks.sort((a, b) => b.value - a.value)
+                .slice(0, k)
+                .forEach(link => kept.add(link));
+        });
+        return links.filter(link => kept.has(link)); // Preserve original order
+    }
+
+    // --- Ingredient Taxonomy (HEB grouping level) ---
+
+    // Keyword rules, longest keyword first so the most specific match wins (stable sort keeps group order on ties)
+    const taxonomyRules = INGREDIENT_TAXONOMY
+        .flatMap((group, groupIndex) => group.keywords.map(keyword => ({
+            group, groupIndex, keyword,
+            pattern: new RegExp(`(?:^| )${normalizeIngredientName(keyword)}(?:e?s)?(?= |$)`)
+        })))
+        .sort((a, b) => b.keyword.length - a.keyword.length);
+    const taxonomyCache = new Map(); // ingredient name -> { group, groupIndex }
+
+    // Lowercase, strip accents and punctuation so "Jalapeño" and "jalapeno" (or "za'atar" and "za atar") match
+    function normalizeIngredientName(name) {
+        return String(name).toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+            .replace(/[^a-z]+/g, " ").trim();
+    }
+
+    // Taxonomy group of an ingredient (TAXONOMY_OTHER when no keyword matches)
+    function classifyIngredient(name) {
+        if (!taxonomyCache.has(name)) {
+            const normalized = normalizeIngredientName(name);
+            const rule = taxonomyRules.find(r => r.pattern.test(normalized));
+            taxonomyCache.set(name, rule
+                ? { group: rule.group, groupIndex: rule.groupIndex }
+                : { group: TAXONOMY_OTHER, groupIndex: INGREDIENT_TAXONOMY.length });
+        }
+        return taxonomyCache.get(name);
+    }
+
+    // Insert a taxonomy level between the cuisine root and its ingredients. Group nodes carry
+    // taxonomyKey/groupIndex (used for colours and sorting); empty groups are left out.
+    function groupHierarchyByTaxonomy(hierarchy) {
+        const groups = new Map();
+        (hierarchy.children || []).forEach(child => {
+            const { group, groupIndex } = classifyIngredient(child.name);
+            if (!groups.has(group.key)) {
+                groups.set(group.key, { name: group.label, taxonomyKey: group.key, groupIndex, children: [] });
+            }
+            groups.get(group.key).children.push(child);
+        });
+        const unmapped = groups.get(TAXONOMY_OTHER.key)?.children.length || 0;
+        console.log(`Taxonomy: ${groups.size} groups, ${unmapped} unmapped ingredient(s).`);
+        return { ...hierarchy, children: Array.from(groups.values()) };
+    }
+
+    // Colour of a taxonomy group node (by key)
+    function getTaxonomyColor(key) {
+        const group = INGREDIENT_TAXONOMY.find(g => g.key === key);
+        return group ? group.color : TAXONOMY_OTHER.color;
+    }
+
+    // Fill of an HEB leaf: its community's colour, else its taxonomy group's colour (also in the alphabetical layout)
+    function getHebNodeColor(leaf) {
+        return leaf.parent?.data.communityColor || getTaxonomyColor(classifyIngredient(leaf.data.name).group.key);
+    }
+
+    // Strength of an HEB link: the selected metric when the link widths follow it, else the co-occurrence count
+    function getHebLinkStrength(link) {
+        return hebMetricWidthScale ? link.metricValue : link.value;
+    }
+
+    // Stroke colour of an HEB link under the selected colour mode. In the gradient mode this is the
+    // source colour; the gradient itself comes from getHebLinkGradient (SVG defs or canvas gradients).
+    function getHebLinkColor(link, nodeMap) {
+        if (hebLinkColorSettings.mode === 'strength') {
+            const strength = getHebLinkStrength(link);
+            return strength === null ? HEB_LINK_NO_METRIC_COLOR : hebLinkColorScale(strength);
+        }
+        return getHebNodeColor(nodeMap.get(link.source));
+    }
+
+    // End points (layout coordinates) and end colours of a link's source-to-target gradient
+    function getHebLinkGradient(link, nodeMap) {
+        const source = nodeMap.get(link.source), target = nodeMap.get(link.target);
+        const [x1, y1] = d3.pointRadial(source.x * Math.PI / 180, source.y); // Same projection as lineRadial
+        const [x2, y2] = d3.pointRadial(target.x * Math.PI / 180, target.y);
+        return { x1, y1, x2, y2, from: getHebNodeColor(source), to: getHebNodeColor(target) };
+    }
+
+    // Append one gradient per link to the defs of `parent`; returns each link's url() paint
+    function appendHebLinkGradients(parent, links, nodeMap, idPrefix) {
+        const defs = parent.insert("defs", ":first-child");
+        const paints = new Map();
+        links.forEach((link, i) => {
+            const { x1, y1, x2, y2, from, to } = getHebLinkGradient(link, nodeMap);
+            const gradient = defs.append("linearGradient").attr("id", `${idPrefix}-${i}`)
+                .attr("gradientUnits", "userSpaceOnUse") // Along the chord between the two leaves, whatever the path's bbox
+                .attr("x1", x1).attr("y1", y1).attr("x2", x2).attr("y2", y2);
+            gradient.append("stop").attr("offset", "0%").attr("stop-color", from);
+            gradient.append("stop").attr("offset", "100%").attr("stop-color", to);
+            paints.set(link, `url(#${idPrefix}-${i})`);
+        });
+        return paints;
+    }
+
+    // Identity of an HEB node across redraws: the ingredient of a leaf, the group path of a group node
+    function getHebNodeKey(node) {
+        return node.children ? `group:${node.ancestors().map(d => d.data.name).reverse().join("/")}` : node.data.name;
+    }
+
+    // Group label of an HEB leaf: its group node, or its taxonomy group in the ungrouped alphabetical layout
+    function getHebGroupName(leaf) {
+        return leaf.depth > 1 ? leaf.parent.data.name : classifyIngredient(leaf.data.name).group.label;
+    }
+
+    // Legend entries of the drawn HEB: its group nodes, or the taxonomy groups colouring the alphabetical layout
+    function getHebLegendGroups(root) {
+        if (root.children?.some(child => child.children)) {
+            return root.children.map(groupNode => ({
+                key: groupNode.data.taxonomyKey || groupNode.data.communityKey,
+                label: groupNode.data.name,
+                color: groupNode.data.communityColor || getTaxonomyColor(groupNode.data.taxonomyKey),
+                names: groupNode.leaves().map(d => d.data.name)
+            }));
+        }
+        const groups = d3.groups(root.leaves(), leaf => classifyIngredient(leaf.data.name).groupIndex)
+            .sort((a, b) => d3.ascending(a[0], b[0]));
+        return groups.map(([, leaves]) => {
+            const { group } = classifyIngredient(leaves[0].data.name);
+            return { key: group.key, label: group.label, color: group.color, names: leaves.map(d => d.data.name) };
+        });
+    }
+
+    // --- Community Detection (HEB grouping level) ---
+
+    // Louvain modularity optimisation over weighted undirected links: nodes move to the neighbouring
+    // community with the best modularity gain until nothing moves, then communities are merged into
+    // single nodes and the next level starts. Nodes are visited in the given order, so the result is
+    // deterministic. Returns Map(name -> community number).
+    function detectCommunities(names, links) {
+        const index = new Map(names.map((name, i) => [name, i]));
+        let n = names.length;
+        let adjacency = Array.from({ length: n }, () => new Map()); // Node -> Map(neighbour -> weight)
+        let selfWeight = new Float64Array(n); // Weight inside a merged node
+        links.forEach(({ source, target, value }) => {
+            const a = index.get(source), b = index.get(target);
+            if (a === undefined || b === undefined || a === b || !(value > 0)) return;
+            adjacency[a].set(b, (adjacency[a].get(b) || 0) + value);
+            adjacency[b].set(a, (adjacency[b].get(a) || 0) + value);
+        });
+        let membership = names.map((_, i) => i); // Original node -> node of the current level
+
+        for (let level = 0; level < COMMUNITY_MAX_LEVELS; level++) {
+            const degree = adjacency.map((neighbours, i) => d3.sum(neighbours.values()) + 2 * selfWeight[i]);
+            const totalWeight = d3.sum(degree); // 2m
+            if (!totalWeight) break;
+            const community = Array.from({ length: n }, (_, i) => i);
+            const communityDegree = Float64Array.from(degree);
+            let moved = true, improved = false;
+            for (let pass = 0; moved && pass < COMMUNITY_MAX_PASSES; pass++) {
+                moved = false;
+                for (let i = 0; i < n; i++) {
+                    const current = community[i];
+                    const weightTo = new Map(); // Community -> weight from node i
+                    adjacency[i].forEach((w, j) => weightTo.set(community[j], (weightTo.get(community[j]) || 0) + w));
+                    communityDegree[current] -= degree[i]; // Take i out, then put it where the gain is largest
+                    let best = current;
+                    let bestGain = (weightTo.get(current) || 0) - communityDegree[current] * degree[i] / totalWeight;
+                    weightTo.forEach((w, c) => {
+                        const gain = w - communityDegree[c] * degree[i] / totalWeight;
+                        if (gain > bestGain + 1e-12) { best = c; bestGain = gain; }
+                    });
+                    communityDegree[best] += degree[i];
+                    if (best !== current) { community[i] = best; moved = true; improved = true; }
+                }
+            }
+            if (!improved) break;
+
+            // Aggregate: every community becomes one node of the next level
+            const renumber = new Map();
+            community.forEach(c => { if (!renumber.has(c)) renumber.set(c, renumber.size); });
+            membership = membership.map(node => renumber.get(community[node]));
+            const nextAdjacency = Array.from({ length: renumber.size }, () => new Map());
+            const nextSelfWeight = new Float64Array(renumber.size);
+            for (let i = 0; i < n; i++) {
+                const ci = renumber.get(community[i]);
+                nextSelfWeight[ci] += selfWeight[i];
+                adjacency[i].forEach((w, j) => {
+                    const cj = renumber.get(community[j]);
+                    if (ci === cj) nextSelfWeight[ci] += w / 2; // Internal links are seen from both ends
+                    else nextAdjacency[ci].set(cj, (nextAdjacency[ci].get(cj) || 0) + w);
+                });
+            }
+            adjacency = nextAdjacency;
+            selfWeight = nextSelfWeight;
+            n = renumber.size;
+        }
+        return new Map(names.map((name, i) => [name, membership[i]]));
+    }
+
+    // Insert a detected-community level between the cuisine root and its ingredients. Communities are
+    // numbered largest first, coloured, and labelled with their most connected members; ingredients in
+    // communities smaller than COMMUNITY_MIN_SIZE share one "Loosely connected" group.
+    function groupHierarchyByCommunity(hierarchy, links) {
+        const leaves = (hierarchy.children || []).slice().sort((a, b) => d3.ascending(a.name, b.name));
+        const membership = detectCommunities(leaves.map(d => d.name), links);
+        const strength = new Map(); // Weight of each ingredient's links inside its community
+        links.forEach(({ source, target, value }) => {
+            if (membership.get(source) !== membership.get(target)) return;
+            strength.set(source, (strength.get(source) || 0) + value);
+            strength.set(target, (strength.get(target) || 0) + value);
+        });
+        const communities = d3.groups(leaves, d => membership.get(d.name))
+            .map(([, members]) => members)
+            .sort((a, b) => b.length - a.length || d3.ascending(a[0].name, b[0].name));
+        const groups = [];
+        const loose = [];
+        communities.forEach(members => {
+            if (members.length < COMMUNITY_MIN_SIZE) { loose.push(...members); return; }
+            const groupIndex = groups.length;
+            const hubs = members.slice().sort((a, b) => (strength.get(b.name) || 0) - (strength.get(a.name) || 0) || d3.ascending(a.name, b.name))
+                .slice(0, COMMUNITY_LABEL_MEMBERS).map(d => d.name);
+            groups.push({
+                name: `${groupIndex + 1}. ${hubs.join(", ")}`,
+                communityKey: `community-${groupIndex + 1}`,
+                communityColor: COMMUNITY_COLORS[groupIndex % COMMUNITY_COLORS.length],
+                groupIndex,
+                children: members
+            });
+        });
+        if (loose.length) {
+            groups.push({ name: "Loosely connected", communityKey: 'community-loose', communityColor: TAXONOMY_OTHER.color, groupIndex: groups.length, children: loose });
+        }
+        console.log(`Communities: ${groups.length - (loose.length ? 1 : 0)} detected, ${loose.length} loosely connected ingredient(s).`);
+        return { ...hierarchy, children: groups };
+    }
+
+    // --- Association Metrics ---
+
+    // Map ingredient name -> occurrence count (number of recipes using it)
+    function getOccurrenceMap(rawData) {
+        return new Map((rawData?.hierarchy?.children || [])
+            .filter(item => item?.name && typeof item.value === 'number')
+            .map(item => [item.name, item.value]));
+    }
+
+    // Number of recipes behind the counts. Older API responses lack recipe_count, so fall back to
+    // the most frequent ingredient's count (a lower bound; only shifts PMI/lift by a constant).
+    function getRecipeCount(rawData) {
+        if (rawData?.recipe_count > 0) return rawData.recipe_count;
+        const fallback = d3.max(rawData?.hierarchy?.children || [], d => d.value) || 1;
+        if (rawData && !recipeCountWarned.has(rawData)) { // Once per data set (this runs on every scoring pass and tooltip)
+            recipeCountWarned.add(rawData);
+            console.warn(`No recipe_count in data; estimating it as ${fallback} for association metrics.`);
+        }
+        return fallback;
+    }
+
+    // Selected metric for a pair seen together in `co` recipes, or null if it fails the support guard.
+    // For directional metrics ca is the conditioning ingredient (A in P(B|A)).
+    function computePairMetric(co, ca, cb, n, metricKey = pairMetricSettings.metric) {
+        if (metricKey === 'count') return co;
+        if (co < pairMetricSettings.minSupport || !(ca > 0) || !(cb > 0) || !(n > 0)) return null;
+        // Ingredients listed twice in a recipe can push a pair count above an ingredient count; cap it
+        const value = PAIR_METRICS[metricKey].compute({ co: Math.min(co, ca, cb), ca, cb, n });
+        return Number.isFinite(value) ? value : null;
+    }
+
+    // Copy links with a metricValue for the selected metric. Directional metrics take the stronger direction.
+    // Links failing the support guard are dropped unless keepUnsupported is set (they then get metricValue null).
+    function scoreLinks(rawData, links, { keepUnsupported = false } = {}) {
+        const occurrences = getOccurrenceMap(rawData);
+        const recipeCount = getRecipeCount(rawData);
+        const metric = PAIR_METRICS[pairMetricSettings.metric];
+        return links.map(link => {
+            const ca = occurrences.get(link.source), cb = occurrences.get(link.target);
+            let metricValue = computePairMetric(link.value, ca, cb, recipeCount);
+            if (metric.directional && metricValue !== null) {
+                metricValue = Math.max(metricValue, computePairMetric(link.value, cb, ca, recipeCount));
+            }
+            return { ...link, metricValue };
+        }).filter(link => keepUnsupported || link.metricValue !== null);
+    }
+
+    // Axis/tick formatter for the selected metric
+    function formatMetricValue(value) {
+        if (value === null || value === undefined) return "n/a";
+        return d3.format(PAIR_METRICS[pairMetricSettings.metric].format)(value);
+    }
+
     // Process data for Top Ingredients Bar Chart (based on occurrence)
-    function processDataForBarChart(rawData, topN = 20) {
+    function processDataForBarChart(rawData, topN = BAR_TOP_N) {
         console.log("Processing data for Top Ingredients Bar Chart...");
          if (!rawData?.hierarchy?.children) {
              console.warn("No hierarchy.children found for bar chart processing.");
@@ -254,40 +1206,44 @@ document.addEventListener('DOMContentLoaded', () => {
         return { sortedNodes };
     }
 
-    // Process data for Top Ingredient Pairs Bar Chart (based on link value)
-    function processDataForPairsBarChart(rawData, topN = 20) {
-        console.log("Processing data for Top Pairs Bar Chart...");
+    // Process data for Top Ingredient Pairs Bar Chart (ranked by the selected association metric)
+    function processDataForPairsBarChart(rawData, topN = PAIRS_TOP_N) {
+        console.log(`Processing data for Top Pairs Bar Chart (metric: ${pairMetricSettings.metric})...`);
          if (!rawData?.links) return { error: "Link data is required for Top Pairs chart." };
          if (rawData.links.length === 0) return { error: "No links (pairs) available." };
 
-         // Sort links by co-occurrence value and take top N
-         const sortedLinks = [...rawData.links]
-             .filter(link => link.value > 0 && link.source && link.target) // Ensure links are valid
-             .sort((a, b) => b.value - a.value)
+         // Score valid links with the selected metric (support-guarded), sort and take top N
+         const sortedLinks = scoreLinks(rawData, rawData.links.filter(link => link.value > 0 && link.source && link.target))
+             .sort((a, b) => b.metricValue - a.metricValue || b.value - a.value)
              .slice(0, topN);
 
          // Format data for the chart
          const chartData = sortedLinks.map(link => ({
              pairLabel: [link.source, link.target].sort().join(' & '), // Consistent A & B label
-             value: link.value,
+             value: link.metricValue, // Plotted value (selected metric)
+             count: link.value, // Raw co-occurrence count
              source: link.source, // Keep original source/target for potential interaction
              target: link.target
          }));
 
-         if (chartData.length === 0) return { error: "No valid pairs found after sorting/filtering." };
+         if (chartData.length === 0) {
+             return { error: pairMetricSettings.metric === 'count'
+                 ? "No valid pairs found after sorting/filtering."
+                 : `No pairs reach the minimum support of ${pairMetricSettings.minSupport} recipes.` };
+         }
 
          console.log(`Top Pairs Bar Processed: ${chartData.length} pairs.`);
          return { sortedPairs: chartData };
     }
 
     // Process data for Adjacency Matrix (Top N Ingredients by Occurrence)
-    function processDataForMatrix(rawData, topN = MATRIX_TOP_N) {
-        console.log(`Processing data for Adjacency Matrix (Top ${topN} ingredients)...`);
+    function processDataForMatrix(rawData, topN = matrixSettings.topN) {
+        console.log(`Processing data for Adjacency Matrix (Top ${topN || 'all'} ingredients)...`);
         // Check for required data: links and hierarchy with children for ranking
         if (!rawData?.links) return { error: "Link data is required for the Adjacency Matrix." };
         if (!rawData?.hierarchy?.children) {
              console.error("Hierarchy data with children (for occurrence counts) is required to determine top ingredients for the matrix.");
-             return { error: `Hierarchy data needed to rank Top ${topN} ingredients for Matrix.` };
+             return { error: `Hierarchy data needed to rank top ingredients for Matrix.` };
         }
 
         // 1. Get Top N ingredients based on occurrence count from hierarchy
@@ -301,10 +1257,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const topIngredients = ingredientsWithOccurrences
             .sort((a, b) => b.value - a.value) // Sort descending by occurrence
-            .slice(0, topN);                     // Take the top N
+            .slice(0, topN > 0 ? topN : Infinity); // Take the top N (0 = all)
 
         if (topIngredients.length === 0) {
-             return { error: `Could not determine Top ${topN} ingredients.`};
+             return { error: `Could not determine the top ingredients.`};
         }
 
         // 2. Get the names of these top ingredients and sort them alphabetically for matrix axes
@@ -329,39 +1285,517 @@ document.addEventListener('DOMContentLoaded', () => {
         const nodeIndex = new Map(topIngredientNames.map((name, i) => [name, i]));
         const matrix = topIngredientNames.map((sourceName, i) => {
             return topIngredientNames.map((targetName, j) => {
-                // Initialize each cell object
-                return { x: j, y: i, z: 0, source: sourceName, target: targetName }; // z = co-occurrence value
+                // Initialize each cell object (count = co-occurrence, z = selected metric, null = not shown)
+                return { x: j, y: i, z: null, count: 0, source: sourceName, target: targetName };
             });
         });
 
-        // 5. Populate the matrix grid with values from the *filtered* links
-        let maxValue = 0;
+        // 5. Populate the matrix grid with co-occurrence counts from the *filtered* links
         filteredLinks.forEach(link => {
             const sourceIndex = nodeIndex.get(link.source);
             const targetIndex = nodeIndex.get(link.target);
             // Indices should always be valid here due to pre-filtering
             if (sourceIndex !== undefined && targetIndex !== undefined) {
                  const value = link.value || 0;
-                 matrix[sourceIndex][targetIndex].z += value;
+                 matrix[sourceIndex][targetIndex].count += value;
                  // Add value to the symmetric position for undirected graph representation
                  if (sourceIndex !== targetIndex) {
-                    matrix[targetIndex][sourceIndex].z += value;
+                    matrix[targetIndex][sourceIndex].count += value;
                  }
-                 // Update max value found in the matrix
-                 maxValue = Math.max(maxValue, matrix[sourceIndex][targetIndex].z, matrix[targetIndex][sourceIndex].z);
             }
         });
 
-        console.log(`Matrix Processed: ${topIngredientNames.length} nodes, Max value: ${maxValue}.`);
-        // Return the sorted node names, the populated matrix grid, and the max value for color scaling
-        return { nodes: topIngredientNames, matrix, maxValue };
+        // 6. Score each cell with the selected metric (row = A, column = B for directional metrics)
+        const occurrences = getOccurrenceMap(rawData);
+        const recipeCount = getRecipeCount(rawData);
+        let maxValue = 0, minValue = 0;
+        matrix.flat().forEach(cell => {
+            if (cell.count <= 0) return;
+            cell.z = computePairMetric(cell.count, occurrences.get(cell.source), occurrences.get(cell.target), recipeCount);
+            if (cell.z === null) return;
+            maxValue = Math.max(maxValue, cell.z);
+            minValue = Math.min(minValue, cell.z);
+        });
+
+        console.log(`Matrix Processed: ${topIngredientNames.length} nodes, Value range: [${minValue}, ${maxValue}].`);
+        // Return the sorted node names, the populated matrix grid, and the value range for color scaling,
+        // plus the row/column order chosen in #matrix-order
+        const processed = { nodes: topIngredientNames, matrix, maxValue, minValue,
+            ranking: new Map(topIngredients.map(d => [d.name, d.value])) };
+        processed.order = computeMatrixOrder(processed);
+        return processed;
+    }
+
+    // Process data for the Force Network: links at or above the strength threshold between the
+    // maxNodes most frequent ingredients that have such a link (ingredients left unlinked are dropped)
+    function processDataForNetwork(rawData, minLinkValue = networkSettings.minLinkValue, maxNodes = NETWORK_MAX_NODES) {
+        console.log(`Processing data for Force Network (co-occurrence >= ${minLinkValue})...`);
+        if (!rawData?.links) return { error: "Link data is required for the Force Network." };
+        const occurrences = getOccurrenceMap(rawData);
+        const strongLinks = rawData.links.filter(link => link.value >= minLinkValue && link.source && link.target && link.source !== link.target);
+        const linkedNames = new Set(strongLinks.flatMap(link => [link.source, link.target]));
+        if (linkedNames.size === 0) return { error: `No ingredient pairs reach a co-occurrence of ${minLinkValue}. Lower the strength threshold.` };
+
+        // Keep the most frequent linked ingredients, then the links among them
+        const keptNames = new Set(Array.from(linkedNames)
+            .sort((a, b) => (occurrences.get(b) || 0) - (occurrences.get(a) || 0) || d3.ascending(a, b))
+            .slice(0, maxNodes));
+        const links = strongLinks
+            .filter(link => keptNames.has(link.source) && keptNames.has(link.target))
+            .map(link => ({ source: link.source, target: link.target, value: link.value }));
+        const degree = new Map();
+        links.forEach(link => [link.source, link.target].forEach(name => degree.set(name, (degree.get(name) || 0) + 1)));
+        const nodes = Array.from(degree.keys()) // Most frequent first (keyboard order)
+            .map(name => ({ name, value: occurrences.get(name) || 0, degree: degree.get(name) }))
+            .sort((a, b) => b.value - a.value || d3.ascending(a.name, b.name));
+
+        console.log(`Force Network Processed: ${nodes.length} nodes, ${links.length} links.`);
+        return { nodes, links, truncated: linkedNames.size > maxNodes };
+    }
+
+    // Process data for the Chord Diagram: a symmetric co-occurrence matrix between the top N ingredients
+    // (aggregate 'ingredient') or summed between taxonomy groups (aggregate 'group'; pairs inside a group
+    // form the group's self ribbon). keys[i] = { key, label, color, names } describes row/arc i.
+    function processDataForChord(rawData, { aggregate = chordSettings.aggregate, topN = chordSettings.topN } = {}) {
+        console.log(`Processing data for Chord Diagram (${aggregate === 'group' ? "ingredient groups" : `top ${topN} ingredients`})...`);
+        if (!rawData?.links) return { error: "Link data is required for the Chord Diagram." };
+        const occurrences = getOccurrenceMap(rawData);
+        const validLinks = rawData.links.filter(link => link.value > 0 && link.source && link.target && link.source !== link.target);
+
+        let keys;
+        let keyOf; // Ingredient name -> key (undefined when the ingredient is left out)
+        if (aggregate === 'group') {
+            const linkedNames = new Set(validLinks.flatMap(link => [link.source, link.target]));
+            keys = d3.groups(Array.from(linkedNames), name => classifyIngredient(name).groupIndex)
+                .sort((a, b) => d3.ascending(a[0], b[0]))
+                .map(([, names]) => {
+                    const { group } = classifyIngredient(names[0]);
+                    return { key: group.key, label: group.label, color: group.color, names: names.sort(d3.ascending) };
+                });
+            keyOf = name => classifyIngredient(name).group.key;
+        } else {
+            // Most frequent ingredients, arranged by taxonomy group (then frequency) so colours run together
+            keys = Array.from(occurrences, ([name, value]) => ({ name, value }))
+                .sort((a, b) => b.value - a.value || d3.ascending(a.name, b.name))
+                .slice(0, topN)
+                .sort((a, b) => classifyIngredient(a.name).groupIndex - classifyIngredient(b.name).groupIndex || b.value - a.value)
+                .map(({ name }) => ({ key: name, label: name, color: classifyIngredient(name).group.color, names: [name] }));
+            keyOf = name => name;
+        }
+
+        const indexByKey = new Map(keys.map((d, i) => [d.key, i]));
+        const matrix = keys.map(() => new Array(keys.length).fill(0));
+        validLinks.forEach(link => {
+            const i = indexByKey.get(keyOf(link.source)), j = indexByKey.get(keyOf(link.target));
+            if (i === undefined || j === undefined) return;
+            matrix[i][j] += link.value;
+            if (i !== j) matrix[j][i] += link.value;
+        });
+        if (!matrix.some(row => row.some(value => value > 0))) {
+            return { error: "No co-occurrences between the chosen ingredients for the Chord Diagram." };
+        }
+
+        console.log(`Chord Diagram Processed: ${keys.length} arcs.`);
+        return { keys, matrix, aggregate };
+    }
+
+
+    // --- Cuisine Comparison (A vs B, normalised by recipe count) ---
+
+    // Compare charts are drawn only when the toggle is on and both cuisines are loaded
+    function isCompareActive() {
+        return compareMode && !!currentCuisineData && !!compareCuisineData;
+    }
+
+    // Whether the given chart type is drawn as a cuisine comparison right now
+    function isCompareChart(chartType = currentChartType) {
+        return isCompareActive() && COMPARE_CHART_TYPES.includes(chartType);
+    }
+
+    // Order-independent key for an ingredient pair
+    function pairKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    // Ingredient -> { count, share } where share is the fraction of the cuisine's recipes using it
+    function getOccurrenceShares(rawData) {
+        const recipeCount = getRecipeCount(rawData);
+        return new Map(Array.from(getOccurrenceMap(rawData), ([name, count]) => [name, { count, share: count / recipeCount }]));
+    }
+
+    // Pair key -> { source, target, count, share } where share is the fraction of recipes using both
+    function getPairShares(rawData) {
+        const recipeCount = getRecipeCount(rawData);
+        const shares = new Map();
+        rawData.links.forEach(link => {
+            if (!link.source || !link.target || !(link.value > 0)) return;
+            const key = pairKey(link.source, link.target);
+            const entry = shares.get(key) || { source: link.source, target: link.target, count: 0 };
+            entry.count += link.value;
+            entry.share = entry.count / recipeCount;
+            shares.set(key, entry);
+        });
+        return shares;
+    }
+
+    // Process data for the mirrored Top Ingredients chart: top N ingredients by their larger share in A or B
+    function processDataForCompareBars(dataA, dataB, topN = COMPARE_TOP_N) {
+        console.log(`Processing compare data for Top Ingredients (${currentCuisineName} vs ${compareCuisineName})...`);
+        const sharesA = getOccurrenceShares(dataA), sharesB = getOccurrenceShares(dataB);
+        const names = new Set([...sharesA.keys(), ...sharesB.keys()]);
+        const rows = Array.from(names, name => ({
+            name,
+            label: name,
+            countA: sharesA.get(name)?.count || 0, shareA: sharesA.get(name)?.share || 0,
+            countB: sharesB.get(name)?.count || 0, shareB: sharesB.get(name)?.share || 0
+        }))
+            .sort((a, b) => Math.max(b.shareA, b.shareB) - Math.max(a.shareA, a.shareB) || d3.ascending(a.name, b.name))
+            .slice(0, topN);
+        if (rows.length === 0) return { error: "No ingredient occurrence data to compare." };
+        return { rows };
+    }
+
+    // Process data for the mirrored Top Pairs chart: top N pairs by their larger share in A or B
+    function processDataForComparePairs(dataA, dataB, topN = COMPARE_TOP_N) {
+        console.log(`Processing compare data for Top Pairs (${currentCuisineName} vs ${compareCuisineName})...`);
+        const sharesA = getPairShares(dataA), sharesB = getPairShares(dataB);
+        const keys = new Set([...sharesA.keys(), ...sharesB.keys()]);
+        const rows = Array.from(keys, key => {
+            const a = sharesA.get(key), b = sharesB.get(key);
+            const { source, target } = a || b;
+            return {
+                pairLabel: [source, target].sort().join(' & '), // Same label format as the Top Pairs chart
+                label: [source, target].sort().join(' & '),
+                source, target,
+                countA: a?.count || 0, shareA: a?.share || 0,
+                countB: b?.count || 0, shareB: b?.share || 0
+            };
+        })
+            .sort((a, b) => Math.max(b.shareA, b.shareB) - Math.max(a.shareA, a.shareB) || d3.ascending(a.label, b.label))
+            .slice(0, topN);
+        if (rows.length === 0) return { error: "No ingredient pairs to compare." };
+        return { rows };
+    }
+
+    // Process data for the difference matrix: cell z = share of A recipes with the pair - share of B recipes
+    function processDataForDifferenceMatrix(dataA, dataB, topN = matrixSettings.topN) {
+        console.log(`Processing difference matrix (${currentCuisineName} - ${compareCuisineName}, Top ${topN || 'all'})...`);
+        const ingredientRows = processDataForCompareBars(dataA, dataB, topN > 0 ? topN : Infinity).rows;
+        if (!ingredientRows?.length) return { error: "No ingredient occurrence data to compare." };
+        const nodes = ingredientRows.map(d => d.name).sort(); // Alphabetical axes, like the single-cuisine matrix
+        const pairSharesA = getPairShares(dataA), pairSharesB = getPairShares(dataB);
+
+        let maxValue = 0, minValue = 0;
+        const matrix = nodes.map((sourceName, i) => nodes.map((targetName, j) => {
+            const a = pairSharesA.get(pairKey(sourceName, targetName));
+            const b = pairSharesB.get(pairKey(sourceName, targetName));
+            const cell = {
+                x: j, y: i, source: sourceName, target: targetName,
+                countA: a?.count || 0, shareA: a?.share || 0,
+                countB: b?.count || 0, shareB: b?.share || 0
+            };
+            cell.count = cell.countA + cell.countB; // Cells without the pair in either cuisine stay empty
+            cell.z = cell.count > 0 ? cell.shareA - cell.shareB : null;
+            if (cell.z !== null) {
+                maxValue = Math.max(maxValue, cell.z);
+                minValue = Math.min(minValue, cell.z);
+            }
+            return cell;
+        }));
+        console.log(`Difference Matrix Processed: ${nodes.length} nodes, range [${minValue}, ${maxValue}].`);
+        const processed = { nodes, matrix, maxValue, minValue, difference: true,
+            ranking: new Map(ingredientRows.map(d => [d.name, Math.max(d.shareA, d.shareB)])) };
+        processed.order = computeMatrixOrder(processed);
+        return processed;
+    }
+
+    // --- Signature Ingredients (over-representation vs the other cuisines) ---
+
+    // Every cuisine's per-ingredient counts: the All cuisines data (any weighting; its breakdowns are raw counts),
+    // loaded once for the Signature Ingredients chart and the cuisine similarity map
+    function getAllCuisinesData() {
+        if (!allCuisinesDataPromise) {
+            allCuisinesDataPromise = getCuisineData(ALL_CUISINES)
+                .then(data => { allCuisinesData = data; return data; })
+                .catch(error => { allCuisinesDataPromise = null; throw error; }); // Ask again next time
+        }
+        return allCuisinesDataPromise;
+    }
+
+    // Fetch the data the Signature Ingredients chart compares with, then draw the chart if it's still wanted
+    async function loadSignatureBaseline() {
+        try {
+            await getAllCuisinesData();
+            if (currentChartType === 'signature') renderCurrentChart();
+        } catch (error) {
+            console.error("Error loading every cuisine for the signature ingredients:", error);
+            if (currentChartType !== 'signature') return;
+            if (error.offline) displayOfflineMessage(ALL_CUISINES, loadSignatureBaseline);
+            else displayErrorMessage("Failed to load the other cuisines to compare with. Please try again.");
+        }
+    }
+
+    // Ingredients over-represented in the cuisine compared with the rest of the dataset. Each ingredient gets the
+    // log odds ratio of appearing in a recipe of this cuisine vs of another cuisine (0.5 added to every cell of the
+    // 2x2 table), with a 95% Wald confidence interval; the ranking uses the interval's lower bound, so an ingredient
+    // seen in a handful of recipes must be far more common here to beat a staple that is only somewhat more common.
+    function processDataForSignature(rawData, allData) {
+        const cuisineRecipes = getRecipeCount(rawData);
+        const totalRecipes = getRecipeCount(allData);
+        const otherRecipes = totalRecipes - cuisineRecipes;
+        if (!(otherRecipes > 0)) return { error: "Signature ingredients need other cuisines to compare with." };
+        const globalCounts = new Map((allData.hierarchy.children || []).map(d =>
+            [d.name, d.cuisines ? d3.sum(Object.values(d.cuisines)) : d.value]));
+
+        const signatures = (rawData.hierarchy.children || []).map(d => {
+            const cuisineCount = Math.min(d.value || 0, cuisineRecipes);
+            const globalCount = Math.max(globalCounts.get(d.name) || 0, cuisineCount);
+            const otherCount = Math.min(globalCount - cuisineCount, otherRecipes);
+            const [a, b, c, e] = [cuisineCount, cuisineRecipes - cuisineCount, otherCount, otherRecipes - otherCount].map(n => n + 0.5);
+            const logOdds = Math.log((a * e) / (b * c));
+            const se = Math.sqrt(1 / a + 1 / b + 1 / c + 1 / e);
+            return {
+                name: d.name, cuisineCount, globalCount,
+                cuisineShare: cuisineCount / cuisineRecipes, globalShare: globalCount / totalRecipes,
+                logOdds, lower: logOdds - SIGNATURE_Z * se, upper: logOdds + SIGNATURE_Z * se
+            };
+        })
+            .filter(d => d.cuisineCount >= SIGNATURE_MIN_RECIPES && d.lower > 0)
+            .sort((x, y) => y.lower - x.lower || d3.ascending(x.name, y.name))
+            .slice(0, SIGNATURE_TOP_N);
+        if (!signatures.length) return { error: `No ingredient is clearly more common in ${currentCuisineName} than in the other cuisines.` };
+        return { signatures, cuisineRecipes, totalRecipes };
+    }
+
+    // --- Matrix Seriation (row/column order) ---
+    // Rows and columns share one order, a permutation of the matrix's node names. Weight-based
+    // methods read a non-negative similarity per pair (see getMatrixWeights).
+
+    // Order the matrix nodes with the given method (MATRIX_ORDERS key); returns node names
+    function computeMatrixOrder(processed, method = matrixSettings.order) {
+        const { nodes, ranking } = processed;
+        const byName = (a, b) => d3.ascending(nodes[a], nodes[b]);
+        const byRanking = (a, b) => d3.descending(ranking?.get(nodes[a]) || 0, ranking?.get(nodes[b]) || 0) || byName(a, b);
+        const indices = d3.range(nodes.length);
+        if (method === 'occurrence') return indices.sort(byRanking).map(i => nodes[i]);
+        if (!['degree', 'cluster', 'spectral', 'barycentric'].includes(method)) return indices.sort(byName).map(i => nodes[i]);
+
+        const weights = getMatrixWeights(processed);
+        const strength = weights.map(row => d3.sum(row));
+        // Ingredients without any pair in the matrix carry no structure; keep them at the end
+        const connected = indices.filter(i => strength[i] > 0);
+        const isolated = indices.filter(i => strength[i] === 0).sort(byName);
+        const subWeights = connected.map(i => connected.map(j => weights[i][j]));
+        let localOrder; // Indices into `connected`
+        switch (method) {
+            case 'degree': {
+                const degree = subWeights.map(row => row.filter(w => w > 0).length);
+                localOrder = d3.range(connected.length).sort((a, b) =>
+                    degree[b] - degree[a] || strength[connected[b]] - strength[connected[a]] || byName(connected[a], connected[b]));
+                break;
+            }
+            case 'cluster': {
+                const distances = cosineDistances(subWeights);
+                localOrder = optimalLeafOrder(averageLinkageTree(distances), distances);
+                break;
+            }
+            case 'spectral':
+                localOrder = spectralOrder(subWeights);
+                break;
+            case 'barycentric': // Start from the occurrence order so the result is stable
+                localOrder = barycentricOrder(subWeights,
+                    d3.range(connected.length).sort((a, b) => byRanking(connected[a], connected[b])));
+                break;
+        }
+        return [...localOrder.map(k => connected[k]), ...isolated].map(i => nodes[i]);
+    }
+
+    // Similarity matrix for seriation (diagonal ignored): the plotted value for non-negative metrics,
+    // positive association only for PMI/NPMI, and the combined recipe share in the difference matrix
+    function getMatrixWeights({ matrix, difference }) {
+        return matrix.map((row, i) => row.map((cell, j) => {
+            if (i === j || cell.z === null) return 0;
+            if (difference) return cell.shareA + cell.shareB;
+            return Math.max(0, cell.z);
+        }));
+    }
+
+    // 1 - cosine similarity of the weight rows (ingredients with similar partners end up close)
+    function cosineDistances(weights) {
+        const norms = weights.map(row => Math.sqrt(d3.sum(row, w => w * w)));
+        return weights.map((rowA, i) => weights.map((rowB, j) => {
+            if (i === j) return 0;
+            if (!norms[i] || !norms[j]) return 1;
+            return Math.max(0, 1 - d3.sum(rowA, (w, k) => w * rowB[k]) / (norms[i] * norms[j]));
+        }));
+    }
+
+    // Agglomerative clustering with average linkage; returns a binary tree { leaves, left, right, height }
+    // (height = average distance between the two merged clusters, 0 for leaves)
+    function averageLinkageTree(distances) {
+        let clusters = distances.map((_, i) => ({ leaves: [i], left: null, right: null, height: 0 }));
+        let between = distances.map(row => row.slice()); // Distances between the current clusters
+        while (clusters.length > 1) {
+            let bestA = 0, bestB = 1;
+            for (let a = 0; a < clusters.length; a++) {
+                for (let b = a + 1; b < clusters.length; b++) {
+                    if (between[a][b] < between[bestA][bestB]) { bestA = a; bestB = b; }
+                }
+            }
+            const left = clusters[bestA], right = clusters[bestB];
+            const sizeA = left.leaves.length, sizeB = right.leaves.length;
+            const height = between[bestA][bestB];
+            // Lance-Williams update for average linkage
+            const mergedRow = between[bestA].map((d, k) => (d * sizeA + between[bestB][k] * sizeB) / (sizeA + sizeB));
+            clusters = clusters.filter((_, k) => k !== bestB);
+            between = between.filter((_, k) => k !== bestB).map(row => row.filter((_, k) => k !== bestB));
+            mergedRow.splice(bestB, 1);
+            mergedRow[bestA] = 0;
+            clusters[bestA] = { leaves: [...left.leaves, ...right.leaves], left, right, height };
+            between[bestA] = mergedRow;
+            between.forEach((row, k) => { row[bestA] = mergedRow[k]; });
+        }
+        return clusters[0];
+    }
+
+    // Optimal leaf ordering (Bar-Joseph et al., 2001): flip the dendrogram's subtrees so that the summed
+    // distance between neighbouring leaves is minimal. O(n^3) dynamic programme over (first, last) leaf pairs.
+    function optimalLeafOrder(tree, distances) {
+        // cost.get(i).get(j): best cost of the node's leaves laid out from leaf i to leaf j
+        function solve(node) {
+            if (!node.left) {
+                const leaf = node.leaves[0];
+                node.cost = new Map([[leaf, new Map([[leaf, 0]])]]);
+                return;
+            }
+            solve(node.left);
+            solve(node.right);
+            const { left, right } = node;
+            node.cost = new Map();
+            node.choice = new Map(); // "i,j" -> [k, l]: left part runs i..k, right part runs l..j
+            left.leaves.forEach(i => node.cost.set(i, new Map()));
+            right.leaves.forEach(j => node.cost.set(j, new Map()));
+            left.leaves.forEach(i => {
+                // Cheapest way to end the left part at some k and step over to l
+                const toRight = new Map();
+                right.leaves.forEach(l => {
+                    let best = Infinity, bestK = null;
+                    left.cost.get(i).forEach((cost, k) => {
+                        const total = cost + distances[k][l];
+                        if (total < best) { best = total; bestK = k; }
+                    });
+                    toRight.set(l, { cost: best, k: bestK });
+                });
+                right.leaves.forEach(j => {
+                    let best = Infinity, bestPair = null;
+                    toRight.forEach(({ cost, k }, l) => {
+                        const tail = right.cost.get(l).get(j);
+                        if (tail === undefined) return;
+                        if (cost + tail < best) { best = cost + tail; bestPair = [k, l]; }
+                    });
+                    node.cost.get(i).set(j, best);
+                    node.cost.get(j).set(i, best); // Same layout read backwards
+                    node.choice.set(`${i},${j}`, bestPair);
+                });
+            });
+        }
+        function layout(node, first, last) {
+            if (!node.left) return [first];
+            const choice = node.choice.get(`${first},${last}`);
+            if (!choice) return layout(node, last, first).reverse(); // first lies in the right subtree
+            return [...layout(node.left, first, choice[0]), ...layout(node.right, choice[1], last)];
+        }
+
+        solve(tree);
+        let best = Infinity, ends = null;
+        tree.cost.forEach((row, i) => row.forEach((cost, j) => {
+            if (cost < best) { best = cost; ends = [i, j]; }
+        }));
+        return ends ? layout(tree, ends[0], ends[1]) : tree.leaves.slice();
+    }
+
+    // Spectral seriation: sort by the Fiedler vector of the graph Laplacian L = D - W, found by
+    // power iteration on (cI - L) with the constant vector projected out
+    function spectralOrder(weights) {
+        const n = weights.length;
+        if (n < 3) return d3.range(n);
+        const degree = weights.map(row => d3.sum(row));
+        const shift = 2 * d3.max(degree); // Larger than every Laplacian eigenvalue
+        const normalise = vector => {
+            const mean = d3.mean(vector);
+            let norm = 0;
+            for (let i = 0; i < n; i++) { vector[i] -= mean; norm += vector[i] * vector[i]; }
+            norm = Math.sqrt(norm) || 1;
+            for (let i = 0; i < n; i++) vector[i] /= norm;
+            return vector;
+        };
+        let vector = normalise(Float64Array.from({ length: n }, (_, i) => Math.cos(i + 1))); // Deterministic start
+        for (let iteration = 0; iteration < 1000; iteration++) {
+            const next = new Float64Array(n); // (cI - L) v = (c - degree) v + W v
+            for (let i = 0; i < n; i++) {
+                const row = weights[i];
+                let sum = (shift - degree[i]) * vector[i];
+                for (let j = 0; j < n; j++) sum += row[j] * vector[j];
+                next[i] = sum;
+            }
+            normalise(next);
+            let change = 0;
+            for (let i = 0; i < n; i++) change = Math.max(change, Math.abs(next[i] - vector[i]));
+            vector = next;
+            if (change < 1e-9) break;
+        }
+        return d3.range(n).sort((a, b) => vector[a] - vector[b] || a - b);
+    }
+
+    // Barycentric seriation: repeatedly move each node to the weighted mean position of its partners
+    function barycentricOrder(weights, initialOrder) {
+        let order = initialOrder.slice();
+        for (let iteration = 0; iteration < 50; iteration++) {
+            const position = [];
+            order.forEach((node, p) => { position[node] = p; });
+            const barycenter = order.map(() => 0);
+            order.forEach(node => {
+                const total = d3.sum(weights[node]);
+                barycenter[node] = total > 0
+                    ? d3.sum(weights[node], (w, j) => w * position[j]) / total
+                    : position[node];
+            });
+            const next = order.slice().sort((a, b) => barycenter[a] - barycenter[b] || position[a] - position[b]);
+            if (next.every((node, p) => node === order[p])) break; // Converged
+            order = next;
+        }
+        return order;
+    }
+
+    // --- Chart Transitions (keyed data joins) ---
+    // Renderers keep their elements between draws: joins keyed by ingredient or pair move, resize and recolour
+    // what stays, fade in what is new and fade out what left (see renderCurrentChart for the duration).
+
+    // Empty `group` unless its elements come from the same renderer variant (e.g. single vs compare bars)
+    function prepareChartGroup(group, kind) {
+        if (chartGroupKinds.get(group.node()) !== kind) group.selectAll("*").remove();
+        chartGroupKinds.set(group.node(), kind);
+    }
+
+    // Child of `parent` with this tag and classes, appended on first use (axes, titles, layers)
+    function ensureChild(parent, tag, className) {
+        const child = parent.selectChild(`${tag}.${className.split(" ").join(".")}`);
+        return child.empty() ? parent.append(tag).attr("class", className) : child;
     }
 
+    // Exit side of a keyed join: leaving elements drop their class (chart queries and styles skip them) and fade out
+    function fadeOutExit(exit, duration) {
+        exit.attr("class", "chart-exit").style("pointer-events", "none")
+            .transition("exit").duration(duration).style("opacity", 0).remove();
+    }
 
     // --- Chart Rendering Functions ---
 
-    // Main function to dispatch rendering based on currentChartType
-    function renderCurrentChart() {
+    // Main function to dispatch rendering based on currentChartType. Redrawing the chart on screen (new
+    // cuisine, settings or size) joins the new data to its elements and keeps its zoom; a new chart type starts over.
+    // options.preserveZoom: keep the current HEB/network zoom even when switching charts
+    // options.resize: relayout at the new size without animating
+    function renderCurrentChart(options = {}) {
         console.log(`renderCurrentChart called. Type: ${currentChartType}, Data loaded: ${!!currentCuisineData}`);
         // Ensure data is loaded before attempting to render
         if (!currentCuisineData) {
@@ -372,8 +1806,15 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        clearVisualization(); // Clear previous chart drawings
+        // Capture the HEB/network zoom/pan (and the network's node positions) before they are cleared or recentered
+        const redraw = options.preserveZoom || lastRendered?.chartType === currentChartType;
+        const renderOptions = {
+            duration: options.resize ? 0 : CHART_TRANSITION_MS,
+            ...(redraw ? { preservedTransform: d3.zoomTransform(svg.node()), previousNodes: networkSimulation?.nodes() || null } : {})
+        };
+        clearVisualization("", { keep: redraw ? getActiveChartGroup() : null }); // A redrawn chart's elements stay for the join
         updateSvgDimensions(); // Ensure dimensions and group visibility are correct
+        updateTitle(getChartTitle()); // Title reflects cuisine (and HEB thresholds when relevant)
 
         try {
             let processed = null;       // To hold processed data
@@ -391,29 +1832,63 @@ document.addEventListener('DOMContentLoaded', () => {
                 case 'bar':
                     requiredDataCheck = () => !!currentCuisineData.hierarchy?.children;
                     if (!requiredDataCheck()) { displayErrorMessage("Ingredient occurrence data (hierarchy children) needed for Top Ingredients chart."); return; }
+                    if (isCompareActive()) { // Mirrored A vs B bars
+                        processed = processDataForCompareBars(currentCuisineData, compareCuisineData);
+                        renderFunction = renderCompareBarChart;
+                        break;
+                    }
                     processed = processDataForBarChart(currentCuisineData);
                     renderFunction = renderBarChart;
                     break;
                 case 'pairs-bar':
                     requiredDataCheck = () => !!currentCuisineData.links;
                      if (!requiredDataCheck()) { displayErrorMessage("Link data is needed for Top Pairs chart."); return; }
+                    if (isCompareActive()) { // Mirrored A vs B bars
+                        processed = processDataForComparePairs(currentCuisineData, compareCuisineData);
+                        renderFunction = renderComparePairsChart;
+                        break;
+                    }
                     processed = processDataForPairsBarChart(currentCuisineData);
                     renderFunction = renderPairsBarChart;
                     break;
                  case 'matrix': // Adjacency Matrix Case
                     // Requires hierarchy for ranking and links for connections
                     requiredDataCheck = () => !!currentCuisineData.links && !!currentCuisineData.hierarchy?.children;
-                    if (!requiredDataCheck()) { displayErrorMessage(`Link data and Hierarchy (with children) needed for Top ${MATRIX_TOP_N} Matrix view.`); return; }
-                    processed = processDataForMatrix(currentCuisineData); // Uses top N logic
+                    if (!requiredDataCheck()) { displayErrorMessage("Link data and Hierarchy (with children) needed for the Matrix view."); return; }
+                    processed = isCompareActive()
+                        ? processDataForDifferenceMatrix(currentCuisineData, compareCuisineData) // A - B shares
+                        : processDataForMatrix(currentCuisineData); // Uses top N logic
                     renderFunction = renderAdjacencyMatrix; // Use matrix renderer
                     break;
+                case 'network':
+                    requiredDataCheck = () => !!currentCuisineData.links;
+                    if (!requiredDataCheck()) { displayErrorMessage("Link data is needed for the Force Network."); return; }
+                    processed = processDataForNetwork(currentCuisineData);
+                    renderFunction = renderNetwork;
+                    break;
+                case 'chord':
+                    requiredDataCheck = () => !!currentCuisineData.links && !!currentCuisineData.hierarchy?.children;
+                    if (!requiredDataCheck()) { displayErrorMessage("Link data and Hierarchy (with children) needed for the Chord Diagram."); return; }
+                    processed = processDataForChord(currentCuisineData);
+                    renderFunction = renderChordDiagram;
+                    break;
+                case 'signature':
+                    requiredDataCheck = () => !!currentCuisineData.hierarchy?.children;
+                    if (!requiredDataCheck()) { displayErrorMessage("Ingredient occurrence data (hierarchy children) needed for Signature Ingredients."); return; }
+                    if (isAllCuisines(currentCuisineName)) { displayInfoMessage("Signature ingredients compare one cuisine with the others. Select a single cuisine."); return; }
+                    if (!allCuisinesData) { // Fetched once, then drawn
+                        displayInfoMessage("Loading the other cuisines to compare with...");
+                        loadSignatureBaseline();
+                        return;
+                    }
+                    processed = processDataForSignature(currentCuisineData, allCuisinesData);
+                    renderFunction = renderSignatureChart;
+                    break;
                 default:
                     // Fallback for unknown type
                     console.error(`Unknown chart type encountered: ${currentChartType}`);
                     displayErrorMessage(`Invalid chart type selected. Resetting to default.`);
-                    currentChartType = 'heb'; // Reset to default
-                    setActiveButton('heb-button');
-                    renderCurrentChart(); // Attempt re-render with default
+                    switchChartType('heb'); // Attempt re-render with default
                     return;
             }
 
@@ -421,12 +1896,21 @@ document.addEventListener('DOMContentLoaded', () => {
             if (processed?.error) {
                 displayInfoMessage(processed.error); // Show info message for processing errors (e.g., no data after filtering)
             } else if (processed && renderFunction) {
-                renderFunction(processed); // Call the specific render function
+                renderFunction(processed, renderOptions); // Call the specific render function
+                lastRendered = { chartType: currentChartType, compare: isCompareChart(), processed }; // HEB, network and chord always show cuisine A
+                keyboardFocus = null; // Arrow keys start over on the new chart
+                updateChartAriaLabel();
+                renderDataTable();
                 // Re-apply search highlight if a search term exists
                  const currentSearchTerm = searchInput.node().value;
                  if (currentSearchTerm) {
                      highlightNodes(currentSearchTerm);
+                 } else {
+                     refreshPantryHighlight(); // Pantry matches show on the HEB while no search is active
                  }
+                 drawHebSubstitutes();
+                 applyPinnedHighlight(); // Keep pinned ingredients emphasized on the new chart
+                 renderDetailsPanel(); // Visibility notes depend on what the new chart shows
             } else {
                 // Handle cases where processing didn't return data or an error object explicitly
                 if(requiredDataCheck()) { // If data check passed but processing failed silently
@@ -442,11 +1926,15 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // Renders Hierarchical Edge Bundling chart
-    function renderHEB({ root, finalLinks, nodeMap }) {
+    // Renders Hierarchical Edge Bundling chart. Nodes are keyed by ingredient and links by pair: on a new
+    // cuisine, threshold or layout the drawn nodes glide around the circle to their new angles (their links
+    // re-bundle on the way), new ones fade in and the ones that left fade out.
+    function renderHEB({ root, finalLinks, nodeMap }, { preservedTransform = null, duration = CHART_TRANSITION_MS } = {}) {
         console.log("Rendering HEB chart...");
         const textScale = Math.min(1.2, Math.max(0.8, currentWidth / 1000)); // Dynamic text size
-        g.selectAll("*").remove(); // Clear previous HEB elements
+        prepareChartGroup(g, 'heb');
+        g.interrupt("heb-glide"); // A glide in progress stops where it is drawn (the next one starts from there)
+        g.selectChildren("defs").remove(); // Gradients of the previous links
 
         // Check if data is valid after processing
         if (!root || !finalLinks || !nodeMap || nodeMap.size === 0) {
@@ -465,57 +1953,333 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
 
-        // Draw Links (Paths)
+        // Link widths follow the selected metric (sqrt of the raw count by default)
+        const metricExtent = d3.extent(linksToDraw.filter(d => d.metricValue !== null), d => d.metricValue);
+        hebMetricWidthScale = (pairMetricSettings.metric === 'count' || metricExtent[0] === undefined) ? null
+            : d3.scaleLinear().domain(metricExtent[0] === metricExtent[1] ? [0, metricExtent[1] || 1] : metricExtent)
+                .range([1, 8]).clamp(true);
+        // Strength colours follow the same quantity as the widths (square-root scale for raw counts, like the widths)
+        const strengthExtent = d3.extent(linksToDraw, getHebLinkStrength);
+        hebLinkColorScale = (hebMetricWidthScale ? d3.scaleSequential : d3.scaleSequentialSqrt)(HEB_LINK_STRENGTH_COLORS)
+            .domain(strengthExtent[0] === strengthExtent[1] ? [0, strengthExtent[1] || 1] : strengthExtent);
+
+        // Draw Links: SVG paths, or a canvas layer under the nodes for large graphs
+        const useCanvas = linksToDraw.length > HEB_CANVAS_LINK_THRESHOLD;
+        if (useCanvas) renderHebCanvas(linksToDraw, nodeMap, preservedTransform || getInitialHebTransform());
+        else discardHebCanvas(); // A kept HEB may have drawn its links on canvas
+        const gradientPaints = !useCanvas && hebLinkColorSettings.mode === 'gradient'
+            ? appendHebLinkGradients(g, linksToDraw, nodeMap, "heb-link-gradient") : null;
+
+        // Drawn position of every hierarchy node (leaves and the group nodes links bundle through): where the
+        // previous HEB drew it when gliding, else its layout position. Canvas links are painted in place, so no glide.
+        const glide = duration > 0 && !useCanvas && !g.select(".node").empty();
+        const descendants = root.descendants();
+        const drawn = new Map(descendants.map(d => {
+            const from = glide ? hebDrawnPositions.get(getHebNodeKey(d)) : null;
+            return [d, { x: from ? from.x : d.x, y: from ? from.y : d.y }];
+        }));
+        const starts = new Map(Array.from(drawn, ([d, position]) => [d, { ...position }]));
+        hebDrawnPositions = new Map(descendants.map(d => [getHebNodeKey(d), drawn.get(d)]));
+        const drawnLine = d3.lineRadial() // lineRadial through the drawn positions
+            .curve(lineRadial.curve())
+            .radius(d => drawn.get(d).y)
+            .angle(d => drawn.get(d).x * Math.PI / 180);
+
         const linkSelection = g.selectAll(".link")
-            .data(linksToDraw)
-            .enter().append("path")
-            .attr("class", "link")
-            .attr("d", d => lineRadial([nodeMap.get(d.source), nodeMap.get(d.target)])) // Generate path data
-            .style("stroke", (d, i) => lineColors[i % lineColors.length]) // Cycle through colors
-            .style("fill", "none")
-            .style("stroke-width", d => Math.min(8, Math.max(1, Math.sqrt(d.value)))) // Width based on value
-            .style("stroke-opacity", 0.6)
-            .style("pointer-events", "visibleStroke"); // Allow hover events on stroke
+            .data(useCanvas ? [] : linksToDraw, d => pairKey(d.source, d.target))
+            .join(
+                enter => enter.insert("path", ".node") // Under the nodes
+                    .attr("class", "link")
+                    .attr("opacity", 0) // Fades in
+                    .style("fill", "none")
+                    .style("pointer-events", "visibleStroke"), // Allow hover events on stroke
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            )
+            .style("stroke", d => gradientPaints ? gradientPaints.get(d) : getHebLinkColor(d, nodeMap)) // Selected colour mode
+            .style("stroke-width", hebLinkWidth) // Width based on value
+            .style("stroke-opacity", 0.6);
+        linkSelection.transition("fade").duration(duration).attr("opacity", 1);
 
         // Draw Nodes (Groups containing circle and text)
         const nodeSelection = g.selectAll(".node")
-            .data(root.leaves()) // Use leaf nodes from the hierarchy
-            .enter().append("g")
-            .attr("class", "node")
-            // Position nodes based on cluster layout (angle and radius)
-            .attr("transform", d => `rotate(${d.x - 90}) translate(${d.y},0)`)
-            .style("cursor", "pointer");
-
-        // Node Circles
-        nodeSelection.append("circle")
-            .attr("r", 5) // Fixed radius for node circles
-            .style("fill", d => colorScale(d.parent.data.name)) // Color by parent category
-            .style("stroke", "#333")
-            .style("stroke-width", 1);
-
-        // Node Labels
-        nodeSelection.append("text")
+            .data(root.leaves(), d => d.data.name) // Use leaf nodes from the hierarchy
+            .join(
+                enter => enter.append("g")
+                    .attr("class", "node")
+                    .attr("opacity", 0) // Fades in
+                    .style("cursor", "pointer")
+                    .call(node => node.append("circle")
+                        .attr("r", 5) // Fixed radius for node circles
+                        .style("stroke", "#333")
+                        .style("stroke-width", 1))
+                    .call(node => node.append("text")
+                        .style("text-shadow", "1px 1px 2px white")), // Improve readability
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            );
+        nodeSelection.transition("fade").duration(duration).attr("opacity", 1);
+        nodeSelection.select("circle").style("fill", getHebNodeColor); // Color by community or taxonomy group
+        const labelSelection = nodeSelection.select("text")
             .attr("dy", `${3 * textScale}px`) // Vertical offset based on text scale
-            .attr("x", d => d.x < 180 ? 8 : -8) // Position label outside circle
-            .style("text-anchor", d => d.x < 180 ? "start" : "end") // Anchor based on position
-            .attr("transform", d => d.x >= 180 ? "rotate(180)" : null) // Rotate label on right side
             .style("font-size", `${10 * textScale}px`) // Dynamic font size
-            .style("text-shadow", "1px 1px 2px white") // Improve readability
             .text(d => d.data.name); // Display ingredient name
 
+        // Position nodes (angle and radius) and links at the drawn positions; labels on the left half are flipped
+        const isLeftHalf = d => ((drawn.get(d).x % 360) + 360) % 360 >= 180;
+        const placeHeb = () => {
+            nodeSelection.attr("transform", d => `rotate(${drawn.get(d).x - 90}) translate(${drawn.get(d).y},0)`);
+            labelSelection
+                .attr("x", d => isLeftHalf(d) ? -8 : 8) // Position label outside circle
+                .style("text-anchor", d => isLeftHalf(d) ? "end" : "start") // Anchor based on position
+                .attr("transform", d => isLeftHalf(d) ? "rotate(180)" : null); // Rotate label on right side
+            linkSelection.attr("d", d => drawnLine(nodeMap.get(d.source).path(nodeMap.get(d.target)))); // Bundle through group/root nodes
+        };
+        placeHeb();
+        if (glide) {
+            g.transition("heb-glide").duration(duration).tween("glide", () => t => {
+                drawn.forEach((position, d) => {
+                    const start = starts.get(d);
+                    const turn = ((d.x - start.x) % 360 + 540) % 360 - 180; // The shorter way round the circle
+                    position.x = start.x + turn * t;
+                    position.y = start.y + (d.y - start.y) * t;
+                });
+                placeHeb();
+            });
+        }
+
         // Setup hover interactions for HEB
         setupHEBInteractivity(linkSelection, nodeSelection);
+        if (useCanvas) setupHebCanvasInteractivity(hebCanvasView);
+        renderHebLegend(root);
 
-        // Apply the initial zoom/pan state AFTER rendering elements
-        svg.call(zoom.transform, getInitialHebTransform());
+        // Apply the initial zoom/pan state AFTER rendering elements (or keep the user's view on live updates)
+        svg.call(zoom.transform, preservedTransform || getInitialHebTransform());
 
-        console.log("HEB chart rendered.");
+        console.log(`HEB chart rendered (${useCanvas ? "canvas" : "SVG"} links).`);
     }
 
-    // Renders Top Ingredients (Occurrence) Bar Chart
-    function renderBarChart({ sortedNodes }) {
-        console.log("Rendering Top Ingredients Bar chart...");
-        barG.selectAll("*").remove(); // Clear previous bar chart elements
+    // On-screen legend of the HEB: its groups (taxonomy groups or detected communities) colouring the nodes,
+    // then the link colour and width encodings. Hovering a group emphasizes its ingredients; the taxonomy's
+    // "Other" group expands to list the ingredients no rule matched.
+    function renderHebLegend(root) {
+        container.selectAll(".heb-legend").remove();
+        const groups = getHebLegendGroups(root);
+        if (!groups.length) return;
+
+        const legend = container.append("div").attr("class", "heb-legend");
+        legend.append("div").attr("class", "heb-legend-title")
+            .text(`Node colour: ${hebLayoutSettings.layout === 'community' ? "detected communities" : "ingredient groups"}`);
+        const items = legend.selectAll(".heb-legend-item")
+            .data(groups)
+            .join("div")
+            .attr("class", "heb-legend-item")
+            .attr("title", d => d.names.join(", "))
+            .on("mouseenter", (event, d) => emphasizeHEBNodes(new Set(d.names)))
+            .on("mouseleave", restoreHEBStyles);
+        items.append("span").attr("class", "heb-legend-swatch").style("background-color", d => d.color);
+        items.append("span").text(d => `${d.label} (${d.names.length})`);
+
+        const other = groups.find(d => d.key === TAXONOMY_OTHER.key);
+        if (other) {
+            const details = legend.append("details").attr("class", "heb-legend-other");
+            details.append("summary").text(`Unmapped ingredients (${other.names.length})`);
+            details.append("p").text(other.names.join(", "));
+        }
+
+        // Link encodings, drawn like the export legend
+        const linkLegend = legend.append("svg").attr("class", "heb-legend-links").attr("width", HEB_LEGEND_LINKS_WIDTH);
+        const legendHeight = drawLegend(linkLegend.append("g"), getHebLinkLegendSections(),
+            { maxWidth: HEB_LEGEND_LINKS_WIDTH, idPrefix: "heb-legend" });
+        linkLegend.attr("height", legendHeight);
+    }
+
+    // --- Canvas HEB Links (large graphs) ---
+
+    // Context stand-in for lineRadial that records the path as a polyline (Bézier segments flattened
+    // to points at most `step` apart), so canvas links are painted and hit-tested from the same points
+    function createPolylineRecorder(coords, step) {
+        let x0 = 0, y0 = 0;
+        const point = (x, y) => { coords.push(x, y); x0 = x; y0 = y; };
+        return {
+            moveTo: point,
+            lineTo: point,
+            bezierCurveTo(x1, y1, x2, y2, x, y) {
+                const length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x - x2, y - y2);
+                const segments = Math.max(2, Math.ceil(length / step));
+                for (let s = 1; s <= segments; s++) {
+                    const t = s / segments, u = 1 - t;
+                    const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, e = t * t * t;
+                    coords.push(a * x0 + b * x1 + c * x2 + e * x, a * y0 + b * y1 + c * y2 + e * y);
+                }
+                x0 = x; y0 = y;
+            },
+            closePath() {}
+        };
+    }
+
+    // Paint HEB links on a canvas under the SVG nodes (used above HEB_CANVAS_LINK_THRESHOLD links).
+    // Links are flattened once in layout coordinates; zooming only changes the canvas transform.
+    function renderHebCanvas(linksToDraw, nodeMap, transform) {
+        const ratio = window.devicePixelRatio || 1;
+        const coords = [];
+        const linkStart = new Uint32Array(linksToDraw.length + 1); // Point range of each link
+        linksToDraw.forEach((link, i) => {
+            linkStart[i] = coords.length / 2;
+            lineRadial.context(createPolylineRecorder(coords, HEB_CANVAS_FLATTEN_STEP))(nodeMap.get(link.source).path(nodeMap.get(link.target)));
+        });
+        lineRadial.context(null); // Back to returning path strings for the SVG links
+        const pointCount = coords.length / 2;
+        linkStart[linksToDraw.length] = pointCount;
+        const points = Float32Array.from(coords);
+        const pointLink = new Uint32Array(pointCount); // Link index of each point
+        linksToDraw.forEach((_, i) => pointLink.fill(i, linkStart[i], linkStart[i + 1]));
+
+        const view = {
+            links: linksToDraw, nodeMap, points, linkStart, pointLink,
+            colors: null, // Paint of each link under the selected colour mode (set once the context exists)
+            quadtree: d3.quadtree().x(p => points[2 * p]).y(p => points[2 * p + 1]).addAll(d3.range(pointCount)),
+            width: currentWidth, height: vizHeight, ratio,
+            transform,
+            emphasis: null, // Set of links emphasized by hover/pins (the rest are dimmed), or null
+            hoverLink: null, // Link under the pointer
+            search: null, // Set of links touching a search match (the rest are faded), or null
+            frame: null
+        };
+        // The layer sits before the zoomed group (nodes stay SVG and draw on top) and is not transformed itself.
+        // Redraws and resizes reuse the layer of the previous HEB: it is resized here and repainted below.
+        let layer = svg.selectChild(".heb-canvas-layer");
+        if (layer.empty()) layer = svg.insert("foreignObject", ".heb-group").attr("class", "heb-canvas-layer");
+        layer.attr("width", view.width).attr("height", view.height);
+        view.canvas = layer.selectChild("canvas");
+        if (view.canvas.empty()) view.canvas = layer.append("xhtml:canvas");
+        view.canvas
+            .attr("width", Math.round(view.width * ratio)).attr("height", Math.round(view.height * ratio))
+            .style("width", `${view.width}px`).style("height", `${view.height}px`);
+        view.context = view.canvas.node().getContext("2d");
+        // Gradients are given in layout coordinates, like the points, so they follow the zoom transform
+        view.colors = linksToDraw.map(link => {
+            if (hebLinkColorSettings.mode !== 'gradient') return getHebLinkColor(link, nodeMap);
+            const { x1, y1, x2, y2, from, to } = getHebLinkGradient(link, nodeMap);
+            const gradient = view.context.createLinearGradient(x1, y1, x2, y2);
+            gradient.addColorStop(0, from);
+            gradient.addColorStop(1, to);
+            return gradient;
+        });
+
+        hebCanvasView = view;
+        drawHebCanvas();
+        console.log(`Canvas HEB links: ${linksToDraw.length} links flattened to ${pointCount} points.`);
+    }
+
+    // Remove the canvas link layer (it lives outside the zoomed group, so clearing the group leaves it)
+    function discardHebCanvas() {
+        hebCanvasView = null;
+        svg.selectAll(".heb-canvas-layer").remove();
+    }
+
+    // Coalesce redraws (zoom and hover events fire faster than frames)
+    function scheduleHebCanvasDraw() {
+        const view = hebCanvasView;
+        if (!view || view.frame) return;
+        view.frame = requestAnimationFrame(drawHebCanvas);
+    }
+
+    // Links emphasized by hover/pins (null restores the resting styles)
+    function setHebCanvasEmphasis(links) {
+        if (!hebCanvasView) return;
+        hebCanvasView.emphasis = links;
+        scheduleHebCanvasDraw();
+    }
+
+    // Stroke style of a canvas link, mirroring the SVG path styles (inline hover styles, .link.highlighted/.dimmed)
+    function getHebCanvasLinkStyle(view, link, i) {
+        const emphasized = !!view.emphasis?.has(link);
+        const width = emphasized ? hebLinkWidthEmphasized(link) : hebLinkWidth(link);
+        if (view.search) {
+            return view.search.has(link)
+                ? { color: "#007bff", width: 3, opacity: 0.9, front: true }
+                : { color: view.colors[i], width, opacity: 0.05, front: false };
+        }
+        if (view.emphasis) return { color: view.colors[i], width, opacity: emphasized ? 0.9 : 0.1, front: emphasized };
+        return { color: view.colors[i], width, opacity: 0.6, front: false };
+    }
+
+    // Paint every link at the current zoom; emphasized/highlighted links last so they stay on top
+    function drawHebCanvas() {
+        const view = hebCanvasView;
+        if (!view) return;
+        view.frame = null;
+        const { context, points, linkStart, ratio, transform } = view;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, view.width * ratio, view.height * ratio);
+        context.setTransform(ratio * transform.k, 0, 0, ratio * transform.k, ratio * transform.x, ratio * transform.y);
+        context.lineCap = "round";
+        context.lineJoin = "round";
+
+        const strokeLink = (i, style) => {
+            context.beginPath();
+            context.moveTo(points[2 * linkStart[i]], points[2 * linkStart[i] + 1]);
+            for (let p = linkStart[i] + 1; p < linkStart[i + 1]; p++) context.lineTo(points[2 * p], points[2 * p + 1]);
+            context.strokeStyle = style.color;
+            context.globalAlpha = style.opacity;
+            context.lineWidth = style.width;
+            context.stroke();
+        };
+        const front = [];
+        view.links.forEach((link, i) => {
+            const style = getHebCanvasLinkStyle(view, link, i);
+            if (style.front) front.push([i, style]);
+            else strokeLink(i, style);
+        });
+        front.forEach(([i, style]) => strokeLink(i, style));
+        context.globalAlpha = 1;
+    }
+
+    // Link under the pointer: nearest sampled point within the hover tolerance (layout coordinates)
+    function findHebCanvasLink(view, event) {
+        const [x, y] = view.transform.invert(d3.pointer(event));
+        const tolerance = Math.max(HEB_CANVAS_HIT_TOLERANCE / view.transform.k, HEB_CANVAS_FLATTEN_STEP / 2);
+        const pointIndex = view.quadtree.find(x, y, tolerance);
+        return pointIndex === undefined ? null : view.links[view.pointLink[pointIndex]];
+    }
+
+    // Canvas link hover behaves like the SVG path hover; zoom/pan events bubble on to the SVG
+    function setupHebCanvasInteractivity(view) {
+        view.canvas
+            .on("mousemove.heb", event => {
+                const link = findHebCanvasLink(view, event);
+                if (link === view.hoverLink) { moveTooltip(event); return; }
+                view.hoverLink = link;
+                if (link) {
+                    emphasizeHEBLink(link);
+                    showTooltip(event, getPairTooltip(link.source, link.target));
+                } else {
+                    restoreHEBStyles();
+                    hideTooltip();
+                }
+            })
+            .on("mouseleave.heb", () => {
+                hideTooltip();
+                if (!view.hoverLink) return;
+                view.hoverLink = null;
+                restoreHEBStyles();
+            })
+            .on("click.pin", event => { // Empty space releases the pins, as a click on the bare SVG does
+                if (!event.shiftKey && !findHebCanvasLink(view, event)) clearPins();
+            });
+    }
+
+    // Data of the drawn HEB links, whichever layer draws them
+    function getHebLinkData() {
+        return hebCanvasView ? hebCanvasView.links : g.selectAll(".link").data();
+    }
+
+    // Renders Top Ingredients (Occurrence) Bar Chart. Bars are keyed by ingredient, so a new cuisine
+    // re-sorts and morphs the drawn bars (ingredients that left fade out, new ones grow in).
+    function renderBarChart({ sortedNodes }, { duration = CHART_TRANSITION_MS } = {}) {
+        console.log("Rendering Top Ingredients Bar chart...");
+        prepareChartGroup(barG, 'bar');
 
         if (!sortedNodes?.length) {
             displayInfoMessage("No ingredient occurrence data to display.");
@@ -533,93 +2297,309 @@ document.addEventListener('DOMContentLoaded', () => {
             .tickFormat(d3.format(maxValue >= 1000 ? "~s" : ",.0f")); // Format large numbers
         const yAxis = d3.axisLeft(yScale);
 
-        // Draw Axes
-        barG.append("g").attr("class", "x axis").attr("transform", `translate(0,${barChartHeight})`).call(xAxis)
-            .selectAll("text").style("text-anchor", "end").attr("dx", "-.8em").attr("dy", ".15em").attr("transform", "rotate(-65)"); // Rotate X labels
-        barG.append("g").attr("class", "y axis").call(yAxis)
-            .selectAll("text").style("font-size", "15px"); // Ensure Y labels are readable
+        // Draw Axes (ticks slide to the new scales)
+        const xAxisG = ensureChild(barG, "g", "x axis").attr("transform", `translate(0,${barChartHeight})`);
+        xAxisG.transition().duration(duration).call(xAxis);
+        xAxisG.selectAll("text").style("text-anchor", "end").attr("dx", "-.8em").attr("dy", ".15em").attr("transform", "rotate(-65)"); // Rotate X labels
+        const yAxisG = ensureChild(barG, "g", "y axis");
+        yAxisG.transition().duration(duration).call(yAxis);
+        yAxisG.selectAll("text").style("font-size", "15px"); // Ensure Y labels are readable
 
         // Axis Labels
-        barG.append("text").attr("class", "axis-label x-axis-title").attr("text-anchor", "middle")
+        ensureChild(barG, "text", "axis-label x-axis-title").attr("text-anchor", "middle")
             .attr("x", barChartWidth / 2).attr("y", barChartHeight + barChartMargin.bottom * 0.7)
             .text("Number of Occurrences").style("font-size", "14px");
-        barG.append("text").attr("class", "axis-label y-axis-title").attr("text-anchor", "middle")
+        ensureChild(barG, "text", "axis-label y-axis-title").attr("text-anchor", "middle")
             .attr("transform", `translate(${-barChartMargin.left / 1.4}, ${barChartHeight / 2}) rotate(-90)`)
             .text("Ingredient").style("font-size", "14px");
 
         // Draw Bars with transition
         const barColorInterpolator = d3.interpolateBlues; // Color gradient
-        const bars = barG.selectAll(".bar").data(sortedNodes).enter().append("rect")
-            .attr("class", "bar")
-            .attr("y", d => yScale(d.name)).attr("height", yScale.bandwidth())
-            .attr("x", 0)
-            .attr("fill", (d, i) => barColorInterpolator(0.8 - (i / (sortedNodes.length * 1.5)))) // Gradient effect
-            .attr("width", 0); // Start width at 0 for transition
-        bars.transition().duration(750).delay((d, i) => i * 25) // Staggered transition
+        const barFill = (d, i) => barColorInterpolator(0.8 - (i / (sortedNodes.length * 1.5))); // Gradient effect by rank
+        const bars = barG.selectAll(".bar").data(sortedNodes, d => d.name)
+            .join(
+                enter => enter.append("rect")
+                    .attr("class", "bar")
+                    .attr("y", d => yScale(d.name)).attr("height", yScale.bandwidth())
+                    .attr("x", 0)
+                    .attr("fill", barFill)
+                    .attr("width", 0), // Start width at 0 for transition
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            );
+        bars.transition().duration(duration).delay((d, i) => duration ? i * 25 : 0) // Staggered transition
+            .attr("y", d => yScale(d.name)).attr("height", yScale.bandwidth()) // Re-sort
+            .attr("fill", barFill)
             .attr("width", d => Math.max(0, xScale(d.value))); // Animate width
-        bars.append("title").text(d => `${d.name}: ${d.value.toLocaleString()} occurrences`); // Tooltip
+        bindTooltip(bars, d => getIngredientTooltip(d.name));
+        bars.style("cursor", "pointer").on("click.pin", (event, d) => { // Pin the ingredient
+            event.stopPropagation();
+            togglePin([d.name], event.shiftKey);
+        });
 
         console.log("Top Ingredients Bar chart rendered.");
     }
 
-    // Renders Top Ingredient Pairs Bar Chart
-    function renderPairsBarChart({ sortedPairs }) {
+    // Renders the Signature Ingredients chart: log-odds ratio bars with 95% confidence interval whiskers
+    // (bars and whiskers are keyed by ingredient and morph between cuisines)
+    function renderSignatureChart({ signatures, cuisineRecipes, totalRecipes }, { duration = CHART_TRANSITION_MS } = {}) {
+        console.log("Rendering Signature Ingredients chart...");
+        prepareChartGroup(signatureG, 'signature');
+
+        // Scales (the interval can reach past the bar on either side)
+        const maxValue = d3.max(signatures, d => d.upper);
+        const xScale = d3.scaleLinear().domain([0, maxValue > 0 ? maxValue : 1]).range([0, barChartWidth]).nice();
+        const yScale = d3.scaleBand().domain(signatures.map(d => d.name)).range([0, barChartHeight]).padding(0.15);
+
+        // Axes and labels
+        ensureChild(signatureG, "g", "x axis").attr("transform", `translate(0,${barChartHeight})`)
+            .transition().duration(duration).call(d3.axisBottom(xScale).ticks(Math.min(10, barChartWidth / 60)));
+        const yAxisG = ensureChild(signatureG, "g", "y axis");
+        yAxisG.transition().duration(duration).call(d3.axisLeft(yScale));
+        yAxisG.selectAll("text").style("font-size", "15px");
+        ensureChild(signatureG, "text", "axis-label x-axis-title").attr("text-anchor", "middle")
+            .attr("x", barChartWidth / 2).attr("y", barChartHeight + barChartMargin.bottom * 0.5)
+            .text(`Log-odds ratio vs the other cuisines (95% confidence interval)`).style("font-size", "14px");
+        ensureChild(signatureG, "text", "axis-label y-axis-title").attr("text-anchor", "middle")
+            .attr("transform", `translate(${-barChartMargin.left / 1.4}, ${barChartHeight / 2}) rotate(-90)`)
+            .text("Ingredient").style("font-size", "14px");
+
+        // Bars (log-odds ratio) with their confidence interval; ranked by the interval's lower bound
+        const formatShare = d3.format(".1%");
+        const formatScore = d3.format(".2f");
+        const bars = signatureG.selectAll(".bar").data(signatures, d => d.name)
+            .join(
+                enter => enter.append("rect")
+                    .attr("class", "bar")
+                    .attr("y", d => yScale(d.name)).attr("height", yScale.bandwidth())
+                    .attr("x", 0)
+                    .attr("fill", d => classifyIngredient(d.name).group.color) // Same group colours as the HEB
+                    .attr("width", 0),
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            );
+        bars.transition().duration(duration).delay((d, i) => duration ? i * 25 : 0)
+            .attr("y", d => yScale(d.name)).attr("height", yScale.bandwidth())
+            .attr("width", d => Math.max(0, xScale(d.logOdds)));
+        bindTooltip(bars, d => ({
+            title: d.name,
+            rows: [
+                [`${currentCuisineName} recipes`, `${formatShare(d.cuisineShare)} (${d.cuisineCount.toLocaleString()} of ${cuisineRecipes.toLocaleString()})`],
+                ["All recipes", `${formatShare(d.globalShare)} (${d.globalCount.toLocaleString()} of ${totalRecipes.toLocaleString()})`],
+                ["Log-odds ratio", `${formatScore(d.logOdds)} (95% CI ${formatScore(d.lower)} to ${formatScore(d.upper)})`]
+            ],
+            notes: [`${d3.format(".1f")(Math.exp(d.logOdds))}× the odds of a recipe using it in the other cuisines`]
+        }));
+        bars.style("cursor", "pointer").on("click.pin", (event, d) => { // Pin the ingredient
+            event.stopPropagation();
+            togglePin([d.name], event.shiftKey);
+        });
+        const rank = new Map(signatures.map((d, i) => [d.name, i]));
+        const delay = d => duration ? rank.get(d.name) * 25 : 0; // Whiskers move with their bars
+        const whiskers = ensureChild(signatureG, "g", "signature-intervals")
+            .selectAll(".signature-interval").data(signatures, d => d.name)
+            .join(
+                enter => enter.append("g")
+                    .attr("class", "signature-interval")
+                    .attr("transform", d => `translate(0,${yScale(d.name) + yScale.bandwidth() / 2})`)
+                    .call(interval => interval.append("line").attr("class", "signature-interval-range")),
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            );
+        whiskers.transition().duration(duration).delay(delay)
+            .attr("transform", d => `translate(0,${yScale(d.name) + yScale.bandwidth() / 2})`);
+        whiskers.select(".signature-interval-range").transition().duration(duration).delay(delay)
+            .attr("x1", d => xScale(Math.max(0, d.lower))).attr("x2", d => xScale(d.upper));
+        whiskers.selectAll(".signature-interval-cap").data(d => [{ name: d.name, value: d.lower }, { name: d.name, value: d.upper }])
+            .join("line")
+            .attr("class", "signature-interval-cap")
+            .transition().duration(duration).delay(delay)
+            .attr("x1", d => xScale(Math.max(0, d.value))).attr("x2", d => xScale(Math.max(0, d.value)))
+            .attr("y1", -yScale.bandwidth() / 4).attr("y2", yScale.bandwidth() / 4);
+
+        console.log("Signature Ingredients chart rendered.");
+    }
+
+    // Renders Top Ingredient Pairs Bar Chart (bars keyed by pair, so they re-sort and morph between data)
+    function renderPairsBarChart({ sortedPairs }, { duration = CHART_TRANSITION_MS } = {}) {
         console.log("Rendering Top Pairs Bar chart...");
-        pairBarG.selectAll("*").remove(); // Clear previous pairs bar chart elements
+        prepareChartGroup(pairBarG, 'pairs-bar');
 
         if (!sortedPairs?.length) {
             displayInfoMessage("No ingredient pair data to display.");
             return;
         }
 
-        // Scales
+        // Scales (metrics like PMI can be negative, so the domain may extend left of zero)
+        const isCountMetric = pairMetricSettings.metric === 'count';
         const maxValue = d3.max(sortedPairs, d => d.value);
-        const xScale = d3.scaleLinear().domain([0, maxValue > 0 ? maxValue : 1]).range([0, pairBarChartWidth]).nice();
+        const minValue = Math.min(0, d3.min(sortedPairs, d => d.value));
+        const xScale = d3.scaleLinear().domain([minValue, maxValue > 0 ? maxValue : 1]).range([0, pairBarChartWidth]).nice();
         const yScale = d3.scaleBand().domain(sortedPairs.map(d => d.pairLabel)).range([0, pairBarChartHeight]).padding(0.15);
 
         // Axes
         const xAxis = d3.axisBottom(xScale)
             .ticks(Math.min(8, pairBarChartWidth / 70))
-            .tickFormat(d3.format(maxValue >= 1000 ? "~s" : ",.0f"));
+            .tickFormat(isCountMetric ? d3.format(maxValue >= 1000 ? "~s" : ",.0f") : d3.format(PAIR_METRICS[pairMetricSettings.metric].format));
         const yAxis = d3.axisLeft(yScale);
 
-        // Draw Axes
-        pairBarG.append("g").attr("class", "x axis").attr("transform", `translate(0,${pairBarChartHeight})`).call(xAxis)
-            .selectAll("text").style("text-anchor", "end").attr("dx", "-.8em").attr("dy", ".15em").attr("transform", "rotate(-45)"); // Rotate X labels
-        pairBarG.append("g").attr("class", "y axis").call(yAxis)
-            .selectAll("text").style("font-size", "15px"); // Ensure Y labels are readable
+        // Draw Axes (ticks slide to the new scales)
+        const xAxisG = ensureChild(pairBarG, "g", "x axis").attr("transform", `translate(0,${pairBarChartHeight})`);
+        xAxisG.transition().duration(duration).call(xAxis);
+        xAxisG.selectAll("text").style("text-anchor", "end").attr("dx", "-.8em").attr("dy", ".15em").attr("transform", "rotate(-45)"); // Rotate X labels
+        const yAxisG = ensureChild(pairBarG, "g", "y axis");
+        yAxisG.transition().duration(duration).call(yAxis);
+        yAxisG.selectAll("text").style("font-size", "15px"); // Ensure Y labels are readable
 
         // Axis Labels
-        pairBarG.append("text").attr("class", "axis-label x-axis-title").attr("text-anchor", "middle")
+        ensureChild(pairBarG, "text", "axis-label x-axis-title").attr("text-anchor", "middle")
             .attr("x", pairBarChartWidth / 2).attr("y", pairBarChartHeight + pairBarChartMargin.bottom * 0.7)
-            .text("Co-occurrence Strength (Value)").style("font-size", "14px");
-        pairBarG.append("text").attr("class", "axis-label y-axis-title").attr("text-anchor", "middle")
+            .text(isCountMetric ? "Co-occurrence Strength (Value)" : PAIR_METRICS[pairMetricSettings.metric].label).style("font-size", "14px");
+        ensureChild(pairBarG, "text", "axis-label y-axis-title").attr("text-anchor", "middle")
             .attr("transform", `translate(${-pairBarChartMargin.left / 1.4}, ${pairBarChartHeight / 2}) rotate(-90)`)
             .text("Ingredient Pair").style("font-size", "14px");
 
         // Draw Bars with transition
-        const bars = pairBarG.selectAll(".bar").data(sortedPairs).enter().append("rect")
-            .attr("class", "bar")
-            .attr("y", d => yScale(d.pairLabel)).attr("height", yScale.bandwidth())
-            .attr("x", 0)
-            .attr("fill", (d, i) => d3.interpolateBlues(1 - i / (sortedPairs.length * 1.5))) // Gradient effect
-            .attr("width", 0); // Start width at 0
-        bars.transition().duration(750).delay((d, i) => i * 20) // Staggered transition
-            .attr("width", d => Math.max(0, xScale(d.value))); // Animate width
-        bars.append("title").text(d => `${d.pairLabel}: ${d.value.toLocaleString()}`); // Tooltip
+        const barFill = (d, i) => d3.interpolateBlues(1 - i / (sortedPairs.length * 1.5)); // Gradient effect by rank
+        const bars = pairBarG.selectAll(".bar").data(sortedPairs, d => d.pairLabel)
+            .join(
+                enter => enter.append("rect")
+                    .attr("class", "bar")
+                    .attr("y", d => yScale(d.pairLabel)).attr("height", yScale.bandwidth())
+                    .attr("x", xScale(0))
+                    .attr("fill", barFill)
+                    .attr("width", 0), // Start width at 0
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            );
+        bars.transition().duration(duration).delay((d, i) => duration ? i * 20 : 0) // Staggered transition
+            .attr("y", d => yScale(d.pairLabel)).attr("height", yScale.bandwidth()) // Re-sort
+            .attr("fill", barFill)
+            .attr("x", d => xScale(Math.min(0, d.value))) // Negative values grow leftwards from zero
+            .attr("width", d => Math.abs(xScale(d.value) - xScale(0))); // Animate width
+        bindTooltip(bars, d => getPairTooltip(d.source, d.target));
+        bars.style("cursor", "pointer").on("click.pin", (event, d) => { // Pin both ingredients of the pair
+            event.stopPropagation();
+            togglePin([d.source, d.target], event.shiftKey);
+        });
 
         console.log("Top Pairs Bar chart rendered.");
     }
 
+    // Renders the compare-mode Top Ingredients chart (A bars to the left, B bars to the right)
+    function renderCompareBarChart({ rows }, { duration = CHART_TRANSITION_MS } = {}) {
+        prepareChartGroup(barG, 'bar-compare');
+        renderMirroredBars(barG, rows, {
+            width: barChartWidth, height: barChartHeight, margin: barChartMargin, duration,
+            axisTitle: "Share of Recipes Using the Ingredient", yTitle: "Ingredient"
+        });
+    }
+
+    // Renders the compare-mode Top Pairs chart (A bars to the left, B bars to the right)
+    function renderComparePairsChart({ rows }, { duration = CHART_TRANSITION_MS } = {}) {
+        prepareChartGroup(pairBarG, 'pairs-bar-compare');
+        renderMirroredBars(pairBarG, rows, {
+            width: pairBarChartWidth, height: pairBarChartHeight, margin: pairBarChartMargin, duration,
+            axisTitle: "Share of Recipes Using the Pair", yTitle: "Ingredient Pair"
+        });
+    }
+
+    // Shared mirrored (butterfly) bar renderer. Rows: { label, shareA, shareB, countA, countB }.
+    // Shares are normalised by each cuisine's recipe count so differently sized cuisines compare fairly.
+    // Rows are keyed by label, so changing either cuisine morphs the drawn bars.
+    function renderMirroredBars(group, rows, { width, height, margin, duration, axisTitle, yTitle }) {
+        console.log(`Rendering mirrored compare bars (${rows.length} rows)...`);
+        if (!rows?.length) {
+            displayInfoMessage("No data to compare.");
+            return;
+        }
+        const centerGap = 8; // Space between the two halves
+        const halfWidth = Math.max(50, (width - centerGap) / 2);
+        const centerX = halfWidth + centerGap / 2;
+        const maxShare = d3.max(rows, d => Math.max(d.shareA, d.shareB)) || 1;
+        const formatShare = d3.format(".0%");
+
+        // Scales: one share scale per half (A grows leftwards from the center, B rightwards)
+        const xScaleA = d3.scaleLinear().domain([0, maxShare]).range([halfWidth, 0]).nice();
+        const xScaleB = d3.scaleLinear().domain([0, maxShare]).range([centerX, centerX + halfWidth]).nice();
+        const yScale = d3.scaleBand().domain(rows.map(d => d.label)).range([0, height]).padding(0.15);
+
+        // Axes
+        const tickCount = Math.max(2, Math.min(5, halfWidth / 70));
+        [["x axis axis-a", xScaleA], ["x axis axis-b", xScaleB]].forEach(([className, scale]) => {
+            const axisG = ensureChild(group, "g", className).attr("transform", `translate(0,${height})`);
+            axisG.transition().duration(duration).call(d3.axisBottom(scale).ticks(tickCount).tickFormat(formatShare));
+            axisG.selectAll("text").style("text-anchor", "end").attr("dx", "-.8em").attr("dy", ".15em").attr("transform", "rotate(-45)");
+        });
+        const yAxisG = ensureChild(group, "g", "y axis");
+        yAxisG.transition().duration(duration).call(d3.axisLeft(yScale));
+        yAxisG.selectAll("text").style("font-size", "15px");
+
+        // Axis labels
+        ensureChild(group, "text", "axis-label x-axis-title").attr("text-anchor", "middle")
+            .attr("x", width / 2).attr("y", height + margin.bottom * 0.7)
+            .text(axisTitle).style("font-size", "14px");
+        ensureChild(group, "text", "axis-label y-axis-title").attr("text-anchor", "middle")
+            .attr("transform", `translate(${-margin.left / 1.4}, ${height / 2}) rotate(-90)`)
+            .text(yTitle).style("font-size", "14px");
+
+        // Cuisine legend above each half
+        group.selectAll(".compare-legend")
+            .data([[currentCuisineName, compareColors.a, halfWidth / 2], [compareCuisineName, compareColors.b, centerX + halfWidth / 2]])
+            .join(enter => enter.append("g").attr("class", "compare-legend")
+                .call(legendItem => legendItem.append("rect").attr("x", -60).attr("y", -9).attr("width", 12).attr("height", 12))
+                .call(legendItem => legendItem.append("text").attr("x", -42).attr("y", 1).style("font-size", "13px")))
+            .attr("transform", ([, , x]) => `translate(${x}, -12)`)
+            .call(legendItem => legendItem.select("rect").attr("fill", ([, color]) => color))
+            .call(legendItem => legendItem.select("text").text(([name]) => name));
+
+        // Center line
+        ensureChild(group, "line", "compare-center-line")
+            .attr("x1", centerX - centerGap / 2).attr("x2", centerX - centerGap / 2)
+            .attr("y1", 0).attr("y2", height).attr("stroke", "#adb5bd");
+
+        // Bars (one row group per label so search/pin styling applies to both halves)
+        const barTitle = d => `${d.label}: ${currentCuisineName} ${d3.format(".1%")(d.shareA)} (${d.countA} recipes) vs ` +
+            `${compareCuisineName} ${d3.format(".1%")(d.shareB)} (${d.countB} recipes)`;
+        const joinHalf = (className, x, color) => group.selectAll(`.bar.${className}`).data(rows, d => d.label)
+            .join(
+                enter => enter.append("rect")
+                    .attr("class", `bar ${className}`)
+                    .attr("y", d => yScale(d.label)).attr("height", yScale.bandwidth())
+                    .attr("x", x).attr("width", 0),
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            )
+            .attr("fill", color);
+        const barsA = joinHalf("bar-a", halfWidth, compareColors.a);
+        const barsB = joinHalf("bar-b", centerX, compareColors.b);
+        barsA.transition().duration(duration).delay((d, i) => duration ? i * 20 : 0)
+            .attr("y", d => yScale(d.label)).attr("height", yScale.bandwidth())
+            .attr("x", d => xScaleA(d.shareA)).attr("width", d => halfWidth - xScaleA(d.shareA));
+        barsB.transition().duration(duration).delay((d, i) => duration ? i * 20 : 0)
+            .attr("y", d => yScale(d.label)).attr("height", yScale.bandwidth())
+            .attr("x", centerX).attr("width", d => xScaleB(d.shareB) - centerX);
+        bindTooltip(group.selectAll(".bar"), barTitle);
+        group.selectAll(".bar").style("cursor", "pointer").on("click.pin", (event, d) => { // Pin like the single-cuisine charts
+            event.stopPropagation();
+            togglePin(d.name ? [d.name] : [d.source, d.target], event.shiftKey);
+        });
+        console.log("Mirrored compare bars rendered.");
+    }
+
     // Renders Adjacency Matrix for Top N Ingredients
         // Renders Adjacency Matrix for Top N Ingredients
             // Renders Adjacency Matrix for Top N Ingredients (with Square Cells)
         // Renders Adjacency Matrix for Top N Ingredients (Allowing Rectangular Cells)
             // Renders Adjacency Matrix for Top N Ingredients (X-Axis Below)
         // Renders Adjacency Matrix for Top N Ingredients (X-Axis Below)
-        function renderAdjacencyMatrix({ nodes, matrix, maxValue }) {
+        // SVG cells are keyed by pair: a new cuisine crossfades them (cells that stay move and recolour)
+        function renderAdjacencyMatrix(processed, { duration = CHART_TRANSITION_MS } = {}) {
+            const { nodes, order = nodes, matrix, difference = false } = processed;
             console.log("Rendering Adjacency Matrix (X-Axis Below)...");
-            matrixG.selectAll("*").remove(); // Clear previous matrix elements
+            const useCanvas = (order?.length || 0) > MATRIX_CANVAS_THRESHOLD;
+            prepareChartGroup(matrixG, useCanvas ? 'matrix-canvas' : 'matrix');
+            if (!useCanvas) matrixCanvasView = null; // A kept canvas matrix was cleared with its group
     
             if (!nodes?.length || !matrix?.length) {
                 displayInfoMessage("Not enough processed data to render the Adjacency Matrix.");
@@ -637,33 +2617,37 @@ document.addEventListener('DOMContentLoaded', () => {
                  displayErrorMessage("Cannot render matrix, calculated size is too small.");
                  return;
              }
+
+            const colorScaleMatrix = getMatrixColorScale(processed);
+            // Large matrices: canvas cells with zoom/pan, lens, sticky labels and a minimap
+            if (useCanvas) {
+                renderMatrixCanvas(processed, colorScaleMatrix);
+                return;
+            }
     
             const xScale = d3.scaleBand()
-                .domain(nodes)
+                .domain(order) // Row/column order from #matrix-order
                 .range([0, matrixWidth])
                 .paddingInner(cellPaddingInner);
             const yScale = d3.scaleBand()
-                .domain(nodes)
+                .domain(order)
                 .range([0, matrixHeight])
                 .paddingInner(cellPaddingInner);
+            matrixScales = { xScale, yScale };
     
             console.log(`Matrix Cell Size: Width=${xScale.bandwidth().toFixed(2)}px, Height=${yScale.bandwidth().toFixed(2)}px`);
     
-            const colorScaleMatrix = d3.scaleSequential(d3.interpolateBlues)
-                .domain([0, maxValue > 0 ? maxValue : 1]);
-    
             // --- Axes ---
             const xAxis = d3.axisBottom(xScale).tickSize(0);
             const yAxis = d3.axisLeft(yScale).tickSize(0);
     
             // --- Draw Axes ---
     
-            // Draw X Axis Group (Positioned at the bottom of the cell area)
-            matrixG.append("g")
-                .attr("class", "x axis")
-                .attr("transform", `translate(0, ${matrixHeight})`) // Position axis group at bottom edge of matrix cells
-                .call(xAxis)
-                .selectAll("text")
+            // Draw X Axis Group (Positioned at the bottom of the cell area; labels slide to their new columns)
+            const xAxisG = ensureChild(matrixG, "g", "x axis")
+                .attr("transform", `translate(0, ${matrixHeight})`); // Position axis group at bottom edge of matrix cells
+            xAxisG.transition().duration(duration).call(xAxis);
+            xAxisG.selectAll("text")
                     .style("text-anchor", "start")
                     .attr("dx", ".8em")
                     .attr("dy", ".15em") // Keep small dy for baseline alignment relative to tick
@@ -678,35 +2662,43 @@ document.addEventListener('DOMContentLoaded', () => {
                     .style("font-size", axisFontSize);
     
             // Draw Y Axis Group (Positioned at the left)
-            matrixG.append("g")
-                .attr("class", "y axis")
-                .call(yAxis)
-                .selectAll("text")
+            const yAxisG = ensureChild(matrixG, "g", "y axis");
+            yAxisG.transition().duration(duration).call(yAxis);
+            yAxisG.selectAll("text")
                     .style("font-size", axisFontSize);
     
             // Remove axis lines
             matrixG.selectAll(".axis").select(".domain").remove();
     
             // --- Draw Cells ---
-            const cellsData = matrix.flat().filter(d => d.z > 0);
+            const cellsData = matrix.flat().filter(d => d.count > 0 && d.z !== null); // Skip empty/unsupported pairs
             const cells = matrixG.selectAll(".matrix-cell")
-                .data(cellsData, d => `${d.source}-${d.target}`)
-                .enter().append("rect")
-                .attr("class", "matrix-cell")
-                .attr("x", d => xScale(d.target))
-                .attr("y", d => yScale(d.source))
-                .attr("width", xScale.bandwidth())
-                .attr("height", yScale.bandwidth())
-                .style("fill", d => colorScaleMatrix(d.z))
-                .style("opacity", 0);
+                .data(cellsData, d => JSON.stringify([d.source, d.target])) // Ordered (both halves are drawn) and unambiguous for any names
+                .join(
+                    enter => enter.append("rect")
+                        .attr("class", "matrix-cell")
+                        .attr("x", d => xScale(d.target))
+                        .attr("y", d => yScale(d.source))
+                        .attr("width", xScale.bandwidth())
+                        .attr("height", yScale.bandwidth())
+                        .style("fill", d => colorScaleMatrix(d.z))
+                        .style("opacity", 0),
+                    update => update,
+                    exit => fadeOutExit(exit, duration)
+                );
     
             // Tooltips
-            cells.append("title")
-                 .text(d => `${d.source} & ${d.target}: ${d.z.toLocaleString()}`);
+            bindTooltip(cells, d => difference ? getMatrixCellTooltip(d, true) : getPairTooltip(d.source, d.target));
     
-            // Fade in
-            cells.transition().duration(750)
+            // Fade in (the crossfade's other half is the exit), while remaining cells move and recolour
+            cells.transition().duration(duration)
                  .style("opacity", 1);
+            cells.transition("layout").duration(duration)
+                .attr("x", d => xScale(d.target))
+                .attr("y", d => yScale(d.source))
+                .attr("width", xScale.bandwidth())
+                .attr("height", yScale.bandwidth())
+                .style("fill", d => colorScaleMatrix(d.z));
     
             // Interactivity
             setupMatrixInteractivity(cells);
@@ -714,154 +2706,961 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log(`Rectangular Adjacency Matrix rendered with ${nodes.length} nodes.`);
         } // --- End renderAdjacencyMatrix ---
 
-    // Keep the existing setupMatrixInteractivity function
-    // function setupMatrixInteractivity(cellSelection) { ... }
+    // Matrix colour scale (also recorded in matrixLegendInfo for legends/exports).
+    // Sequential blues for non-negative metrics; diverging (blue < 0 < red) for PMI/NPMI
+    function getMatrixColorScale({ maxValue, minValue = 0, difference = false }) {
+        const metricDef = PAIR_METRICS[pairMetricSettings.metric];
+        const maxAbsValue = Math.max(Math.abs(minValue), maxValue) || 1;
+        // Compare mode: diverging from cuisine B's colour (B-heavy pairs) through white to cuisine A's colour
+        const compareInterpolator = t => t < 0.5
+            ? d3.interpolateRgb(compareColors.b, "#f7f7f7")(t * 2)
+            : d3.interpolateRgb("#f7f7f7", compareColors.a)((t - 0.5) * 2);
+        const colorScaleMatrix = difference
+            ? d3.scaleDiverging(compareInterpolator).domain([-maxAbsValue, 0, maxAbsValue])
+            : metricDef.diverging
+            ? d3.scaleDiverging(t => d3.interpolateRdBu(1 - t)).domain([-maxAbsValue, 0, maxAbsValue])
+            : d3.scaleSequential(d3.interpolateBlues).domain([0, maxValue > 0 ? maxValue : 1]);
+        matrixLegendInfo = {
+            scale: colorScaleMatrix,
+            title: difference ? `Share difference (${currentCuisineName} − ${compareCuisineName})` : `Cell colour: ${metricDef.label}`,
+            format: difference ? d3.format("+.0%") : d3.format(metricDef.format)
+        };
+        return colorScaleMatrix;
+    }
 
-    // --- Interactivity & Highlighting ---
-    // ... (setupMatrixInteractivity might need slight adjustment)
+    // Tooltip text of a matrix cell {source, target, z, count, ...}
+    function getMatrixCellTooltip(d, difference = false) {
+        const metricDef = PAIR_METRICS[pairMetricSettings.metric];
+        const formatShare = d3.format(".1%");
+        return difference
+            ? `${d.source} & ${d.target}: ${currentCuisineName} ${formatShare(d.shareA)} (${d.countA}) vs ${compareCuisineName} ${formatShare(d.shareB)} (${d.countB}), difference ${d3.format("+.1%")(d.z)}`
+            : pairMetricSettings.metric === 'count'
+            ? `${d.source} & ${d.target}: ${d.z.toLocaleString()}`
+            : `${metricDef.directional ? `P(${d.target} | ${d.source})` : `${d.source} & ${d.target}: ${metricDef.label}`} ${formatMetricValue(d.z)} (${d.count.toLocaleString()} recipes together)`;
+    }
 
-    // Setup hover interactions for Adjacency Matrix cells and axes
-    function setupMatrixInteractivity(cellSelection) { // cellSelection is now within squareMatrixGroup
-         console.log("Setting up Matrix Interactivity...");
-         // IMPORTANT: Select axis ticks relative to the main matrixG, not squareMatrixGroup,
-         // because the axis elements were appended *directly* to matrixG before squareMatrixGroup existed
-         // *Correction*: Axes are now appended to squareMatrixGroup, so selections should be relative to matrixG or specifically target within the square group. Let's keep it simple and select globally within matrixG for axes.
+    // Move the drawn matrix's rows, then its columns, into a new order (staggered, Les Misérables style)
+    function animateMatrixOrder(order) {
+        if (matrixCanvasView) { animateMatrixCanvasOrder(order); return; }
+        if (!matrixScales) return;
+        const { xScale, yScale } = matrixScales;
+        xScale.domain(order);
+        yScale.domain(order);
+        const rank = new Map(order.map((name, i) => [name, i]));
+        const stagger = MATRIX_REORDER_STAGGER_MS / Math.max(1, order.length);
+        const duration = CHART_TRANSITION_MS; // In step with the crossfade between cuisines
+        const columnStart = duration + MATRIX_REORDER_STAGGER_MS; // Columns start once every row has moved
+
+        // Phase 1: rows (cell y and y-axis labels); phase 2: columns (cell x and x-axis labels)
+        const cells = matrixG.selectAll(".matrix-cell");
+        cells.transition("reorder-rows").duration(duration).delay(d => rank.get(d.source) * stagger)
+            .attr("y", d => yScale(d.source));
+        cells.transition("reorder-columns").duration(duration).delay(d => columnStart + rank.get(d.target) * stagger)
+            .attr("x", d => xScale(d.target));
+        matrixG.selectAll(".y.axis .tick")
+            .transition("reorder-rows").duration(duration).delay(name => rank.get(name) * stagger)
+            .attr("transform", name => `translate(0,${yScale(name) + yScale.bandwidth() / 2})`);
+        matrixG.selectAll(".x.axis .tick")
+            .transition("reorder-columns").duration(duration).delay(name => columnStart + rank.get(name) * stagger)
+            .attr("transform", name => `translate(${xScale(name) + xScale.bandwidth() / 2},0)`);
+        console.log(`Matrix reordered (${MATRIX_ORDERS[matrixSettings.order]}).`);
+    }
 
-        if (!cellSelection || cellSelection.empty()) {
-            console.warn("setupMatrixInteractivity: Invalid or empty cell selection."); return;
+    // --- Scalable Matrix (canvas cells, zoom/pan, lens, minimap) ---
+    // Above MATRIX_CANVAS_THRESHOLD ingredients the cells are painted on a canvas held in a foreignObject,
+    // so it shares the SVG's coordinates. Rows and columns are placed by rank (0..N); the zoom transform and
+    // the optional fisheye lens map ranks to pixels. Labels are only drawn where a row/column is wide enough
+    // to read, along the matrix edges (they stay put while panning), and a minimap shows the visible window.
+
+    // Redraws and resizes of a drawn canvas matrix reuse its layers (resized, then repainted) and keep its zoom.
+    function renderMatrixCanvas(processed, colorScaleMatrix) {
+        const previous = matrixCanvasView;
+        const { nodes, order, matrix } = processed;
+        const n = order.length;
+        const showMinimap = matrixWidth > 3 * MATRIX_MINIMAP_SIZE;
+        const width = Math.floor(showMinimap ? matrixWidth - MATRIX_MINIMAP_SIZE - 20 : matrixWidth);
+        const height = Math.floor(Math.max(150, matrixHeight - 70)); // Room for the rotated column labels
+        const ratio = window.devicePixelRatio || 1;
+        const nodeIndex = new Map(nodes.map((name, i) => [name, i]));
+
+        const view = {
+            processed, n, width, height,
+            orderIndex: order.map(name => nodeIndex.get(name)), // Node index at each rank
+            rowRank: new Float64Array(n), colRank: new Float64Array(n), // Rank of each node (fractional while animating)
+            cellColors: matrix.map(row => row.map(cell => (cell.count > 0 && cell.z !== null) ? colorScaleMatrix(cell.z) : null)),
+            transform: d3.zoomIdentity,
+            lensFocus: null, // [x, y] of the fisheye focus, or null
+            hover: null, // { row, col } ranks under the pointer (either may be null)
+            search: null, // { primary, neighbors } name sets of the active search
+            frame: null, timer: null
+        };
+        view.orderIndex.forEach((nodeIdx, rank) => { view.rowRank[nodeIdx] = rank; view.colRank[nodeIdx] = rank; });
+
+        // Cell layer
+        let layer = matrixG.selectChild(".matrix-canvas-layer"); // By class: camel-case SVG tag names don't match reliably
+        if (layer.empty()) layer = matrixG.append("foreignObject").attr("class", "matrix-canvas-layer");
+        layer.attr("width", width).attr("height", height);
+        view.canvas = layer.selectChild("canvas");
+        if (view.canvas.empty()) view.canvas = layer.append("xhtml:canvas");
+        view.canvas
+            .attr("width", Math.round(width * ratio)).attr("height", Math.round(height * ratio))
+            .style("width", `${width}px`).style("height", `${height}px`);
+        view.context = view.canvas.node().getContext("2d");
+        view.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        // Sticky labels, crosshair veil (drawn over the canvas, ignores the pointer)
+        view.yAxis = ensureChild(matrixG, "g", "y axis");
+        view.xAxis = ensureChild(matrixG, "g", "x axis").attr("transform", `translate(0,${height})`);
+        view.crosshair = ensureChild(matrixG, "g", "matrix-crosshair").style("pointer-events", "none");
+
+        // Zoom/pan: cells may grow to ~24px; panning stays inside the matrix
+        const maxZoom = Math.max(1, 24 * n / Math.min(width, height));
+        view.zoom = d3.zoom()
+            .scaleExtent([1, maxZoom])
+            .extent([[0, 0], [width, height]])
+            .translateExtent([[0, 0], [width, height]])
+            .on("zoom", event => {
+                view.transform = event.transform;
+                scheduleMatrixCanvasDraw();
+            });
+        view.canvas.call(view.zoom)
+            .on("wheel.matrix", event => event.stopPropagation()); // Keep the HEB zoom on the SVG out of it
+
+        if (showMinimap) {
+            const size = MATRIX_MINIMAP_SIZE;
+            view.minimapSize = size;
+            let minimapG = matrixG.selectChild(".matrix-minimap");
+            if (minimapG.empty()) {
+                minimapG = matrixG.append("g").attr("class", "matrix-minimap");
+                minimapG.append("foreignObject").attr("width", size).attr("height", size)
+                    .append("xhtml:canvas")
+                    .attr("width", Math.round(size * ratio)).attr("height", Math.round(size * ratio))
+                    .style("width", `${size}px`).style("height", `${size}px`);
+                minimapG.append("rect").attr("class", "matrix-minimap-frame").attr("width", size).attr("height", size);
+                minimapG.append("rect").attr("class", "matrix-minimap-viewport");
+                minimapG.append("rect").attr("class", "matrix-minimap-hit").attr("width", size).attr("height", size)
+                    .on("click", event => event.stopPropagation()); // Not a background click (keeps pins)
+            }
+            minimapG.attr("transform", `translate(${width + 20},0)`);
+            view.minimapContext = minimapG.select("canvas").node().getContext("2d");
+            view.minimapContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+            view.minimapViewport = minimapG.select(".matrix-minimap-viewport");
+            // Click or drag on the minimap to move the zoomed window there
+            minimapG.select(".matrix-minimap-hit")
+                .call(d3.drag().on("start drag", event => {
+                    view.canvas.call(view.zoom.translateTo, event.x / size * width, event.y / size * height);
+                }));
+            drawMatrixMinimap(view);
+        } else {
+            matrixG.selectChildren(".matrix-minimap").remove(); // Resized below the room it needs
         }
 
-        // Select all relevant elements globally within matrixG for simplicity
-        const allCells = matrixG.selectAll(".matrix-cell"); // Cells are inside squareMatrixGroup, but reachable
-        const allXAxisTicks = matrixG.selectAll(".x.axis .tick");
-        const allYAxisTicks = matrixG.selectAll(".y.axis .tick");
+        setupMatrixCanvasInteractivity(view);
+        matrixCanvasView = view;
+        if (previous) { // Keep the zoomed window, within the new size's zoom and pan limits
+            view.canvas.call(view.zoom.transform, previous.transform).call(view.zoom.scaleBy, 1);
+        }
+        computeMatrixCanvasEdges(view);
+        drawMatrixCanvas();
+        console.log(`Canvas Adjacency Matrix rendered with ${n} nodes (${width}x${height}px, max zoom ${maxZoom.toFixed(1)}x).`);
+    }
 
-        // --- Cell hover ---
-        cellSelection // Use the passed selection (already filtered for valid cells)
-            .on("mouseover.matrix", function(event, d) { // d is cell data {x,y,z,source,target}
-                allCells.style("opacity", 0.3);
-                allXAxisTicks.style("opacity", 0.3);
-                allYAxisTicks.style("opacity", 0.3);
+    // Sarkar-Brown graphical fisheye: magnify around `focus`, compress towards [min, max]
+    function fisheye(x, focus, min, max, distortion) {
+        const dx = x - focus;
+        const range = dx < 0 ? focus - min : max - focus;
+        if (range <= 0) return x;
+        const t = Math.abs(dx) / range;
+        return focus + Math.sign(dx) * range * (distortion + 1) * t / (distortion * t + 1);
+    }
 
-                d3.select(this).style("opacity", 1).raise(); // Highlight this specific cell
+    // Pixel position of a (possibly fractional) rank boundary along 'x' or 'y', after zoom and lens
+    function matrixCanvasPosition(view, rank, axis) {
+        const size = axis === 'x' ? view.width : view.height;
+        const base = rank * size / view.n;
+        const zoomed = axis === 'x' ? view.transform.applyX(base) : view.transform.applyY(base);
+        if (!view.lensFocus) return zoomed;
+        // Distortion d magnifies the focus d + 1 times; no lens once rows are already that large
+        const distortion = Math.max(0, MATRIX_LENS_FOCUS_SIZE / (size / view.n * view.transform.k) - 1);
+        return fisheye(zoomed, axis === 'x' ? view.lensFocus[0] : view.lensFocus[1], 0, size, distortion);
+    }
 
-                allXAxisTicks.filter(nodeName => nodeName === d.target)
-                             .style("opacity", 1).select("text").style("font-weight", "bold");
-                allYAxisTicks.filter(nodeName => nodeName === d.source)
-                             .style("opacity", 1).select("text").style("font-weight", "bold");
+    // Boundaries of every rank (N + 1 values per axis), used for hit-testing, labels and the crosshair
+    function computeMatrixCanvasEdges(view) {
+        view.xEdges = Float64Array.from({ length: view.n + 1 }, (_, k) => matrixCanvasPosition(view, k, 'x'));
+        view.yEdges = Float64Array.from({ length: view.n + 1 }, (_, k) => matrixCanvasPosition(view, k, 'y'));
+    }
 
-                 allCells.filter(cellData => cellData.source === d.source || cellData.target === d.target)
-                         .style("opacity", 0.7); // Partially highlight row/column
-                 d3.select(this).style("opacity", 1); // Ensure hovered cell stays fully opaque
+    // Coalesce redraws (zoom, lens and hover events fire faster than frames)
+    function scheduleMatrixCanvasDraw() {
+        const view = matrixCanvasView;
+        if (!view || view.frame) return;
+        view.frame = requestAnimationFrame(drawMatrixCanvas);
+    }
+
+    // Paint the visible cells, then refresh labels, crosshair and the minimap window
+    function drawMatrixCanvas() {
+        const view = matrixCanvasView;
+        if (!view) return;
+        view.frame = null;
+        computeMatrixCanvasEdges(view);
+        const { n, width, height, context, processed: { matrix } } = view;
+        const span = (ranks, axis) => {
+            const start = new Float64Array(n), end = new Float64Array(n);
+            for (let i = 0; i < n; i++) {
+                start[i] = matrixCanvasPosition(view, ranks[i], axis);
+                end[i] = matrixCanvasPosition(view, ranks[i] + 1, axis);
+            }
+            return { start, end };
+        };
+        const columns = span(view.colRank, 'x'), rows = span(view.rowRank, 'y');
+        const visibleColumns = d3.range(n).filter(j => columns.end[j] > 0 && columns.start[j] < width);
+        const visibleRows = d3.range(n).filter(i => rows.end[i] > 0 && rows.start[i] < height);
+
+        context.clearRect(0, 0, width, height);
+        const outlined = []; // Cells between two search matches get an outline, like the SVG .highlighted cells
+        visibleRows.forEach(i => {
+            const y = rows.start[i], cellHeight = rows.end[i] - y;
+            const gapY = cellHeight > 4 ? 0.5 : 0;
+            visibleColumns.forEach(j => {
+                const color = view.cellColors[i][j];
+                if (!color) return;
+                const cell = matrix[i][j];
+                const x = columns.start[j], cellWidth = columns.end[j] - x;
+                context.globalAlpha = matrixCanvasCellAlpha(view, cell);
+                context.fillStyle = color;
+                context.fillRect(x, y, cellWidth - (cellWidth > 4 ? 0.5 : 0), cellHeight - gapY);
+                if (view.search?.primary.has(cell.source) && view.search.primary.has(cell.target)) outlined.push([x, y, cellWidth, cellHeight]);
+            });
+        });
+        context.globalAlpha = 1;
+        context.strokeStyle = "black";
+        context.lineWidth = 1.5;
+        outlined.forEach(([x, y, w, h]) => context.strokeRect(x, y, w, h));
+
+        drawMatrixCanvasLabels(view);
+        drawMatrixCrosshair(view);
+        updateMatrixMinimapViewport(view);
+    }
+
+    // Cell opacity under the search / pinned emphasis (mirrors the SVG matrix's classes and styles)
+    function matrixCanvasCellAlpha(view, cell) {
+        if (view.search) {
+            const { primary, neighbors } = view.search;
+            const isLit = name => primary.has(name) || neighbors.has(name);
+            return (primary.has(cell.source) && isLit(cell.target)) || (primary.has(cell.target) && isLit(cell.source)) ? 1 : 0.1;
+        }
+        if (pinnedIngredients.size > 0) {
+            return pinnedIngredients.has(cell.source) || pinnedIngredients.has(cell.target) ? 1 : 0.3;
+        }
+        return 1;
+    }
+
+    // Row/column labels for the ranks wide enough to read, kept at least 10px apart
+    function drawMatrixCanvasLabels(view) {
+        const { processed: { nodes }, orderIndex, width, height } = view;
+        const pickLabels = (edges, limit) => {
+            const picked = [];
+            let lastCentre = -Infinity;
+            for (let rank = 0; rank < view.n; rank++) {
+                const start = edges[rank], end = edges[rank + 1], centre = (start + end) / 2;
+                if (end - start < MATRIX_LABEL_MIN_BAND || centre < 0 || centre > limit || centre - lastCentre < 10) continue;
+                picked.push({ name: nodes[orderIndex[rank]], rank, centre, size: end - start });
+                lastCentre = centre;
+            }
+            return picked;
+        };
+        const fontSize = d => `${Math.round(Math.min(12, Math.max(8, d.size * 0.8)))}px`;
+        // Tick datum is the ingredient name, like the SVG axes (search/pin code relies on it)
+        const joinTicks = (axisG, labels, placeTick, placeText) => {
+            const labelByName = new Map(labels.map(d => [d.name, d]));
+            axisG.selectAll(".tick")
+                .data(labels.map(d => d.name), name => name)
+                .join(enter => {
+                    const tick = enter.append("g").attr("class", "tick");
+                    placeText(tick.append("text"));
+                    return tick;
+                })
+                .attr("transform", name => placeTick(labelByName.get(name)))
+                .call(ticks => ticks.select("text").text(name => name).style("font-size", name => fontSize(labelByName.get(name))));
+        };
+        joinTicks(view.yAxis, pickLabels(view.yEdges, height),
+            d => `translate(0,${d.centre})`,
+            text => text.attr("x", -6).attr("dy", "0.32em").style("text-anchor", "end"));
+        joinTicks(view.xAxis, pickLabels(view.xEdges, width),
+            d => `translate(${d.centre},0)`,
+            text => text.attr("x", 6).attr("dy", "0.32em").attr("transform", "rotate(45)").style("text-anchor", "start"));
+
+        const search = view.search;
+        const hovered = new Set();
+        if (view.hover?.row != null) hovered.add(nodes[orderIndex[view.hover.row]]);
+        if (view.hover?.col != null) hovered.add(nodes[orderIndex[view.hover.col]]);
+        const allTicks = matrixG.selectAll(".axis .tick")
+            .classed("pinned", name => pinnedIngredients.has(name))
+            .classed("dimmed", name => !!search && !search.primary.has(name) && !search.neighbors.has(name))
+            .style("opacity", name => !search && pinnedIngredients.size > 0 && !pinnedIngredients.has(name) ? 0.3 : null);
+        allTicks.select("text")
+            .classed("highlighted", name => !!search && search.primary.has(name))
+            .classed("highlighted-neighbor", name => !!search && search.neighbors.has(name))
+            .style("font-weight", name => hovered.has(name) || pinnedIngredients.has(name) ? "bold" : null);
+    }
+
+    // Dim everything outside the hovered row and/or column and outline the hovered cell
+    function drawMatrixCrosshair(view) {
+        const { width, height, hover } = view;
+        const veil = [];
+        let outline = null;
+        if (hover && !view.timer) {
+            const rowBand = hover.row != null ? [view.yEdges[hover.row], view.yEdges[hover.row + 1]].map(y => Math.max(0, Math.min(height, y))) : null;
+            const colBand = hover.col != null ? [view.xEdges[hover.col], view.xEdges[hover.col + 1]].map(x => Math.max(0, Math.min(width, x))) : null;
+            const xStops = colBand ? [[0, colBand[0]], [colBand[1], width]] : [[0, width]];
+            const yStops = rowBand ? [[0, rowBand[0]], [rowBand[1], height]] : [[0, height]];
+            xStops.forEach(([x0, x1]) => yStops.forEach(([y0, y1]) => {
+                if (x1 > x0 && y1 > y0) veil.push({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+            }));
+            if (rowBand && colBand) outline = { x: colBand[0], y: rowBand[0], width: colBand[1] - colBand[0], height: rowBand[1] - rowBand[0] };
+        }
+        view.crosshair.selectAll(".matrix-veil").data(veil).join("rect").attr("class", "matrix-veil")
+            .attr("x", d => d.x).attr("y", d => d.y).attr("width", d => d.width).attr("height", d => d.height);
+        view.crosshair.selectAll(".matrix-hover-cell").data(outline ? [outline] : []).join("rect").attr("class", "matrix-hover-cell")
+            .attr("x", d => d.x).attr("y", d => d.y).attr("width", d => d.width).attr("height", d => d.height);
+    }
+
+    // Overview of the whole matrix (current order) for the minimap
+    function drawMatrixMinimap(view) {
+        const context = view.minimapContext;
+        if (!context) return;
+        const size = view.minimapSize, cellSize = size / view.n;
+        context.clearRect(0, 0, size, size);
+        context.fillStyle = "#f8f9fa";
+        context.fillRect(0, 0, size, size);
+        view.orderIndex.forEach((i, rowRank) => {
+            view.orderIndex.forEach((j, colRank) => {
+                const color = view.cellColors[i][j];
+                if (!color) return;
+                context.fillStyle = color;
+                context.fillRect(colRank * cellSize, rowRank * cellSize, Math.max(cellSize, 0.5), Math.max(cellSize, 0.5));
+            });
+        });
+    }
+
+    // Rectangle of the minimap currently visible in the zoomed matrix
+    function updateMatrixMinimapViewport(view) {
+        if (!view.minimapViewport) return;
+        const { transform, width, height, minimapSize: size } = view;
+        view.minimapViewport
+            .attr("x", transform.invertX(0) / width * size)
+            .attr("y", transform.invertY(0) / height * size)
+            .attr("width", size / transform.k)
+            .attr("height", size / transform.k);
+    }
+
+    // Hover crosshair + native tooltip, lens tracking, click-to-pin on the canvas and its labels
+    function setupMatrixCanvasInteractivity(view) {
+        const { canvas } = view;
+        const { matrix, nodes, difference } = view.processed;
+        const rankAt = (edges, position) => {
+            const rank = d3.bisectRight(edges, position) - 1;
+            return rank >= 0 && rank < view.n ? rank : null;
+        };
+        const cellAt = hover => (hover?.row != null && hover?.col != null)
+            ? matrix[view.orderIndex[hover.row]][view.orderIndex[hover.col]]
+            : null;
+
+        canvas
+            .on("mousemove.matrix", event => {
+                const [x, y] = d3.pointer(event);
+                if (matrixSettings.lens) {
+                    view.lensFocus = [x, y];
+                    computeMatrixCanvasEdges(view); // Hit-test against the lens as it will be drawn
+                }
+                view.hover = { row: rankAt(view.yEdges, y), col: rankAt(view.xEdges, x) };
+                const cell = cellAt(view.hover);
+                if (cell && cell.count > 0 && cell.z !== null) {
+                    if (cell !== view.tooltipCell) showTooltip(event, difference ? getMatrixCellTooltip(cell, true) : getPairTooltip(cell.source, cell.target));
+                    else moveTooltip(event);
+                } else hideTooltip();
+                view.tooltipCell = cell;
+                scheduleMatrixCanvasDraw();
+            })
+            .on("mouseleave.matrix", () => {
+                view.hover = null;
+                view.lensFocus = null;
+                view.tooltipCell = null;
+                hideTooltip();
+                scheduleMatrixCanvasDraw();
             })
-            .on("mouseout.matrix", function() {
-                allCells.style("opacity", 1);
-                allXAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
-                allYAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
+            .on("click.pin", event => { // Pin both ingredients of a non-empty cell; empty cells act as background
+                const cell = cellAt(view.hover);
+                if (!cell || cell.count <= 0 || cell.z === null) return;
+                event.stopPropagation();
+                togglePin([cell.source, cell.target], event.shiftKey);
             });
 
-        // --- Y-Axis Tick hover ---
-         allYAxisTicks.on("mouseover.matrix", function(event, d_row) { // d_row is the ingredient name
-             allCells.style("opacity", 0.3); allXAxisTicks.style("opacity", 0.3); allYAxisTicks.style("opacity", 0.3);
+        // Labels come and go with zoom/lens, so their events are delegated to the axis groups:
+        // hover highlights the row/column, click pins the ingredient
+        const tickName = event => {
+            const tick = event.target.closest?.(".tick");
+            return tick ? d3.select(tick).datum() : null;
+        };
+        const rankOf = name => view.orderIndex.indexOf(view.processed.nodes.indexOf(name));
+        view.yAxis.on("mouseover.matrix", event => {
+            const name = tickName(event);
+            if (name) { view.hover = { row: rankOf(name), col: null }; scheduleMatrixCanvasDraw(); }
+        });
+        view.xAxis.on("mouseover.matrix", event => {
+            const name = tickName(event);
+            if (name) { view.hover = { row: null, col: rankOf(name) }; scheduleMatrixCanvasDraw(); }
+        });
+        matrixG.selectAll(".axis")
+            .style("cursor", "pointer")
+            .on("mouseout.matrix", () => { view.hover = null; scheduleMatrixCanvasDraw(); })
+            .on("click.pin", event => {
+                const name = tickName(event);
+                if (!name) return;
+                event.stopPropagation();
+                togglePin([name], event.shiftKey);
+            });
+        console.log(`Canvas matrix interactivity ready (${nodes.length} nodes).`);
+    }
 
-             d3.select(this).style("opacity", 1).select("text").style("font-weight", "bold");
+    // Search on the canvas matrix: primary matches of the query and their partners, then repaint
+    function setMatrixCanvasSearch(query) {
+        const view = matrixCanvasView;
+        const primary = query.matches;
+        const neighbors = getSearchNeighbors(query, view.processed.matrix.flat()
+            .filter(cell => cell.count > 0 && cell.z !== null)
+            .map(cell => [cell.source, cell.target]));
+        view.search = primary.size > 0 ? { primary, neighbors } : null;
+        drawMatrixCanvas();
+        return { primary, neighbors };
+    }
+
+    // Animate the canvas matrix into a new order: rows first, then columns (same timing as the SVG matrix)
+    function animateMatrixCanvasOrder(order) {
+        const view = matrixCanvasView;
+        const nodeIndex = new Map(view.processed.nodes.map((name, i) => [name, i]));
+        const targetRank = new Float64Array(view.n);
+        order.forEach((name, rank) => { targetRank[nodeIndex.get(name)] = rank; });
+        const fromRow = view.rowRank.slice(), fromCol = view.colRank.slice();
+        const stagger = MATRIX_REORDER_STAGGER_MS / Math.max(1, view.n), duration = CHART_TRANSITION_MS;
+        const columnStart = duration + MATRIX_REORDER_STAGGER_MS;
+        const progress = (elapsed, start) => d3.easeCubic(Math.max(0, Math.min(1, (elapsed - start) / duration)));
+
+        view.orderIndex = order.map(name => nodeIndex.get(name));
+        view.hover = null;
+        if (view.timer) view.timer.stop();
+        view.timer = d3.timer(elapsed => {
+            for (let i = 0; i < view.n; i++) {
+                const delay = targetRank[i] * stagger;
+                view.rowRank[i] = fromRow[i] + (targetRank[i] - fromRow[i]) * progress(elapsed, delay);
+                view.colRank[i] = fromCol[i] + (targetRank[i] - fromCol[i]) * progress(elapsed, columnStart + delay);
+            }
+            if (elapsed >= columnStart + MATRIX_REORDER_STAGGER_MS + duration) {
+                view.timer.stop();
+                view.timer = null;
+                drawMatrixMinimap(view);
+            }
+            drawMatrixCanvas();
+        });
+        console.log(`Canvas matrix reordered (${MATRIX_ORDERS[matrixSettings.order]}).`);
+    }
 
-             const targetNodes = new Set();
-             allCells.filter(cellData => cellData.source === d_row) // Highlight row cells
-                     .style("opacity", 1)
-                     .each(cd => { if (cd.z > 0) targetNodes.add(cd.target); }); // Collect targets in this row
+    // --- Force Network (d3.forceSimulation) ---
 
-              allXAxisTicks.filter(nodeName => targetNodes.has(nodeName)).style("opacity", 1); // Highlight target ticks
-         }).on("mouseout.matrix", function() {
-             allCells.style("opacity", 1); allXAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal"); allYAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
-         });
+    // Node radius (area ~ occurrences) and edge width (~ co-occurrence) scales of a network
+    function getNetworkScales({ nodes, links }) {
+        const [minValue, maxValue] = d3.extent(links, d => d.value);
+        return {
+            radius: d3.scaleSqrt().domain([0, d3.max(nodes, d => d.value) || 1]).range([3, 18]),
+            width: d3.scaleSqrt().domain(minValue === maxValue ? [0, maxValue || 1] : [minValue, maxValue]).range([0.75, 8])
+        };
+    }
 
-        // --- X-Axis Tick hover ---
-        allXAxisTicks.on("mouseover.matrix", function(event, d_col) { // d_col is the ingredient name
-             allCells.style("opacity", 0.3); allXAxisTicks.style("opacity", 0.3); allYAxisTicks.style("opacity", 0.3);
+    // Renders the force-directed network of the strongest pairs. Dragging a node fixes it where it is
+    // dropped (double-click releases it); the shared zoom pans and zooms the whole network.
+    // previousNodes: simulation nodes of the network being redrawn (their positions are kept). Nodes are keyed
+    // by ingredient and links by pair, so a redraw keeps the elements that stay and fades the others in or out.
+    function renderNetwork(processed, { preservedTransform = null, previousNodes = null, duration = CHART_TRANSITION_MS } = {}) {
+        console.log("Rendering Force Network...");
+        prepareChartGroup(networkG, 'network');
+        const { nodes, links } = processed;
+        if (!nodes?.length || !links?.length) {
+            displayInfoMessage("No ingredient pairs remain for the Force Network.");
+            return;
+        }
 
-             d3.select(this).style("opacity", 1).select("text").style("font-weight", "bold");
+        const scales = getNetworkScales(processed);
+        const previous = new Map((previousNodes || []).map(d => [d.name, d]));
+        nodes.forEach(d => {
+            d.r = scales.radius(d.value);
+            const old = previous.get(d.name);
+            if (old) Object.assign(d, { x: old.x, y: old.y, fx: old.fx, fy: old.fy });
+        });
+        const simulationLinks = links.map(link => ({ ...link })); // forceLink swaps the names for nodes; processed.links keep them
+
+        // Edges first so the nodes are drawn on top. Link ends become nodes once the simulation starts
+        // (the drawn links' data), so keys and tooltips read either form.
+        const linkEnds = d => [d.source.name ?? d.source, d.target.name ?? d.target];
+        const linkSelection = ensureChild(networkG, "g", "network-links")
+            .selectAll(".network-link")
+            .data(simulationLinks, d => pairKey(...linkEnds(d)))
+            .join(
+                enter => enter.append("line")
+                    .attr("class", "network-link")
+                    .attr("opacity", 0), // Fades in
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            )
+            .style("stroke-width", d => scales.width(d.value));
+        linkSelection.transition("fade").duration(duration).attr("opacity", 1);
+        bindTooltip(linkSelection, d => getPairTooltip(...linkEnds(d)));
+
+        const nodeSelection = ensureChild(networkG, "g", "network-nodes")
+            .selectAll(".network-node")
+            .data(nodes, d => d.name)
+            .join(
+                enter => enter.append("g")
+                    .attr("class", "network-node")
+                    .attr("opacity", 0) // Fades in
+                    .style("cursor", "pointer")
+                    .call(node => node.append("circle"))
+                    .call(node => node.append("text")
+                        .attr("dy", "0.35em")
+                        .text(d => d.name)),
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            )
+            .classed("fixed", d => d.fx !== undefined && d.fx !== null);
+        nodeSelection.transition("fade").duration(duration).attr("opacity", 1);
+        nodeSelection.select("circle")
+            .attr("r", d => d.r)
+            .style("fill", d => classifyIngredient(d.name).group.color); // Same group colours as the HEB
+        nodeSelection.select("text").attr("x", d => d.r + 3);
+        bindTooltip(nodeSelection, d => getIngredientTooltip(d.name, {
+            rows: [["Links shown", `${d.degree} at co-occurrence ≥ ${networkSettings.minLinkValue}`]]
+        }));
+
+        const simulation = networkSimulation = d3.forceSimulation(nodes)
+            .force("link", d3.forceLink(simulationLinks).id(d => d.name).distance(d => d.source.r + d.target.r + 30))
+            .force("charge", d3.forceManyBody().strength(d => -40 - 6 * d.r))
+            .force("collide", d3.forceCollide(d => d.r + 2))
+            .force("x", d3.forceX(0).strength(0.05)) // Keeps disconnected parts on screen
+            .force("y", d3.forceY(0).strength(0.05))
+            .on("tick", () => {
+                linkSelection
+                    .attr("x1", d => d.source.x).attr("y1", d => d.source.y)
+                    .attr("x2", d => d.target.x).attr("y2", d => d.target.y);
+                nodeSelection.attr("transform", d => `translate(${d.x},${d.y})`);
+                networkG.select(".keyboard-focus-ring").attr("transform", d => `translate(${d.x},${d.y})`); // Follows its node
+            });
+        // Settle in from the previous layout instead of starting over; a resize only places the elements again
+        if (previous.size) simulation.alpha(duration ? 0.3 : simulation.alphaMin());
+
+        setupNetworkInteractivity(nodeSelection, simulation);
+        svg.call(zoom.transform, preservedTransform || getInitialNetworkTransform());
+        console.log(`Force Network rendered (${nodes.length} nodes, ${links.length} links).`);
+    }
+
+    // Hover emphasis, click-to-pin, drag-to-fix and double-click-to-release on network nodes
+    function setupNetworkInteractivity(nodeSelection, simulation) {
+        let dragState = null; // { fx, fy, moved } of the node being dragged (a click without movement changes nothing)
+        nodeSelection
+            .on("mouseover.network", (event, d) => { if (!dragState) emphasizeNetworkNodes(new Set([d.name])); })
+            .on("mouseout.network", () => { if (!dragState) restoreNetworkStyles(); })
+            .on("click.pin", (event, d) => { // Click pins, Shift+click adds to the pinned set
+                event.stopPropagation();
+                togglePin([d.name], event.shiftKey);
+            })
+            .on("dblclick.fix", function(event, d) { // Release a dragged node back to the simulation
+                event.stopPropagation();
+                d.fx = d.fy = null;
+                d3.select(this).classed("fixed", false);
+                simulation.alpha(0.3).restart();
+            })
+            .call(d3.drag()
+                .on("start", (event, d) => {
+                    dragState = { fx: d.fx, fy: d.fy, moved: false };
+                    hideTooltip();
+                    d.fx = d.x; d.fy = d.y;
+                })
+                .on("drag", (event, d) => {
+                    if (!dragState.moved) simulation.alphaTarget(0.3).restart();
+                    dragState.moved = true;
+                    d.fx = event.x; d.fy = event.y;
+                })
+                .on("end", function(event, d) {
+                    simulation.alphaTarget(0);
+                    if (dragState.moved) d3.select(this).classed("fixed", true); // Stays where it was dropped
+                    else { d.fx = dragState.fx; d.fy = dragState.fy; }
+                    dragState = null;
+                }));
+    }
+
+    // Dim the network and emphasize the given nodes, their links and their neighbors
+    function emphasizeNetworkNodes(focusNames) {
+        const connectedNames = new Set();
+        networkG.selectAll(".network-link").style("stroke-opacity", d => {
+            const connected = focusNames.has(d.source.name) || focusNames.has(d.target.name);
+            if (connected) { connectedNames.add(d.source.name); connectedNames.add(d.target.name); }
+            return connected ? 0.9 : 0.08;
+        });
+        const nodeSelection = networkG.selectAll(".network-node")
+            .style("opacity", d => focusNames.has(d.name) || connectedNames.has(d.name) ? 1.0 : 0.2);
+        nodeSelection.select("text")
+            .style("font-weight", d => focusNames.has(d.name) ? "bold" : connectedNames.has(d.name) ? "500" : null);
+        nodeSelection.filter(d => focusNames.has(d.name)).raise();
+    }
 
-             const sourceNodes = new Set();
-             allCells.filter(cellData => cellData.target === d_col) // Highlight column cells
-                     .style("opacity", 1)
-                     .each(cd => { if (cd.z > 0) sourceNodes.add(cd.source); }); // Collect sources in this column
+    // Reset inline hover styles on the network, then re-apply the pinned selection if any
+    function restoreNetworkStyles() {
+        networkG.selectAll(".network-link").style("stroke-opacity", null);
+        const nodeSelection = networkG.selectAll(".network-node").style("opacity", null)
+            .classed("pinned", d => pinnedIngredients.has(d.name));
+        nodeSelection.select("text").style("font-weight", null);
+        if (pinnedIngredients.size > 0) applyPinnedHighlight();
+    }
 
-              allYAxisTicks.filter(nodeName => sourceNodes.has(nodeName)).style("opacity", 1); // Highlight source ticks
-         }).on("mouseout.matrix", function() {
-             allCells.style("opacity", 1); allXAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal"); allYAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
-         });
+    // --- Chord Diagram (d3.chord) ---
 
-         console.log("Matrix Interactivity setup complete.");
+    // Arc of a chord group (padding widens it, e.g. for the keyboard focus outline)
+    function getChordArc(padding = 0) {
+        return d3.arc().innerRadius(chordRadius - 16 - padding).outerRadius(chordRadius + padding);
+    }
+
+    // Describe a ribbon or arc value: recipes together per ingredient, summed co-occurrences per group
+    function formatChordValue(value, aggregate) {
+        const count = d3.format(",.0f")(value);
+        return aggregate === 'group' ? `${count} co-occurrences` : `together in ${count} recipes`;
+    }
+
+    // Renders the Chord Diagram: one arc per ingredient or ingredient group, ribbons sized by the
+    // co-occurrence between two arcs. Hovering an arc isolates its ribbons; per ingredient, a click pins it.
+    // Arcs are keyed by ingredient/group and ribbons by pair, so new data morphs their angles.
+    function renderChordDiagram(processed, { duration = CHART_TRANSITION_MS } = {}) {
+        console.log("Rendering Chord Diagram...");
+        const { keys, matrix, aggregate } = processed;
+        prepareChartGroup(chordG, `chord-${aggregate}`);
+        const chords = d3.chord()
+            .padAngle(Math.min(0.04, 1 / keys.length))
+            .sortSubgroups(d3.descending)(matrix);
+        // Arcs and ribbon ends carry their key (label, colour, ingredient names)
+        chords.groups.forEach(group => { group.key = keys[group.index]; });
+        chords.forEach(chord => { chord.source.key = keys[chord.source.index]; chord.target.key = keys[chord.target.index]; });
+        processed.chords = chords; // Arc order for the keyboard
+
+        // Angles tween from where each element was drawn (new elements start at their own angles and fade in)
+        const ribbon = d3.ribbon().radius(chordRadius - 17);
+        const arc = getChordArc();
+        const ribbonAngles = d => ({
+            source: { startAngle: d.source.startAngle, endAngle: d.source.endAngle },
+            target: { startAngle: d.target.startAngle, endAngle: d.target.endAngle }
+        });
+        const arcAngles = d => ({ startAngle: d.startAngle, endAngle: d.endAngle });
+        const morph = (angles, draw) => function(d) {
+            const interpolate = d3.interpolate(chordDrawnAngles.get(this) || angles(d), angles(d));
+            return t => {
+                const current = interpolate(t);
+                chordDrawnAngles.set(this, current);
+                return draw(current);
+            };
+        };
+
+        const ribbonSelection = ensureChild(chordG, "g", "chord-ribbons")
+            .selectAll(".chord-ribbon")
+            .data(chords, d => pairKey(d.source.key.key, d.target.key.key))
+            .join(
+                enter => enter.append("path")
+                    .attr("class", "chord-ribbon")
+                    .attr("opacity", 0),
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            )
+            .style("fill", d => d.source.key.color)
+            .style("stroke", d => d3.color(d.source.key.color).darker(0.5));
+        ribbonSelection.transition().duration(duration)
+            .attr("opacity", 1)
+            .attrTween("d", morph(ribbonAngles, ribbon));
+        bindTooltip(ribbonSelection, d => aggregate === 'ingredient'
+            ? getPairTooltip(d.source.key.key, d.target.key.key)
+            : d.source.index === d.target.index
+            ? `Within ${d.source.key.label}: ${formatChordValue(d.source.value, aggregate)}` // Self ribbon (groups only)
+            : `${d.source.key.label} & ${d.target.key.label}: ${formatChordValue(d.source.value, aggregate)}`);
+
+        const arcSelection = ensureChild(chordG, "g", "chord-arcs")
+            .selectAll(".chord-group-arc")
+            .data(chords.groups, d => d.key.key)
+            .join(
+                enter => enter.append("g")
+                    .attr("class", "chord-group-arc")
+                    .attr("opacity", 0)
+                    .call(arcGroup => arcGroup.append("path"))
+                    .call(arcGroup => arcGroup.append("text").attr("dy", "0.35em")),
+                update => update,
+                exit => fadeOutExit(exit, duration)
+            )
+            .style("cursor", aggregate === 'ingredient' ? "pointer" : null);
+        arcSelection.transition().duration(duration).attr("opacity", 1);
+        arcSelection.select("path")
+            .style("fill", d => d.key.color)
+            .style("stroke", d => d3.color(d.key.color).darker(0.8))
+            .transition().duration(duration)
+            .attrTween("d", morph(arcAngles, arc));
+        const labelTransform = angle => `rotate(${angle * 180 / Math.PI - 90}) translate(${chordRadius + 6})${angle > Math.PI ? " rotate(180)" : ""}`;
+        arcSelection.select("text")
+            .each(d => { d.angle = (d.startAngle + d.endAngle) / 2; })
+            .style("text-anchor", d => d.angle > Math.PI ? "end" : null) // Labels on the left read outwards too
+            .text(d => d.key.label)
+            .transition().duration(duration)
+            .attrTween("transform", morph(d => d.angle, labelTransform));
+        bindTooltip(arcSelection, d => aggregate === 'group'
+            ? `${d.key.label} (${d.key.names.length} ingredients): ${formatChordValue(d.value, aggregate)}`
+            : getIngredientTooltip(d.key.key, { rows: [["Shown here", `${d3.format(",.0f")(d.value)} co-occurrences with the other arcs`]] }));
+
+        setupChordInteractivity(arcSelection, ribbonSelection, aggregate);
+        console.log(`Chord Diagram rendered (${keys.length} arcs, ${chords.length} ribbons).`);
+    }
+
+    // Hover isolation of arcs and ribbons; per ingredient, clicks pin (an arc: its ingredient, a ribbon: both)
+    function setupChordInteractivity(arcSelection, ribbonSelection, aggregate) {
+        const pinOnClick = names => (event) => {
+            if (aggregate !== 'ingredient') return; // Groups are explored by hovering
+            event.stopPropagation();
+            togglePin(names, event.shiftKey);
+        };
+        arcSelection
+            .on("mouseover.chord", (event, d) => emphasizeChordGroups(new Set([d.index])))
+            .on("mouseout.chord", restoreChordStyles)
+            .on("click.pin", (event, d) => pinOnClick(d.key.names)(event));
+        ribbonSelection
+            .on("mouseover.chord", (event, d) => emphasizeChordRibbon(d))
+            .on("mouseout.chord", restoreChordStyles)
+            .on("click.pin", (event, d) => pinOnClick(Array.from(new Set([...d.source.key.names, ...d.target.key.names])))(event));
+    }
+
+    // Dim the chord diagram except the given arcs (by index), their ribbons and the arcs at the other end
+    function emphasizeChordGroups(indices) {
+        const connected = new Set(indices);
+        chordG.selectAll(".chord-ribbon").style("opacity", d => {
+            const touches = indices.has(d.source.index) || indices.has(d.target.index);
+            if (touches) { connected.add(d.source.index); connected.add(d.target.index); }
+            return touches ? 0.9 : 0.05;
+        });
+        chordG.selectAll(".chord-group-arc")
+            .style("opacity", d => connected.has(d.index) ? 1.0 : 0.25)
+            .select("text").style("font-weight", d => indices.has(d.index) ? "bold" : null);
+    }
+
+    // Dim the chord diagram except one ribbon and its two arcs
+    function emphasizeChordRibbon(ribbon) {
+        const ends = new Set([ribbon.source.index, ribbon.target.index]);
+        chordG.selectAll(".chord-ribbon").style("opacity", d => d === ribbon ? 0.9 : 0.05);
+        chordG.selectAll(".chord-group-arc")
+            .style("opacity", d => ends.has(d.index) ? 1.0 : 0.25)
+            .select("text").style("font-weight", d => ends.has(d.index) ? "bold" : null);
+    }
+
+    // Reset inline hover styles on the chord diagram, then re-apply the pinned selection if any
+    function restoreChordStyles() {
+        chordG.selectAll(".chord-ribbon").style("opacity", null);
+        chordG.selectAll(".chord-group-arc").style("opacity", null)
+            .select("text").style("font-weight", null);
+        applyPinnedHighlight(); // Also drops the pinned outline after the pins are released
+    }
+
+    // --- Chart Tooltip (one HTML tooltip shared by every chart) ---
+    // Content is a string (first line = heading) or { title, rows: [[label, value]], lists: [{ title, items }], notes }.
+    // It follows the pointer and stays inside the viewport; on touch screens a tap shows it until the next tap elsewhere.
+
+    // Show the tooltip of `selection` while it is hovered; content(d) builds it on entry
+    function bindTooltip(selection, content) {
+        selection
+            .each(function() { tooltipContent.set(this, content); })
+            .on("pointerenter.tooltip", (event, d) => showTooltip(event, content(d)))
+            .on("pointermove.tooltip", moveTooltip)
+            .on("pointerleave.tooltip", event => { if (event.pointerType !== 'touch') hideTooltip(); }); // A tap keeps it open
+    }
+
+    function showTooltip(event, content) {
+        tooltip.selectAll("*").remove();
+        const { title, rows = [], lists = [], notes = [] } = typeof content === 'string'
+            ? { title: content.split("\n")[0], notes: content.split("\n").slice(1) }
+            : content;
+        tooltip.append("div").attr("class", "chart-tooltip-title").text(title);
+        if (rows.length) {
+            const table = tooltip.append("table").selectAll("tr").data(rows).enter().append("tr");
+            table.append("th").text(d => d[0]);
+            table.append("td").text(d => d[1]);
+        }
+        lists.filter(list => list.items.length).forEach(list => {
+            tooltip.append("div").attr("class", "chart-tooltip-list-title").text(list.title);
+            tooltip.append("ul").selectAll("li").data(list.items).enter().append("li").text(d => d);
+        });
+        notes.filter(Boolean).forEach(note => tooltip.append("div").attr("class", "chart-tooltip-note").text(note));
+        tooltip.property("hidden", false);
+        moveTooltip(event);
+    }
+
+    // Place the tooltip beside the pointer, flipped to the other side near the viewport's right and bottom edges
+    function moveTooltip(event) {
+        if (tooltip.property("hidden")) return;
+        const { width, height } = tooltip.node().getBoundingClientRect();
+        let left = event.clientX + TOOLTIP_OFFSET, top = event.clientY + TOOLTIP_OFFSET;
+        if (left + width > window.innerWidth - TOOLTIP_OFFSET) left = event.clientX - width - TOOLTIP_OFFSET;
+        if (top + height > window.innerHeight - TOOLTIP_OFFSET) top = event.clientY - height - TOOLTIP_OFFSET;
+        tooltip.style("left", `${Math.max(TOOLTIP_OFFSET, left)}px`).style("top", `${Math.max(TOOLTIP_OFFSET, top)}px`);
+    }
+
+    function hideTooltip() {
+        tooltip.property("hidden", true);
+    }
+
+    // Plain-text form of a tooltip (screen-reader announcements)
+    function getTooltipText(content) {
+        if (typeof content === 'string') return content.replace(/\n/g, ". ");
+        return [
+            content.title,
+            ...(content.rows || []).map(([label, value]) => `${label}: ${value}`),
+            ...(content.lists || []).filter(list => list.items.length).map(list => `${list.title}: ${list.items.join(", ")}`),
+            ...(content.notes || [])
+        ].filter(Boolean).join(". ");
+    }
+
+    // Tooltip of an ingredient: recipes using it and their share, its strongest partners and, for All cuisines,
+    // the cuisines it comes from. `rows` adds chart-specific lines after the counts.
+    function getIngredientTooltip(name, { rows = [] } = {}) {
+        const rawData = currentCuisineData;
+        const recipeCount = getRecipeCount(rawData);
+        const count = (rawData.hierarchy.children || []).find(d => d.name === name)?.value || 0;
+        const partners = Array.from(getCooccurrenceProfiles(rawData).get(name) || [])
+            .sort((a, b) => b[1] - a[1] || d3.ascending(a[0], b[0]))
+            .slice(0, TOOLTIP_TOP_PARTNERS);
+        return {
+            title: name,
+            rows: [["Recipes", `${count.toLocaleString()} (${d3.format(".1%")(count / recipeCount)} of ${recipeCount.toLocaleString()})`], ...rows],
+            lists: [
+                { title: "Top partners (recipes together)", items: partners.map(([partner, together]) => `${partner} (${together.toLocaleString()})`) },
+                getCuisineBreakdownList([name])
+            ]
+        };
     }
 
+    // Tooltip of a pair: recipes using both and their share, the selected metric (both directions for P(B|A)),
+    // each ingredient's own recipe count and, for All cuisines, the cuisines the pair comes from
+    function getPairTooltip(a, b, { rows = [] } = {}) {
+        if (a === b) return getIngredientTooltip(a, { rows });
+        const rawData = currentCuisineData;
+        const recipeCount = getRecipeCount(rawData);
+        const occurrences = getOccurrenceMap(rawData);
+        const [countA, countB] = [occurrences.get(a) || 0, occurrences.get(b) || 0];
+        const together = getCooccurrenceProfiles(rawData).get(a)?.get(b) || 0;
+        const metricKey = pairMetricSettings.metric;
+        const metricRows = metricKey === 'count' ? []
+            : PAIR_METRICS[metricKey].directional
+            ? [[`P(${b} | ${a})`, formatMetricValue(computePairMetric(together, countA, countB, recipeCount))],
+               [`P(${a} | ${b})`, formatMetricValue(computePairMetric(together, countB, countA, recipeCount))]]
+            : [[PAIR_METRICS[metricKey].label, formatMetricValue(computePairMetric(together, countA, countB, recipeCount))]];
+        return {
+            title: `${a} & ${b}`,
+            rows: [
+                ["Together in", `${together.toLocaleString()} recipes (${d3.format(".1%")(together / recipeCount)})`],
+                ...metricRows,
+                [a, `${countA.toLocaleString()} recipes`],
+                [b, `${countB.toLocaleString()} recipes`],
+                ...rows
+            ],
+            lists: [getCuisineBreakdownList([a, b])]
+        };
+    }
 
     // --- Interactivity & Highlighting ---
 
-    // Setup hover interactions for HEB nodes and links
+    // Setup hover and click-to-pin interactions for HEB nodes and links
     function setupHEBInteractivity(linkSelection, nodeSelection) {
          console.log("Setting up HEB Interactivity...");
-        if (!linkSelection || !nodeSelection || linkSelection.empty() || nodeSelection.empty()) {
+        if (!linkSelection || !nodeSelection || (linkSelection.empty() && !hebCanvasView) || nodeSelection.empty()) {
              console.warn("setupHEBInteractivity: Invalid or empty selections provided."); return;
         }
-        // Link hover: Dim others, highlight hovered link and connected nodes
+        // Link hover: Dim others, highlight hovered link and connected nodes (canvas links hit-test in setupHebCanvasInteractivity)
         linkSelection
-            .on("mouseover.heb", function (event, d) {
-                const sourceName = d.source; const targetName = d.target;
-                linkSelection.style("stroke-opacity", 0.1); // Dim all links
-                nodeSelection.style("opacity", 0.2);     // Dim all nodes
-                // Highlight hovered link
-                d3.select(this).style("stroke-opacity", 0.9)
-                  .style("stroke-width", dd => Math.min(10, Math.max(1.5, Math.sqrt(dd.value) * 1.5))) // Thicken
-                  .raise(); // Bring to front
-                // Highlight connected nodes
-                nodeSelection.filter(nd => nd.data.name === sourceName || nd.data.name === targetName)
-                  .style("opacity", 1.0).select("circle").style("stroke-width", 2.0).style("stroke", "#333");
-                nodeSelection.filter(nd => nd.data.name === sourceName || nd.data.name === targetName)
-                  .select("text").style("font-weight", "bold");
-            }).on("mouseout.heb", function () { // Restore default styles on mouseout
-                linkSelection.style("stroke-opacity", 0.6)
-                  .style("stroke-width", dd => Math.min(8, Math.max(1, Math.sqrt(dd.value))));
-                nodeSelection.style("opacity", 1.0).select("circle")
-                  .style("stroke-width", 1).style("stroke", "#333");
-                nodeSelection.select("text").style("font-weight", "400");
-            });
+            .on("mouseover.heb", function (event, d) { emphasizeHEBLink(d, this); })
+            .on("mouseout.heb", restoreHEBStyles); // Back to defaults (or to the pinned selection)
+        bindTooltip(linkSelection, d => getPairTooltip(d.source, d.target));
         // Node hover: Dim others, highlight hovered node, connected links, and neighbor nodes
         nodeSelection
             .on("mouseover.heb", function(event, d) {
-                const nodeName = d.data.name;
-                linkSelection.style("stroke-opacity", 0.1); // Dim all
-                nodeSelection.style("opacity", 0.2);
-                // Highlight hovered node
-                const currentNode = d3.select(this); currentNode.style("opacity", 1.0).raise();
-                currentNode.select("circle").style("stroke-width", 2.5).style("stroke", "#000");
-                currentNode.select("text").style("font-weight", "bold");
-                // Find and highlight connected links and neighbors
-                const connectedNodeNames = new Set(); const connectedLinkElements = [];
-                linkSelection.each(function(ld) { // Iterate through link data
-                    let linkConnected = false;
-                    if (ld.source === nodeName) { connectedNodeNames.add(ld.target); linkConnected = true; }
-                    if (ld.target === nodeName) { connectedNodeNames.add(ld.source); linkConnected = true; }
-                    if (linkConnected) connectedLinkElements.push(this); // Store link element
-                });
-                d3.selectAll(connectedLinkElements).style("stroke-opacity", 0.9) // Highlight links
-                  .style("stroke-width", dd => Math.min(10, Math.max(1.5, Math.sqrt(dd.value) * 1.5))).raise();
-                // Highlight neighbor nodes
-                nodeSelection.filter(nd => connectedNodeNames.has(nd.data.name)).style("opacity", 1.0)
-                    .select("circle").style("stroke-width", 2.0).style("stroke", "#333");
-                nodeSelection.filter(nd => connectedNodeNames.has(nd.data.name))
-                    .select("text").style("font-weight", "500"); // Semi-bold neighbors
-            }).on("mouseout.heb", function() { // Restore defaults on mouseout
-                 linkSelection.style("stroke-opacity", 0.6)
-                   .style("stroke-width", dd => Math.min(8, Math.max(1, Math.sqrt(dd.value))));
-                 nodeSelection.style("opacity", 1.0).select("circle")
-                   .style("stroke-width", 1).style("stroke", "#333");
-                 nodeSelection.select("text").style("font-weight", "400");
+                emphasizeHEBNodes(new Set([d.data.name]));
+                d3.select(this).raise();
+            })
+            .on("mouseout.heb", restoreHEBStyles)
+            .on("click.pin", (event, d) => { // Click pins, Shift+click adds to the pinned set
+                event.stopPropagation();
+                togglePin([d.data.name], event.shiftKey);
             });
+        bindTooltip(nodeSelection, d => getIngredientTooltip(d.data.name, { rows: [["Group", getHebGroupName(d)]] }));
          console.log("HEB Interactivity setup complete.");
     }
 
-    // Setup hover interactions for Adjacency Matrix cells and axes
+    // Dim the HEB and emphasize one link and its two nodes (linkElement is the SVG path, if any)
+    function emphasizeHEBLink(d, linkElement = null) {
+        const nodeSelection = g.selectAll(".node");
+        nodeSelection.style("opacity", 0.2); // Dim all nodes
+        if (hebCanvasView) {
+            setHebCanvasEmphasis(new Set([d]));
+        } else {
+            g.selectAll(".link").style("stroke-opacity", 0.1); // Dim all links
+            d3.select(linkElement).style("stroke-opacity", 0.9)
+              .style("stroke-width", hebLinkWidthEmphasized) // Thicken
+              .raise(); // Bring to front
+        }
+        // Highlight connected nodes
+        const endpoints = nodeSelection.filter(nd => nd.data.name === d.source || nd.data.name === d.target).style("opacity", 1.0);
+        endpoints.select("circle").style("stroke-width", 2.0).style("stroke", "#333");
+        endpoints.select("text").style("font-weight", "bold");
+    }
+
+    // Dim the HEB and emphasize the given nodes, their links and their neighbors
+    function emphasizeHEBNodes(focusNames) {
+        const nodeSelection = g.selectAll(".node");
+        nodeSelection.style("opacity", 0.2); // Dim all
+        // Find connected links and neighbors
+        const connectedNodeNames = new Set(); const connectedLinks = new Set();
+        getHebLinkData().forEach(ld => {
+            let linkConnected = false;
+            if (focusNames.has(ld.source)) { connectedNodeNames.add(ld.target); linkConnected = true; }
+            if (focusNames.has(ld.target)) { connectedNodeNames.add(ld.source); linkConnected = true; }
+            if (linkConnected) connectedLinks.add(ld);
+        });
+        focusNames.forEach(name => connectedNodeNames.delete(name)); // Focus nodes aren't their own neighbors
+        if (hebCanvasView) {
+            setHebCanvasEmphasis(connectedLinks);
+        } else {
+            const linkSelection = g.selectAll(".link").style("stroke-opacity", 0.1);
+            linkSelection.filter(ld => connectedLinks.has(ld)).style("stroke-opacity", 0.9) // Highlight links
+              .style("stroke-width", hebLinkWidthEmphasized).raise();
+        }
+        // Highlight neighbor nodes
+        const neighborNodes = nodeSelection.filter(nd => connectedNodeNames.has(nd.data.name)).style("opacity", 1.0);
+        neighborNodes.select("circle").style("stroke-width", 2.0).style("stroke", "#333");
+        neighborNodes.select("text").style("font-weight", "500"); // Semi-bold neighbors
+        // Highlight focus nodes
+        const focusNodes = nodeSelection.filter(nd => focusNames.has(nd.data.name)).style("opacity", 1.0).raise();
+        focusNodes.select("circle").style("stroke-width", 2.5).style("stroke", "#000");
+        focusNodes.select("text").style("font-weight", "bold");
+    }
+
+    // Reset inline hover styles on the HEB, then re-apply the pinned selection if any
+    function restoreHEBStyles() {
+        g.selectAll(".link").style("stroke-opacity", 0.6).style("stroke-width", hebLinkWidth);
+        if (hebCanvasView) setHebCanvasEmphasis(null);
+        const nodeSelection = g.selectAll(".node").style("opacity", 1.0)
+            .classed("pinned", d => pinnedIngredients.has(d.data.name)); // Also drops the ring after the pins are released
+        nodeSelection.select("circle").style("stroke-width", 1).style("stroke", "#333");
+        nodeSelection.select("text").style("font-weight", "400");
+        if (pinnedIngredients.size > 0) applyPinnedHighlight();
+    }
+
+    // Setup hover and click-to-pin interactions for Adjacency Matrix cells and axes
     function setupMatrixInteractivity(cellSelection) {
          console.log("Setting up Matrix Interactivity...");
         if (!cellSelection || cellSelection.empty()) {
@@ -888,11 +3687,12 @@ document.addEventListener('DOMContentLoaded', () => {
                  // Optional: Partially highlight other cells in the same row/column
                  allCells.filter(cellData => cellData.source === d.source || cellData.target === d.target)
                          .style("opacity", 0.7);
+                 d3.select(this).style("opacity", 1); // Ensure hovered cell stays fully opaque
             })
-            .on("mouseout.matrix", function() { // Restore defaults on mouseout
-                allCells.style("opacity", 1);
-                allXAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
-                allYAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
+            .on("mouseout.matrix", restoreMatrixStyles) // Back to defaults (or to the pinned selection)
+            .on("click.pin", (event, d) => { // Pin both ingredients of the pair
+                event.stopPropagation();
+                togglePin([d.source, d.target], event.shiftKey);
             });
 
         // Y-Axis Tick hover: Highlight tick, corresponding row cells, and target ticks
@@ -904,11 +3704,9 @@ document.addEventListener('DOMContentLoaded', () => {
              allCells.filter(cellData => cellData.source === d_row).style("opacity", 1);
               // Highlight corresponding X-axis ticks (targets) for cells in this row
               const targetNodes = new Set();
-              allCells.filter(cellData => cellData.source === d_row && cellData.z > 0).each(cd => targetNodes.add(cd.target));
+              allCells.filter(cellData => cellData.source === d_row && cellData.count > 0).each(cd => targetNodes.add(cd.target));
               allXAxisTicks.filter(nodeName => targetNodes.has(nodeName)).style("opacity", 1);
-         }).on("mouseout.matrix", function() { // Restore defaults
-             allCells.style("opacity", 1); allXAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal"); allYAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
-         });
+         }).on("mouseout.matrix", restoreMatrixStyles);
 
         // X-Axis Tick hover: Highlight tick, corresponding column cells, and source ticks
         allXAxisTicks.on("mouseover.matrix", function(event, d_col) { // d_col is the ingredient name
@@ -919,71 +3717,105 @@ document.addEventListener('DOMContentLoaded', () => {
              allCells.filter(cellData => cellData.target === d_col).style("opacity", 1);
               // Highlight corresponding Y-axis ticks (sources) for cells in this column
               const sourceNodes = new Set();
-              allCells.filter(cellData => cellData.target === d_col && cellData.z > 0).each(cd => sourceNodes.add(cd.source));
+              allCells.filter(cellData => cellData.target === d_col && cellData.count > 0).each(cd => sourceNodes.add(cd.source));
               allYAxisTicks.filter(nodeName => sourceNodes.has(nodeName)).style("opacity", 1);
-         }).on("mouseout.matrix", function() { // Restore defaults
-             allCells.style("opacity", 1); allXAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal"); allYAxisTicks.style("opacity", 1).select("text").style("font-weight", "normal");
-         });
+         }).on("mouseout.matrix", restoreMatrixStyles);
+
+        // Axis labels pin their ingredient
+        matrixG.selectAll(".axis .tick")
+            .style("cursor", "pointer")
+            .on("click.pin", (event, name) => {
+                event.stopPropagation();
+                togglePin([name], event.shiftKey);
+            });
 
          console.log("Matrix Interactivity setup complete.");
     }
 
-    // Highlight elements across charts based on search term
+    // Reset inline hover styles on the matrix, then re-apply the pinned selection if any
+    function restoreMatrixStyles() {
+        if (matrixCanvasView) { scheduleMatrixCanvasDraw(); return; } // Canvas matrix repaints from state
+        matrixG.selectAll(".matrix-cell").style("opacity", 1);
+        matrixG.selectAll(".axis .tick").style("opacity", 1).select("text").style("font-weight", "normal");
+        if (pinnedIngredients.size > 0) applyPinnedHighlight();
+    }
+
+    // Highlight elements across charts based on the search query (comma-separated terms, typo-tolerant, any/all)
     function highlightNodes(searchTerm) {
-        const term = searchTerm.toLowerCase().trim();
-        console.log(`Highlighting nodes for term: "${term}" on chart: ${currentChartType}`);
+        const query = matchSearchQuery(searchTerm, Array.from(getIngredientsInCurrentChart()));
+        console.log(`Highlighting nodes for query: "${query.terms.join(", ")}" (${query.mode}) on chart: ${currentChartType}`);
         clearHighlight(false); // Clear previous highlights but keep search term
-        if (!term) return; // Do nothing if search is empty
+        updateSearchMatchCount(query);
+        if (!query.terms.length) return; // Do nothing if search is empty
 
-        let nodesToHighlight = new Set(); // Set of primary matching ingredient names
-        let neighborsToHighlight = new Set(); // Set of neighbors (connected to primary matches)
-        let linksToHighlight = new Set(); // Set of HEB link elements to highlight
+        let nodesToHighlight = query.matches; // Set of primary matching ingredient names
+        let neighborsToHighlight = new Set(); // Set of neighbors (connected to primary matches; shared by every term for 'all')
+        let linksToHighlight = new Set(); // Set of HEB link data to highlight
 
         // Apply highlighting logic based on the currently active chart
         if (currentChartType === 'heb') {
-            const allNodes = g.selectAll(".node"); const allLinks = g.selectAll(".link");
-            // Find primary matches
-            allNodes.each(function(d) { if (d.data.name?.toLowerCase().includes(term)) nodesToHighlight.add(d.data.name); });
-
             if (nodesToHighlight.size > 0) {
-                allNodes.classed("dimmed", true); allLinks.classed("dimmed", true); // Dim everything
-                // Find neighbors and connected links
-                allLinks.each(function(d) {
-                    let linkConnected = false;
-                    if (nodesToHighlight.has(d.source)) { neighborsToHighlight.add(d.target); linkConnected = true; }
-                    if (nodesToHighlight.has(d.target)) { neighborsToHighlight.add(d.source); linkConnected = true; }
-                    if (linkConnected) linksToHighlight.add(this); // Add link DOM element
+                // Find neighbors, then the links from a match to a match or neighbor
+                const hebLinks = getHebLinkData();
+                neighborsToHighlight = getSearchNeighbors(query, hebLinks.map(d => [d.source, d.target]));
+                const isLit = name => nodesToHighlight.has(name) || neighborsToHighlight.has(name);
+                hebLinks.forEach(d => {
+                    if ((nodesToHighlight.has(d.source) && isLit(d.target)) || (nodesToHighlight.has(d.target) && isLit(d.source))) linksToHighlight.add(d);
                 });
-                nodesToHighlight.forEach(name => neighborsToHighlight.delete(name)); // Don't highlight self as neighbor
-                // Apply highlight classes
-                allNodes.filter(d => nodesToHighlight.has(d.data.name)).classed("dimmed", false).classed("highlighted", true).raise();
-                allNodes.filter(d => neighborsToHighlight.has(d.data.name)).classed("dimmed", false).classed("highlighted-neighbor", true);
-                d3.selectAll(Array.from(linksToHighlight)).classed("dimmed", false).classed("highlighted", true).raise();
+                applyHebHighlight(nodesToHighlight, neighborsToHighlight, linksToHighlight);
             }
-        } else if (currentChartType === 'bar' || currentChartType === 'pairs-bar') {
-           const targetGroup = (currentChartType === 'bar') ? barG : pairBarG;
+        } else if (currentChartType === 'bar' || currentChartType === 'pairs-bar' || currentChartType === 'signature') {
+           const targetGroup = (currentChartType === 'bar') ? barG : (currentChartType === 'signature') ? signatureG : pairBarG;
            const allBars = targetGroup.selectAll(".bar");
            const allYAxisTicks = targetGroup.selectAll(".y.axis .tick"); // Select tick groups
+           const isMatch = (currentChartType !== 'pairs-bar')
+               ? d => nodesToHighlight.has(d.name)
+               : d => pairMatchesSearch(query, d.source, d.target); // Pairs match on either side (any) or across both (all)
+           const matchedLabels = new Set();
            allBars.classed("dimmed", true); allYAxisTicks.classed("dimmed", true); // Dim all
            // Highlight matching bars
-           allBars.filter(d => {
-               const label = (currentChartType === 'bar') ? d.name : d.pairLabel; // Get correct label
-               return label?.toLowerCase().includes(term);
-           }).classed("dimmed", false).classed("highlighted", true);
+           allBars.filter(isMatch).each(d => matchedLabels.add(d.pairLabel ?? d.name))
+               .classed("dimmed", false).classed("highlighted", true);
            // Highlight matching Y-axis tick text
-           allYAxisTicks.filter(labelName => labelName?.toLowerCase().includes(term)) // Filter tick groups by label data
+           allYAxisTicks.filter(labelName => matchedLabels.has(labelName)) // Filter tick groups by label data
               .classed("dimmed", false) // Undim the group
               .select("text")           // Select text inside
               .classed("highlighted", true); // Highlight the text element
+        } else if (currentChartType === 'network') {
+            if (nodesToHighlight.size > 0) {
+                const allNodes = networkG.selectAll(".network-node"); const allLinks = networkG.selectAll(".network-link");
+                neighborsToHighlight = getSearchNeighbors(query, allLinks.data().map(d => [d.source.name, d.target.name]));
+                const isLit = name => nodesToHighlight.has(name) || neighborsToHighlight.has(name);
+                allNodes.classed("dimmed", true); allLinks.classed("dimmed", true); // Dim everything
+                allNodes.filter(d => nodesToHighlight.has(d.name)).classed("dimmed", false).classed("highlighted", true).raise();
+                allNodes.filter(d => neighborsToHighlight.has(d.name)).classed("dimmed", false).classed("highlighted-neighbor", true);
+                allLinks.filter(d => (nodesToHighlight.has(d.source.name) && isLit(d.target.name)) || (nodesToHighlight.has(d.target.name) && isLit(d.source.name)))
+                    .classed("dimmed", false).classed("highlighted", true);
+            }
+        } else if (currentChartType === 'chord') {
+            if (nodesToHighlight.size > 0) {
+                const allArcs = chordG.selectAll(".chord-group-arc"); const allRibbons = chordG.selectAll(".chord-ribbon");
+                const ribbonEdges = allRibbons.data().map(d => [d.source.key.key, d.target.key.key]);
+                const matchedKeys = new Set(allArcs.data().filter(d => d.key.names.some(name => nodesToHighlight.has(name))).map(d => d.key.key));
+                // Ingredient arcs use the search neighbours like the other charts; a group's neighbours are the groups it has ribbons to
+                neighborsToHighlight = lastRendered?.processed.aggregate === 'group'
+                    ? new Set(ribbonEdges.flatMap(([a, b]) => matchedKeys.has(a) ? [b] : matchedKeys.has(b) ? [a] : []).filter(key => !matchedKeys.has(key)))
+                    : getSearchNeighbors(query, ribbonEdges);
+                const isLit = key => matchedKeys.has(key) || neighborsToHighlight.has(key);
+                allArcs.classed("dimmed", true); allRibbons.classed("dimmed", true); // Dim everything
+                allArcs.filter(d => matchedKeys.has(d.key.key)).classed("dimmed", false).classed("highlighted", true);
+                allArcs.filter(d => neighborsToHighlight.has(d.key.key)).classed("dimmed", false).classed("highlighted-neighbor", true);
+                allRibbons.filter(d => (matchedKeys.has(d.source.key.key) && isLit(d.target.key.key)) || (matchedKeys.has(d.target.key.key) && isLit(d.source.key.key)))
+                    .classed("dimmed", false).classed("highlighted", true);
+            }
+        } else if (currentChartType === 'matrix' && matrixCanvasView) {
+             // Canvas matrix: cells are repainted with the search emphasis, labels are styled as they are drawn
+             neighborsToHighlight = setMatrixCanvasSearch(query).neighbors;
         } else if (currentChartType === 'matrix') {
              const allCells = matrixG.selectAll(".matrix-cell");
              const allXAxisTicks = matrixG.selectAll(".x.axis .tick");
              const allYAxisTicks = matrixG.selectAll(".y.axis .tick");
 
-             // Find primary matches in axis ticks (data bound to ticks is the ingredient name)
-             allXAxisTicks.each(nodeName => { if (nodeName?.toLowerCase().includes(term)) nodesToHighlight.add(nodeName); });
-             // Y-axis has same nodes, no need to check again if data is consistent
-
              if (nodesToHighlight.size > 0) {
                  allCells.classed("dimmed", true); allXAxisTicks.classed("dimmed", true); allYAxisTicks.classed("dimmed", true); // Dim all
                  // Highlight matching axis tick text
@@ -991,30 +3823,39 @@ document.addEventListener('DOMContentLoaded', () => {
                               .classed("dimmed", false).select("text").classed("highlighted", true);
                  allYAxisTicks.filter(nodeName => nodesToHighlight.has(nodeName))
                               .classed("dimmed", false).select("text").classed("highlighted", true);
-                // Find neighbors and classify cells
+                // Find neighbors (cells are drawn for non-empty pairs only) and classify cells
+                neighborsToHighlight = getSearchNeighbors(query, allCells.data().map(d => [d.source, d.target]));
                 allCells.each(function(d) { // d is cell data {x,y,z,source,target}
-                    let isPrimaryCell = false;    // Cell connects two highlighted nodes
-                    let isNeighborCell = false;   // Cell connects a highlighted node and a neighbor
+                    // Primary cell: connects two highlighted nodes; neighbor cell: a highlighted node and a neighbor
                     if (nodesToHighlight.has(d.source) && nodesToHighlight.has(d.target)) {
-                        isPrimaryCell = true;
-                    } else if (nodesToHighlight.has(d.source)) {
-                        neighborsToHighlight.add(d.target); isNeighborCell = true;
-                    } else if (nodesToHighlight.has(d.target)) {
-                        neighborsToHighlight.add(d.source); isNeighborCell = true;
+                        d3.select(this).classed("dimmed", false).classed("highlighted", true);
+                    } else if ((nodesToHighlight.has(d.source) && neighborsToHighlight.has(d.target)) ||
+                               (nodesToHighlight.has(d.target) && neighborsToHighlight.has(d.source))) {
+                        d3.select(this).classed("dimmed", false).classed("highlighted-neighbor", true);
                     }
-                    // Apply highlight classes to cells
-                    if (isPrimaryCell) d3.select(this).classed("dimmed", false).classed("highlighted", true);
-                    else if (isNeighborCell) d3.select(this).classed("dimmed", false).classed("highlighted-neighbor", true);
                 });
-                // Highlight neighbor axis tick text (excluding primary matches)
-                 nodesToHighlight.forEach(name => neighborsToHighlight.delete(name));
+                // Highlight neighbor axis tick text
                  allXAxisTicks.filter(nodeName => neighborsToHighlight.has(nodeName))
                               .classed("dimmed", false).select("text").classed("highlighted-neighbor", true);
                  allYAxisTicks.filter(nodeName => neighborsToHighlight.has(nodeName))
                               .classed("dimmed", false).select("text").classed("highlighted-neighbor", true);
              }
         }
-         console.log(`Applied highlight for "${term}". Found: ${nodesToHighlight.size} primary, ${neighborsToHighlight.size} neighbors.`);
+         console.log(`Applied highlight for "${query.terms.join(", ")}". Found: ${nodesToHighlight.size} primary, ${neighborsToHighlight.size} neighbors.`);
+    }
+
+    // Dim the HEB except the given nodes (highlighted), neighbor nodes and links (search and pantry highlights)
+    function applyHebHighlight(nodeNames, neighborNames, links) {
+        const allNodes = g.selectAll(".node"); const allLinks = g.selectAll(".link");
+        allNodes.classed("dimmed", true); allLinks.classed("dimmed", true); // Dim everything
+        allNodes.filter(d => nodeNames.has(d.data.name)).classed("dimmed", false).classed("highlighted", true).raise();
+        allNodes.filter(d => neighborNames.has(d.data.name)).classed("dimmed", false).classed("highlighted-neighbor", true);
+        if (hebCanvasView) { // Canvas links are repainted with the same highlight/dim styles
+            hebCanvasView.search = links;
+            scheduleHebCanvasDraw();
+        } else {
+            allLinks.filter(d => links.has(d)).classed("dimmed", false).classed("highlighted", true).raise();
+        }
     }
 
     // Clear all highlight and dimmed styles
@@ -1028,9 +3869,19 @@ document.addEventListener('DOMContentLoaded', () => {
            .classed("highlighted highlighted-neighbor", false);
         // Remove dimmed class from the tick groups themselves
         svg.selectAll(".axis .tick.dimmed").classed("dimmed", false);
+        if (hebCanvasView?.search) { // Canvas HEB links keep their search highlight as state
+            hebCanvasView.search = null;
+            scheduleHebCanvasDraw();
+        }
+        if (matrixCanvasView?.search) { // Canvas matrix keeps its search emphasis as state
+            matrixCanvasView.search = null;
+            scheduleMatrixCanvasDraw();
+        }
 
         if (clearInput) {
             searchInput.node().value = ''; // Clear search input box if requested
+            closeSearchSuggestions();
+            updateSearchMatchCount();
         }
     }
 
@@ -1064,12 +3915,62 @@ document.addEventListener('DOMContentLoaded', () => {
         controls.select("h1").text(text);
     }
 
+    // Build the dashboard title for the loaded cuisine; the HEB view also lists its active thresholds
+    function getChartTitle() {
+        if (!currentCuisineName) return "Ingredient Relationships";
+        if (isCompareChart()) {
+            return `${currentCuisineName} vs ${compareCuisineName} - Cuisine Comparison (share of recipes)`;
+        }
+        const baseTitle = `${getCuisineHeading()} - Recipes Analysis`;
+        const compareNote = isCompareActive() ? `; comparison with ${compareCuisineName} is shown in the bar and matrix charts` : '';
+        if (currentChartType === 'signature') return `${baseTitle} (signature ingredients vs the other cuisines${compareNote})`;
+        if (currentChartType === 'network') return `${baseTitle} (co-occurrence ≥ ${networkSettings.minLinkValue}${compareNote})`;
+        if (currentChartType === 'chord') {
+            return `${baseTitle} (${chordSettings.aggregate === 'group' ? "ingredient groups" : `top ${chordSettings.topN} ingredients`}${compareNote})`;
+        }
+        if (currentChartType !== 'heb') return baseTitle;
+        const topKText = hebFilters.topK > 0 ? `, top ${hebFilters.topK} links/node` : '';
+        return `${baseTitle} (co-occurrence ≥ ${hebFilters.minLinkValue}, degree ≥ ${hebFilters.minDegree}${topKText}${compareNote})`;
+    }
+
+    // Fit the HEB and network slider ranges to the loaded cuisine (small cuisines have few strong links)
+    function configureThresholdControls(data) {
+        const maxLinkValue = d3.max(data.links, d => d.value) || 1;
+        const valueSlider = document.getElementById('heb-min-value');
+        if (valueSlider) {
+            valueSlider.max = Math.max(2, Math.min(HEB_MIN_VALUE_SLIDER_CAP, maxLinkValue));
+            if (hebFilters.minLinkValue > +valueSlider.max) setHebFilter('minLinkValue', +valueSlider.max);
+        }
+        const networkSlider = document.getElementById('network-min-value');
+        if (networkSlider) {
+            networkSlider.max = Math.max(2, Math.min(NETWORK_MIN_VALUE_SLIDER_CAP, maxLinkValue));
+            if (networkSettings.minLinkValue > +networkSlider.max) setNetworkMinValue(+networkSlider.max);
+        }
+    }
+
+    // Update one HEB threshold and reflect it in its slider and <output> label
+    function setHebFilter(key, value) {
+        hebFilters[key] = value;
+        const ids = { minLinkValue: 'heb-min-value', minDegree: 'heb-min-degree', topK: 'heb-top-k' };
+        const slider = document.getElementById(ids[key]);
+        const output = document.getElementById(`${ids[key]}-output`);
+        if (slider) slider.value = value;
+        if (output) output.textContent = (key === 'topK' && value === 0) ? 'All' : value;
+    }
+
+    // Update the network's strength threshold and reflect it in its slider and <output> label
+    function setNetworkMinValue(value) {
+        networkSettings.minLinkValue = value;
+        d3.select('#network-min-value').property("value", value);
+        d3.select('#network-min-value-output').text(value);
+    }
+
     // Show/hide loading indicator and dim container
     function setLoadingState(isLoading, cuisineName = '') {
         const loadingIndicator = container.select(".loading-indicator"); // Select by class
         if (isLoading) {
             updateTitle(`Loading ${cuisineName}...`); // Update title during load
-            clearVisualization(); // Clear existing chart/messages
+            container.selectAll(".error-message, .info-message").remove(); // The chart stays (dimmed) until the new data morphs it
             container.style("opacity", 0.5); // Dim container background
             // Add indicator if it doesn't exist
             if (loadingIndicator.empty()) {
@@ -1096,7 +3997,7 @@ document.addEventListener('DOMContentLoaded', () => {
         clearVisualization(); // Clear drawings first
         updateTitle("Error"); // Update main title
         // Determine which group is active (though message is in container div)
-        const targetGroup = (currentChartType === 'heb') ? g : (currentChartType === 'bar') ? barG : (currentChartType === 'pairs-bar') ? pairBarG : (currentChartType === 'matrix') ? matrixG : svg;
+        const targetGroup = (currentChartType === 'heb') ? g : (currentChartType === 'bar') ? barG : (currentChartType === 'pairs-bar') ? pairBarG : (currentChartType === 'matrix') ? matrixG : (currentChartType === 'network') ? networkG : (currentChartType === 'chord') ? chordG : (currentChartType === 'signature') ? signatureG : svg;
         // Remove any previous messages
         container.selectAll(".error-message, .info-message").remove();
         // Add the error message div
@@ -1115,7 +4016,7 @@ document.addEventListener('DOMContentLoaded', () => {
      function displayInfoMessage(message) {
         clearVisualization(); // Clear drawings first
         // Determine active group (though message is in container div)
-        const targetGroup = (currentChartType === 'heb') ? g : (currentChartType === 'bar') ? barG : (currentChartType === 'pairs-bar') ? pairBarG : (currentChartType === 'matrix') ? matrixG : svg;
+        const targetGroup = (currentChartType === 'heb') ? g : (currentChartType === 'bar') ? barG : (currentChartType === 'pairs-bar') ? pairBarG : (currentChartType === 'matrix') ? matrixG : (currentChartType === 'network') ? networkG : (currentChartType === 'chord') ? chordG : (currentChartType === 'signature') ? signatureG : svg;
         // Remove previous messages
         container.selectAll(".error-message, .info-message").remove();
         // Add the info message div
@@ -1130,16 +4031,32 @@ document.addEventListener('DOMContentLoaded', () => {
         targetGroup.selectAll("*").remove();
     }
 
-    // Clear all chart content and messages
-    function clearVisualization(message = "") {
-        // Clear drawing content from ALL chart groups
-        g.selectAll("*").remove();
-        barG.selectAll("*").remove();
-        pairBarG.selectAll("*").remove();
-        matrixG.selectAll("*").remove(); // Clear matrix group
+    // Clear all chart content and messages. options.keep: chart group left drawn (its next render joins to it)
+    function clearVisualization(message = "", { keep = null } = {}) {
+        // Clear drawing content from ALL chart groups (but the kept one)
+        [g, barG, pairBarG, matrixG, networkG, chordG, signatureG].forEach(group => {
+            if (group !== keep) group.selectAll("*").remove();
+        });
+        svg.selectAll(".keyboard-focus-ring").remove(); // Arrow keys start over on the next chart
+        if (networkSimulation) networkSimulation.stop(); // No ticks on a removed network
+        networkSimulation = null;
+        if (!keep) hideTooltip(); // Its element may be gone
+        if (matrixCanvasView) { // Stop a running reorder animation / pending repaint of the canvas matrix
+            if (matrixCanvasView.timer) matrixCanvasView.timer.stop();
+            if (matrixCanvasView.frame) cancelAnimationFrame(matrixCanvasView.frame);
+            matrixCanvasView.timer = matrixCanvasView.frame = null;
+        }
+        if (keep !== matrixG) matrixCanvasView = null; // A kept canvas matrix is resized and repainted in place
+        matrixScales = null;
+        if (hebCanvasView?.frame) cancelAnimationFrame(hebCanvasView.frame);
+        if (hebCanvasView) hebCanvasView.frame = null;
+        if (keep !== g) discardHebCanvas(); // Likewise the canvas links of a kept HEB
+        lastRendered = null; // Nothing to download until the next chart is drawn
+        updateChartAriaLabel();
+        renderDataTable();
 
         // Remove messages or loading indicators positioned in the container div
-        container.selectAll(".loading-indicator, .error-message, .info-message").remove();
+        container.selectAll(".loading-indicator, .error-message, .info-message, .heb-legend").remove();
 
         // Optionally display a new info message (e.g., "Select a cuisine")
         if (message) {
@@ -1157,63 +4074,1846 @@ document.addEventListener('DOMContentLoaded', () => {
         chartButtonsContainer.select(`#${activeButtonId}`).classed("active", true); // Add to clicked one
     }
 
+    // Switch the active chart type, update its button and render it
+    function switchChartType(newChartType) {
+        console.log(`Switching chart type to: ${newChartType}`);
+        currentChartType = newChartType; // Update state variable
+        setActiveButton(CHART_BUTTON_IDS[newChartType]); // Update button appearance
+        renderCurrentChart(); // Render the new chart type
+        updateUrlState({ push: true }); // New history entry for the chart change
+    }
 
-    // --- Event Listeners Setup ---
+    // --- Keyboard Navigation & Screen Reader Support ---
 
-    // Cuisine Select Dropdown
-    const selectElement = document.getElementById("cuisine-select");
-    if (selectElement) {
-        selectElement.addEventListener("change", (e) => loadData(e.target.value)); // Load data on change
-    } else { console.error("Cuisine select dropdown (#cuisine-select) not found."); }
+    // Accessible name of the chart SVG: what is shown and which keys explore it
+    function updateChartAriaLabel() {
+        const help = lastRendered ? KEYBOARD_HELP[lastRendered.chartType] : "";
+        svg.attr("aria-label", lastRendered ? `${getChartTitle()}. ${help} A data table follows the chart.` : "No chart shown.");
+    }
 
-    // Chart Type Buttons
-    chartButtonsContainer.selectAll("button").on("click", function() {
-        const buttonId = d3.select(this).attr("id"); // Get the ID of the clicked button
-        let newChartType = '';
-        // Determine new chart type based on button ID
-        switch (buttonId) {
-            case 'heb-button': newChartType = 'heb'; break;
-            case 'bar-button': newChartType = 'bar'; break;
-            case 'pairs-bar-button': newChartType = 'pairs-bar'; break;
-            case 'matrix-button': newChartType = 'matrix'; break; // Handle matrix button
-            default: console.warn(`Unknown button ID clicked: ${buttonId}`); return; // Ignore unknown buttons
-        }
-
-        // Switch chart only if a valid new type is selected and it's different
-        if (newChartType && newChartType !== currentChartType) {
-            console.log(`Switching chart type to: ${newChartType}`);
-            currentChartType = newChartType; // Update state variable
-            setActiveButton(buttonId); // Update button appearance
-            renderCurrentChart(); // Render the new chart type
-            clearHighlight(); // Clear search highlight when switching charts
+    // Speak a message through the aria-live region (cleared first so a repeated message is read again)
+    function announce(message) {
+        const region = document.getElementById("chart-announcer");
+        if (!region) return;
+        region.textContent = "";
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    // Items the arrow keys move through on the chart on screen
+    function getKeyboardItems() {
+        if (!lastRendered) return [];
+        switch (lastRendered.chartType) {
+            case 'heb': return lastRendered.processed.root.leaves(); // Clockwise around the circle (hover raises reorder the DOM)
+            case 'bar':
+            case 'pairs-bar':
+            case 'signature': { // One item per row (compare mode draws two bars per row)
+                const group = lastRendered.chartType === 'bar' ? barG : lastRendered.chartType === 'signature' ? signatureG : pairBarG;
+                return Array.from(new Set(group.selectAll(".bar").data()));
+            }
+            case 'matrix': return lastRendered.processed.order; // Row/column names in display order
+            case 'network': return lastRendered.processed.nodes; // Most frequent ingredient first
+            case 'chord': return lastRendered.processed.chords.groups; // Clockwise around the circle
+            default: return [];
         }
-    });
+    }
 
-    // Search Input Listener
-    searchInput.on("input", function() {
-        highlightNodes(this.value); // Trigger highlight function on input
-    });
+    // Handle arrow keys (move), Space/Enter (pin, Shift adds) and Escape (leave) on the focused chart
+    function handleChartKeydown(event) {
+        const items = getKeyboardItems();
+        if (!items.length) return;
+        const chartType = lastRendered.chartType;
+        if (!keyboardFocus || keyboardFocus.chartType !== chartType) {
+            keyboardFocus = { chartType, index: 0, row: 0, col: 0, neighbors: null };
+        }
+        const focus = keyboardFocus;
+        const last = items.length - 1;
+        const clamp = i => Math.max(0, Math.min(last, i));
+        let handled = true;
+        let spoken = null; // Replaces the item announcement (pin feedback)
+
+        if (event.key === " " || event.key === "Enter") {
+            const names = getKeyboardFocusNames(items);
+            if (names.length) {
+                togglePin(names, event.shiftKey);
+                spoken = `${names.join(" and ")} ${names.every(name => pinnedIngredients.has(name)) ? "pinned" : "unpinned"}.`;
+            }
+        } else if (event.key === "Escape") {
+            keyboardFocus = null;
+            clearKeyboardFocus();
+            handled = false; // Let the document handler release the pins too
+        } else if (chartType === 'heb') {
+            handled = moveHebKeyboardFocus(focus, items, event.key);
+        } else if (chartType === 'matrix') {
+            const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+            if (moves[event.key]) {
+                focus.row = clamp(focus.row + moves[event.key][0]);
+                focus.col = clamp(focus.col + moves[event.key][1]);
+            } else if (event.key === "Home") { focus.row = 0; focus.col = 0; }
+            else if (event.key === "End") { focus.row = last; focus.col = last; }
+            else handled = false;
+        } else { // Bar charts, the network and the chord diagram
+            if (event.key === "ArrowDown" || event.key === "ArrowRight") focus.index = clamp(focus.index + 1);
+            else if (event.key === "ArrowUp" || event.key === "ArrowLeft") focus.index = clamp(focus.index - 1);
+            else if (event.key === "Home") focus.index = 0;
+            else if (event.key === "End") focus.index = last;
+            else handled = false;
+        }
+        if (!handled) return;
+        event.preventDefault(); // No page scrolling
+        if (keyboardFocus) showKeyboardFocus(items, { speak: !spoken });
+        if (spoken) announce(spoken);
+    }
 
-    // Clear Highlight Button Listener
-    clearHighlightButton.on("click", () => clearHighlight(true)); // Clear highlights and input box
+    // HEB: Left/Right go around the circle (or through the neighbours), Down enters the focused
+    // ingredient's neighbours (strongest link first) and re-centres on a neighbour, Up goes back
+    function moveHebKeyboardFocus(focus, items, key) {
+        const step = key === "ArrowRight" ? 1 : key === "ArrowLeft" ? -1 : 0;
+        if (focus.neighbors) {
+            const count = focus.neighbors.list.length;
+            if (step) focus.neighbors.index = (focus.neighbors.index + step + count) % count;
+            else if (key === "ArrowUp") focus.neighbors = null; // Back to the ingredient we came from
+            else if (key === "ArrowDown") { // Continue the walk from the neighbour
+                const name = focus.neighbors.list[focus.neighbors.index].name;
+                focus.index = items.findIndex(d => d.data.name === name);
+                focus.neighbors = null;
+            } else return false;
+            return true;
+        }
+        if (step) focus.index = (focus.index + step + items.length) % items.length;
+        else if (key === "Home") focus.index = 0;
+        else if (key === "End") focus.index = items.length - 1;
+        else if (key === "ArrowDown") {
+            const list = getHebNeighbors(items[focus.index].data.name);
+            if (!list.length) { announce(`${items[focus.index].data.name} has no links.`); return true; }
+            focus.neighbors = { list, index: 0 };
+        } else return key === "ArrowUp"; // Nothing above the circle
+        return true;
+    }
 
-    // Window Resize Listener (with debouncing)
-    let resizeTimer;
+    // Neighbours of an HEB ingredient with the connecting link, strongest first
+    function getHebNeighbors(name) {
+        return getHebLinkData()
+            .filter(link => link.source === name || link.target === name)
+            .map(link => ({ name: link.source === name ? link.target : link.source, link }))
+            .sort((a, b) => b.link.value - a.link.value);
+    }
+
+    // Ingredient names under the keyboard focus (pinned by Space/Enter)
+    function getKeyboardFocusNames(items) {
+        const focus = keyboardFocus;
+        if (!focus) return [];
+        if (focus.chartType === 'heb') {
+            return [focus.neighbors ? focus.neighbors.list[focus.neighbors.index].name : items[focus.index].data.name];
+        }
+        if (focus.chartType === 'matrix') return Array.from(new Set([items[focus.row], items[focus.col]]));
+        if (focus.chartType === 'chord') return lastRendered.processed.aggregate === 'ingredient' ? items[focus.index].key.names : []; // Groups aren't pinned
+        const d = items[focus.index];
+        return d.name ? [d.name] : [d.source, d.target];
+    }
+
+    // Draw the focus ring on the focused item, emphasize it like a hover and announce it
+    function showKeyboardFocus(items, { speak = true } = {}) {
+        const focus = keyboardFocus;
+        const say = speak ? announce : () => {};
+        svg.selectAll(".keyboard-focus-ring").remove();
+        if (focus.chartType === 'heb') {
+            const node = focus.neighbors
+                ? items.find(d => d.data.name === focus.neighbors.list[focus.neighbors.index].name)
+                : items[focus.index];
+            g.append("circle").attr("class", "keyboard-focus-ring").attr("r", 9)
+                .attr("transform", `rotate(${node.x - 90}) translate(${node.y},0)`);
+            if (focus.neighbors) {
+                const { list, index } = focus.neighbors;
+                const origin = items[focus.index].data.name;
+                emphasizeHEBLink(list[index].link);
+                say(`${list[index].name}, neighbour ${index + 1} of ${list.length} of ${origin}: ` +
+                    `together in ${list[index].link.value.toLocaleString()} recipes. Down arrow continues from ${list[index].name}, Up arrow returns to ${origin}.`);
+            } else {
+                const neighbors = getHebNeighbors(node.data.name);
+                emphasizeHEBNodes(new Set([node.data.name]));
+                say(`${node.data.name}, ${getHebGroupName(node)}, ${focus.index + 1} of ${items.length}. ` +
+                    `${neighbors.length} link${neighbors.length === 1 ? "" : "s"}` +
+                    (neighbors.length ? `, strongest with ${neighbors.slice(0, 3).map(n => n.name).join(", ")}.` : "."));
+            }
+        } else if (focus.chartType === 'matrix') {
+            const { nodes, matrix, difference = false } = lastRendered.processed;
+            const nodeIndex = name => nodes.indexOf(name);
+            const cell = matrix[nodeIndex(items[focus.row])][nodeIndex(items[focus.col])];
+            if (matrixCanvasView) { // The crosshair marks the cell; pan it into view when needed
+                const view = matrixCanvasView;
+                const inView = (rank, axis) => {
+                    const start = matrixCanvasPosition(view, rank, axis), end = matrixCanvasPosition(view, rank + 1, axis);
+                    return start >= 0 && end <= (axis === 'x' ? view.width : view.height);
+                };
+                if (!inView(focus.col, 'x') || !inView(focus.row, 'y')) {
+                    view.canvas.call(view.zoom.translateTo, (focus.col + 0.5) * view.width / view.n, (focus.row + 0.5) * view.height / view.n);
+                }
+                view.hover = { row: focus.row, col: focus.col };
+                scheduleMatrixCanvasDraw();
+            } else if (matrixScales) {
+                const { xScale, yScale } = matrixScales;
+                matrixG.append("rect").attr("class", "keyboard-focus-ring")
+                    .attr("x", xScale(items[focus.col]) - 1).attr("y", yScale(items[focus.row]) - 1)
+                    .attr("width", xScale.bandwidth() + 2).attr("height", yScale.bandwidth() + 2);
+            }
+            const value = cell.count > 0 && cell.z !== null ? getMatrixCellTooltip(cell, difference) : `${cell.source} & ${cell.target}: no recipes together`;
+            say(`Row ${focus.row + 1}, column ${focus.col + 1}. ${value}.`);
+        } else if (focus.chartType === 'network') {
+            const d = items[focus.index];
+            networkG.append("circle").datum(d).attr("class", "keyboard-focus-ring")
+                .attr("r", d.r + 4).attr("transform", `translate(${d.x},${d.y})`); // Moved along by the simulation ticks
+            emphasizeNetworkNodes(new Set([d.name]));
+            const partners = getRankedPartners(lastRendered.processed, d.name);
+            say(`${d.name}, ${focus.index + 1} of ${items.length}: in ${d.value.toLocaleString()} recipes, ` +
+                `${d.degree} link${d.degree === 1 ? "" : "s"}, strongest with ${partners.slice(0, 3).map(p => p.name).join(", ")}.`);
+        } else if (focus.chartType === 'chord') {
+            const d = items[focus.index];
+            chordG.append("path").attr("class", "keyboard-focus-ring").attr("d", getChordArc(3)(d));
+            emphasizeChordGroups(new Set([d.index]));
+            const partners = lastRendered.processed.chords
+                .filter(chord => chord.source.index !== chord.target.index && (chord.source.index === d.index || chord.target.index === d.index))
+                .sort((a, b) => b.source.value - a.source.value)
+                .map(chord => chord.source.index === d.index ? chord.target.key.label : chord.source.key.label);
+            say(`${d.key.label}, ${focus.index + 1} of ${items.length}: ${d3.format(",.0f")(d.value)} co-occurrences` +
+                (partners.length ? `, strongest with ${partners.slice(0, 3).join(", ")}.` : "."));
+        } else {
+            const group = focus.chartType === 'bar' ? barG : focus.chartType === 'signature' ? signatureG : pairBarG;
+            const d = items[focus.index];
+            const bar = group.selectAll(".bar").filter(b => b === d);
+            const y = +bar.attr("y"), height = +bar.attr("height");
+            const width = focus.chartType === 'pairs-bar' ? pairBarChartWidth : barChartWidth;
+            group.append("rect").attr("class", "keyboard-focus-ring")
+                .attr("x", -4).attr("y", y - 2).attr("width", width + 8).attr("height", height + 4);
+            say(`${focus.index + 1} of ${items.length}. ${getTooltipText(tooltipContent.get(bar.node())(d))}.`);
+        }
+    }
+
+    // Remove the focus ring and the emphasis it applied (pins are re-applied by the restore functions)
+    function clearKeyboardFocus() {
+        svg.selectAll(".keyboard-focus-ring").remove();
+        if (currentChartType === 'heb') restoreHEBStyles();
+        else if (currentChartType === 'network') restoreNetworkStyles();
+        else if (currentChartType === 'chord') restoreChordStyles();
+        else if (currentChartType === 'matrix' && matrixCanvasView) {
+            matrixCanvasView.hover = null;
+            scheduleMatrixCanvasDraw();
+        }
+    }
+
+    // Accessible data table below the chart (same rows as "Download data"); built only while it is open
+    function renderDataTable() {
+        const panel = document.getElementById("data-table-panel");
+        const content = d3.select("#data-table-content");
+        if (!panel || !panel.open) return;
+        content.selectAll("*").remove();
+        const table = lastRendered && getChartDataTable(lastRendered);
+        if (!table) {
+            content.append("p").text("No chart is shown.");
+            return;
+        }
+        // Matrix: only the cells with recipes in common (the download keeps the full grid)
+        const rows = lastRendered.chartType === 'matrix'
+            ? table.rows.filter(row => (row.co_occurrence ?? (row.count_a + row.count_b)) > 0)
+            : table.rows;
+        const formatValue = value => typeof value !== 'number' ? (value ?? "")
+            : Number.isInteger(value) ? value.toLocaleString() : d3.format(",.4~f")(value);
+
+        const tableSelection = content.append("table").attr("class", "data-table");
+        tableSelection.append("caption").text(getChartTitle());
+        tableSelection.append("thead").append("tr").selectAll("th")
+            .data(table.columns).join("th").attr("scope", "col").text(column => column.replace(/_/g, " "));
+        tableSelection.append("tbody").selectAll("tr")
+            .data(rows.slice(0, DATA_TABLE_MAX_ROWS)).join("tr")
+            .selectAll("td").data(row => table.columns.map(column => row[column])).join("td").text(formatValue);
+        if (rows.length > DATA_TABLE_MAX_ROWS) {
+            content.append("p").attr("class", "data-table-note")
+                .text(`Showing the first ${DATA_TABLE_MAX_ROWS} of ${rows.length.toLocaleString()} rows; "Download data" has them all.`);
+        }
+    }
+
+    // --- Ingredient Search (typo-tolerant, multi-term, autocomplete) ---
+
+    // Comma-separated search terms, normalized like ingredient names (empty terms dropped)
+    function parseSearchTerms(query) {
+        return String(query || "").split(",").map(normalizeIngredientName).filter(Boolean);
+    }
+
+    // Typos tolerated in a term: none for short terms (they would match half the pantry), then one, then two
+    function getAllowedTypos(term) {
+        return term.length < 5 ? 0 : term.length < 9 ? 1 : 2;
+    }
+
+    // Edit distance counting a swap of adjacent letters as one edit ("onoin" -> "onion"); stops past maxDistance
+    function editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+        let before = null, previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                let distance = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) distance = Math.min(distance, before[j - 2] + 1);
+                row.push(distance);
+            }
+            if (Math.min(...row) > maxDistance) return maxDistance + 1;
+            before = previous;
+            previous = row;
+        }
+        return previous[b.length];
+    }
+
+    // How well an ingredient matches one normalized term, lower is better: 0 exact, 1 prefix, 2 word prefix,
+    // 3 substring, 4+ typo-tolerant match against as many consecutive words ("tomatos" -> "cherry tomatoes"); null = no match
+    function scoreIngredientMatch(name, term) {
+        const normalized = normalizeIngredientName(name);
+        if (normalized === term) return 0;
+        if (normalized.startsWith(term)) return 1;
+        if (normalized.includes(` ${term}`)) return 2;
+        if (normalized.includes(term)) return 3;
+        const maxTypos = getAllowedTypos(term);
+        if (!maxTypos) return null;
+        const words = normalized.split(" "), span = term.split(" ").length;
+        let best = maxTypos + 1;
+        for (let i = 0; i + span <= words.length; i++) {
+            best = Math.min(best, editDistance(words.slice(i, i + span).join(" "), term, maxTypos));
+        }
+        return best <= maxTypos ? 4 + best : null;
+    }
+
+    // Resolve a search query against ingredient names. 'any' lights the matches of any term; 'all' needs every
+    // term to match something (no ingredient is both "garlic" and "onion", so the term matches are combined)
+    function matchSearchQuery(query, names, mode = searchSettings.mode) {
+        const terms = parseSearchTerms(query);
+        const termMatches = terms.map(term => new Set(names.filter(name => scoreIngredientMatch(name, term) !== null)));
+        const missing = terms.filter((term, i) => termMatches[i].size === 0);
+        const matches = new Set(mode === 'all' && missing.length ? [] : termMatches.flatMap(set => Array.from(set)));
+        return { terms, mode, termMatches, missing, matches };
+    }
+
+    // Partners of the matches along [a, b] edges: of any match ('any'), or shared by the matches of every term ('all')
+    function getSearchNeighbors(query, edges) {
+        if (query.matches.size === 0) return new Set();
+        const partners = query.termMatches.map(() => new Set());
+        edges.forEach(([a, b]) => query.termMatches.forEach((set, i) => {
+            if (set.has(a)) partners[i].add(b);
+            if (set.has(b)) partners[i].add(a);
+        }));
+        const neighbors = query.mode === 'all'
+            ? partners.reduce((shared, set) => new Set(Array.from(shared).filter(name => set.has(name))))
+            : new Set(partners.flatMap(set => Array.from(set)));
+        query.matches.forEach(name => neighbors.delete(name)); // Don't highlight a match as neighbor
+        return neighbors;
+    }
+
+    // A pair matches when either side matches ('any'), or when every term matches one of its sides ('all')
+    function pairMatchesSearch(query, a, b) {
+        if (query.mode === 'all') return query.matches.size > 0 && query.termMatches.every(set => set.has(a) || set.has(b));
+        return query.matches.has(a) || query.matches.has(b);
+    }
+
+    // Match count next to the search box (empty without a query)
+    function updateSearchMatchCount(query = null) {
+        const output = d3.select("#search-match-count");
+        if (!query?.terms.length) { output.text("").classed("no-matches", false); return; }
+        const count = query.matches.size;
+        let text = count ? `${count} match${count === 1 ? "" : "es"}` : "No matches";
+        if (query.missing.length && query.terms.length > 1) text += ` (none for ${query.missing.map(term => `"${term}"`).join(", ")})`;
+        output.text(text).classed("no-matches", count === 0);
+    }
+
+    // Autocomplete entries for the term being typed (after the last comma): ingredients of the loaded
+    // cuisine, best match first, then the most frequent
+    function getSearchSuggestions(query) {
+        const term = normalizeIngredientName(String(query).split(",").pop());
+        if (!term || !currentCuisineData) return [];
+        const shown = getIngredientsInCurrentChart();
+        return Array.from(getOccurrenceMap(currentCuisineData), ([name, count]) => ({ name, count, score: scoreIngredientMatch(name, term), shown: shown.has(name) }))
+            .filter(d => d.score !== null)
+            .sort((a, b) => a.score - b.score || b.count - a.count || d3.ascending(a.name, b.name))
+            .slice(0, SEARCH_SUGGESTIONS_MAX);
+    }
+
+    // Show the suggestions for the search box value (the list is hidden when there are none)
+    function renderSearchSuggestions() {
+        const items = getSearchSuggestions(searchInput.property("value"));
+        searchSuggestions = { items, active: -1 };
+        d3.select("#search-suggestions")
+            .property("hidden", items.length === 0)
+            .selectAll("li").data(items).join("li")
+            .attr("id", (d, i) => `search-suggestion-${i}`)
+            .attr("role", "option")
+            .attr("aria-selected", "false")
+            .classed("active", false)
+            .classed("off-chart", d => !d.shown)
+            .each(function(d) {
+                const item = d3.select(this);
+                item.selectAll("*").remove();
+                item.append("span").attr("class", "suggestion-name").text(d.name);
+                item.append("span").attr("class", "suggestion-count")
+                    .text(`${d.count.toLocaleString()} recipes${d.shown ? "" : " · not in this chart"}`);
+            })
+            .on("mousedown", (event, d) => {
+                event.preventDefault(); // Keep the focus in the search box
+                pickSearchSuggestion(d.name);
+            });
+        searchInput.attr("aria-expanded", items.length > 0).attr("aria-activedescendant", null);
+    }
+
+    function closeSearchSuggestions() {
+        searchSuggestions = { items: [], active: -1 };
+        d3.select("#search-suggestions").property("hidden", true).selectAll("li").remove();
+        searchInput.attr("aria-expanded", false).attr("aria-activedescendant", null);
+    }
+
+    function setActiveSearchSuggestion(index) {
+        searchSuggestions.active = index;
+        d3.select("#search-suggestions").selectAll("li")
+            .classed("active", (d, i) => i === index)
+            .attr("aria-selected", (d, i) => i === index ? "true" : "false");
+        searchInput.attr("aria-activedescendant", index >= 0 ? `search-suggestion-${index}` : null);
+    }
+
+    // Arrow keys move through the suggestions (Down opens them), Enter picks, Escape closes the list
+    function handleSearchKeydown(event) {
+        const count = searchSuggestions.items.length;
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            event.preventDefault(); // Keep the caret in place
+            if (!count) { renderSearchSuggestions(); return; }
+            const step = event.key === "ArrowDown" ? 1 : -1;
+            setActiveSearchSuggestion((searchSuggestions.active + 1 + step + count + 1) % (count + 1) - 1); // -1 = back in the box
+        } else if (event.key === "Enter" && searchSuggestions.active >= 0) {
+            event.preventDefault();
+            pickSearchSuggestion(searchSuggestions.items[searchSuggestions.active].name);
+        } else if (event.key === "Escape" && count) {
+            event.stopPropagation(); // Only close the list (the document handler would release the pins)
+            closeSearchSuggestions();
+        }
+    }
+
+    // Put the chosen ingredient in place of the term being typed, search, and focus it in the chart
+    function pickSearchSuggestion(name) {
+        const earlierTerms = searchInput.property("value").split(",").slice(0, -1).map(term => term.trim()).filter(Boolean);
+        searchInput.property("value", [...earlierTerms, name].join(", "));
+        closeSearchSuggestions();
+        highlightNodes(searchInput.property("value"));
+        scheduleUrlStateUpdate();
+        focusIngredientInChart(name);
+    }
+
+    // Move the keyboard focus (ring, emphasis, announcement) to an ingredient of the chart on screen.
+    // The matrix focuses the ingredient's row at its strongest partner.
+    function focusIngredientInChart(name) {
+        const items = getKeyboardItems();
+        if (!items.length) return;
+        const chartType = lastRendered.chartType;
+        let index, col;
+        if (chartType === 'heb') index = items.findIndex(d => d.data.name === name);
+        else if (chartType === 'chord') index = items.findIndex(d => d.key.names.includes(name)); // The ingredient or its group
+        else if (chartType === 'matrix') {
+            const { nodes, matrix } = lastRendered.processed;
+            index = items.indexOf(name);
+            const row = index >= 0 ? matrix[nodes.indexOf(name)] : [];
+            col = d3.maxIndex(items, other => other === name ? -Infinity : row[nodes.indexOf(other)]?.count || 0);
+        } else index = items.findIndex(d => d.name === name || d.source === name || d.target === name);
+        if (index < 0) { announce(`${name} is not shown in this chart.`); return; }
+        keyboardFocus = { chartType, index, row: index, col: col ?? index, neighbors: null };
+        showKeyboardFocus(items);
+    }
+
+    // --- Pantry Matcher ("What can I cook?") ---
+
+    // Recipes covered best by the pantry items (/api/pantry); cuisine narrows the recipe list, not the breakdown
+    async function fetchPantryMatches(items, { cuisine = '', signal = null } = {}) {
+        const params = new URLSearchParams({ ingredients: items.join(","), limit: PANTRY_RECIPES_LIMIT });
+        if (cuisine) params.set("cuisine", cuisine);
+        const response = await fetch(`/api/pantry?${params}`, { signal });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!Array.isArray(data?.recipes) || !Array.isArray(data?.cuisines) || !Array.isArray(data?.pantry)) {
+            console.error("Incomplete pantry results received:", data);
+            throw new Error("Incomplete pantry results.");
+        }
+        return data;
+    }
+
+    // Match the pantry box against the recipes (a newer query cancels the one in flight)
+    async function updatePantryMatches({ cuisine = '' } = {}) {
+        const items = Array.from(new Set(String(d3.select("#pantry-input").property("value"))
+            .split(",").map(item => item.trim()).filter(Boolean)));
+        if (pantryController) pantryController.abort();
+        pantryState.items = items;
+        pantryState.cuisine = cuisine;
+        if (!items.length) {
+            pantryState.result = null;
+            renderPantryResults();
+            refreshPantryHighlight();
+            return;
+        }
+        const controller = pantryController = new AbortController();
+        d3.select("#pantry-status").text("Finding recipes...");
+        try {
+            pantryState.result = await fetchPantryMatches(items, { cuisine, signal: controller.signal });
+            console.log(`Pantry matched ${pantryState.result.total} recipes${cuisine ? ` in ${cuisine}` : ""}.`);
+            renderPantryResults();
+            refreshPantryHighlight();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error("Error matching the pantry:", error);
+            d3.select("#pantry-status").text(error.name === 'TypeError'
+                ? "Can't reach the server. Check your connection and try again."
+                : "Failed to match your pantry. Please try again.");
+        } finally {
+            if (pantryController === controller) pantryController = null;
+        }
+    }
+
+    // Status line, per-cuisine breakdown (click filters the recipes) and recipes ranked by coverage
+    function renderPantryResults() {
+        const result = pantryState.result;
+        const status = d3.select("#pantry-status");
+        const cuisineList = d3.select("#pantry-cuisines");
+        const recipeList = d3.select("#pantry-recipes");
+        cuisineList.selectAll("*").remove();
+        recipeList.selectAll("*").remove();
+        if (!result) {
+            status.text("Enter the ingredients you have, separated by commas.");
+            return;
+        }
+        const formatCoverage = d3.format(".0%");
+        const scope = result.cuisine ? ` in ${pantryState.cuisine}` : "";
+        status.text(`${result.total.toLocaleString()} recipe${result.total === 1 ? "" : "s"}${scope} use at least one of your ingredients` +
+            (result.total > result.recipes.length ? `; the best ${result.recipes.length} are listed.` : ".") +
+            (result.unknown.length ? ` No recipe uses ${result.unknown.join(", ")}.` : ""));
+
+        // Breakdown by cuisine: recipes using the pantry, complete matches and mean coverage
+        if (result.cuisines.length) {
+            cuisineList.append("h4").text("By cuisine");
+            const rows = cuisineList.append("ul").attr("class", "pantry-cuisine-list")
+                .selectAll("li").data(result.cuisines).enter().append("li")
+                .classed("active", d => d.cuisine === pantryState.cuisine);
+            rows.append("button").attr("type", "button").attr("class", "pantry-cuisine-filter")
+                .attr("aria-pressed", d => d.cuisine === pantryState.cuisine)
+                .attr("title", d => d.cuisine === pantryState.cuisine ? "Show recipes of every cuisine" : `Only list ${d.cuisine} recipes`)
+                .text(d => d.cuisine)
+                .on("click", (event, d) => updatePantryMatches({ cuisine: d.cuisine === pantryState.cuisine ? '' : d.cuisine }));
+            rows.append("span").attr("class", "pantry-coverage-bar")
+                .style("width", d => `${Math.round(60 * d.mean_coverage)}px`)
+                .attr("title", d => `Mean coverage ${formatCoverage(d.mean_coverage)}`);
+            rows.append("span").attr("class", "pantry-cuisine-counts")
+                .text(d => `${d.recipes.toLocaleString()} recipes${d.complete ? `, ${d.complete} complete` : ""}`);
+            rows.append("a").attr("href", "#").attr("class", "pantry-cuisine-view").text("View")
+                .attr("title", d => `Show ${d.cuisine} in the chart`)
+                .on("click", (event, d) => {
+                    event.preventDefault();
+                    const select = document.getElementById("cuisine-select");
+                    if (select) select.value = d.cuisine;
+                    loadData(d.cuisine);
+                });
+        }
+
+        // Recipes: coverage, what you have and what is missing
+        const items = recipeList.selectAll("li").data(result.recipes).enter().append("li").attr("class", "pantry-recipe");
+        const header = items.append("div").attr("class", "pantry-recipe-header");
+        header.append("strong").text(d => d.title);
+        header.append("span").attr("class", "pantry-recipe-cuisine").text(d => d.cuisine);
+        header.append("span").attr("class", "pantry-recipe-coverage")
+            .text(d => `${formatCoverage(d.coverage)} (${d.have.length} of ${d.have.length + d.missing.length})`);
+        items.append("p").attr("class", "pantry-have").text(d => `You have: ${d.have.join(", ")}`);
+        items.filter(d => d.missing.length).append("p").attr("class", "pantry-missing").text(d => `Missing: ${d.missing.join(", ")}`);
+    }
+
+    // Highlight the pantry ingredients and their strongest partners on the HEB (search styles; an active search wins)
+    function refreshPantryHighlight() {
+        if (currentChartType !== 'heb' || lastRendered?.chartType !== 'heb' || searchInput.property("value").trim()) return;
+        clearHighlight(false);
+        const result = pantryState.result;
+        if (!result || !d3.select("#pantry-highlight").property("checked")) return;
+        const covered = new Set(result.pantry.flatMap(entry => entry.ingredients)); // Recipe ingredient names of the pantry items
+        const pantryNames = new Set(Array.from(getIngredientsInCurrentChart()).filter(name => covered.has(name)));
+        const partners = new Set(), links = new Set();
+        pantryNames.forEach(name => getHebNeighbors(name).forEach(({ name: partner, link }, rank) => {
+            if (pantryNames.has(partner)) links.add(link); // Links within the pantry always show
+            else if (rank < PANTRY_TOP_PARTNERS) { links.add(link); partners.add(partner); }
+        }));
+        if (pantryNames.size) applyHebHighlight(pantryNames, partners, links);
+        console.log(`Pantry highlight: ${pantryNames.size} ingredients, ${partners.size} partners.`);
+    }
+
+    // --- Ingredient Substitutes (similar co-occurrence profiles) ---
+
+    // Ingredient -> Map(partner -> recipes together) of a cuisine, built once per loaded data object
+    function getCooccurrenceProfiles(rawData) {
+        if (!cooccurrenceProfileCache.has(rawData)) {
+            const profiles = new Map();
+            const add = (a, b, value) => {
+                if (!profiles.has(a)) profiles.set(a, new Map());
+                profiles.get(a).set(b, (profiles.get(a).get(b) || 0) + value);
+            };
+            (rawData.links || []).forEach(link => {
+                if (!(link.value > 0) || !link.source || !link.target || link.source === link.target) return;
+                add(link.source, link.target, link.value);
+                add(link.target, link.source, link.value);
+            });
+            cooccurrenceProfileCache.set(rawData, profiles);
+        }
+        return cooccurrenceProfileCache.get(rawData);
+    }
+
+    // Likely substitutes of an ingredient: similar partner profiles (cosine, or weighted Jaccard, over the
+    // partners other than the two ingredients themselves), discounted by the share of recipes using both
+    // together, since substitutes rarely appear side by side. Partner counts are weighted by how rare the
+    // partner is (salt goes with everything, so sharing it says little). Each candidate keeps its strongest shared partners.
+    function findSubstitutes(rawData, name, { metric = substituteSettings.metric, topN = SUBSTITUTES_TOP_N } = {}) {
+        const profiles = getCooccurrenceProfiles(rawData);
+        const target = profiles.get(name);
+        if (!target) return [];
+        const occurrences = getOccurrenceMap(rawData);
+        const recipeCount = getRecipeCount(rawData);
+        const rarity = partner => Math.log(1 + recipeCount / Math.max(1, occurrences.get(partner) || 1));
+        const candidates = [];
+        profiles.forEach((profile, other) => {
+            if (other === name) return;
+            let dot = 0, normA = 0, normB = 0, minSum = 0, maxSum = 0;
+            const shared = [];
+            new Set([...target.keys(), ...profile.keys()]).forEach(partner => {
+                if (partner === name || partner === other) return;
+                const weight = rarity(partner);
+                const a = (target.get(partner) || 0) * weight, b = (profile.get(partner) || 0) * weight;
+                dot += a * b; normA += a * a; normB += b * b;
+                minSum += Math.min(a, b); maxSum += Math.max(a, b);
+                if (a && b) shared.push({ name: partner, value: Math.min(a, b) });
+            });
+            if (shared.length < SUBSTITUTES_MIN_SHARED) return;
+            const similarity = metric === 'jaccard' ? minSum / maxSum : dot / Math.sqrt(normA * normB);
+            const together = target.get(other) || 0;
+            const smaller = Math.min(occurrences.get(name) || together, occurrences.get(other) || together);
+            const togetherShare = smaller > 0 ? Math.min(1, together / smaller) : 0;
+            candidates.push({
+                name: other,
+                score: similarity * (1 - togetherShare),
+                similarity,
+                together,
+                shared: shared.sort((x, y) => y.value - x.value).slice(0, SUBSTITUTES_SHARED_SHOWN)
+            });
+        });
+        return candidates.filter(d => d.score > 0)
+            .sort((a, b) => b.score - a.score || d3.ascending(a.name, b.name))
+            .slice(0, topN);
+    }
+
+    // Show the substitutes of a pinned ingredient in its details card and on the HEB (null hides them)
+    function showSubstitutes(name) {
+        substituteState = name && currentCuisineData ? { name, candidates: findSubstitutes(currentCuisineData, name) } : null;
+        if (substituteState) console.log(`Substitutes for ${name} (${substituteSettings.metric}): ${substituteState.candidates.map(d => d.name).join(", ") || "(none)"}`);
+        drawHebSubstitutes();
+        refreshPinnedState();
+    }
+
+    // Candidate list inside a details card: score, recipes together and the shared partners behind it
+    function renderSubstituteList(section) {
+        const { name, candidates } = substituteState;
+        const visibleNames = getIngredientsInCurrentChart();
+        const metricSelect = section.append("label").attr("class", "substitutes-metric").text("Similarity: ")
+            .append("select")
+            .on("change", function() {
+                substituteSettings.metric = this.value === 'jaccard' ? 'jaccard' : 'cosine';
+                showSubstitutes(name);
+            });
+        metricSelect.selectAll("option").data([["cosine", "Cosine"], ["jaccard", "Jaccard"]]).enter().append("option")
+            .attr("value", d => d[0]).property("selected", d => d[0] === substituteSettings.metric).text(d => d[1]);
+        if (!candidates.length) {
+            section.append("p").attr("class", "details-note").text(`No ingredient shares enough partners with ${name} in ${currentCuisineName}.`);
+            return;
+        }
+        const formatScore = d3.format(".2f");
+        const items = section.append("ol").attr("class", "substitutes-list")
+            .selectAll("li").data(candidates).enter().append("li");
+        const header = items.append("div").attr("class", "substitute-header");
+        header.append("a").attr("href", "#").text(d => d.name)
+            .attr("title", d => `Pin ${d.name} as well`)
+            .on("click", (event, d) => {
+                event.preventDefault();
+                togglePin([d.name], true);
+            });
+        header.append("span").attr("class", "substitute-score")
+            .attr("title", d => `Similarity ${formatScore(d.similarity)}, discounted for recipes using both`)
+            .text(d => formatScore(d.score));
+        items.append("p").attr("class", "substitute-detail")
+            .text(d => `Together in ${d.together.toLocaleString()} recipe${d.together === 1 ? "" : "s"}. Shared partners: ${d.shared.map(p => p.name).join(", ")}` +
+                (visibleNames.has(d.name) ? "" : ` (not in the current ${CHART_LABELS[currentChartType]} view)`));
+    }
+
+    // Dashed bundled arcs from the ingredient to its substitutes on the HEB (thicker = more likely)
+    function drawHebSubstitutes() {
+        g.selectAll(".substitute-layer").remove();
+        g.selectAll(".node").classed("substitute-candidate", false);
+        if (!substituteState || currentChartType !== 'heb' || lastRendered?.chartType !== 'heb') return;
+        const leafByName = new Map(lastRendered.processed.root.leaves().map(d => [d.data.name, d]));
+        const source = leafByName.get(substituteState.name);
+        const drawn = substituteState.candidates.filter(d => leafByName.has(d.name));
+        g.selectAll(".node").classed("substitute-candidate", d => drawn.some(c => c.name === d.data.name));
+        if (!source || !drawn.length) return;
+        const maxScore = d3.max(drawn, d => d.score);
+        g.append("g").attr("class", "substitute-layer")
+            .selectAll("path").data(drawn).enter().append("path")
+            .attr("class", "substitute-link")
+            .attr("d", d => lineRadial(source.path(leafByName.get(d.name))))
+            .style("stroke-width", d => 1.5 + 2.5 * d.score / maxScore)
+            .call(bindTooltip, d => `${d.name} may replace ${substituteState.name}\nScore ${d3.format(".2f")(d.score)}`);
+    }
+
+    // --- Cuisine Similarity Map (heatmap + dendrogram) ---
+
+    // Ingredient-frequency vector of every cuisine (ingredient -> recipes), from the per-cuisine counts
+    // carried by the All cuisines data (each cuisine's hierarchy.children[].value)
+    function getCuisineVectors(rawData) {
+        const vectors = new Map();
+        (rawData.hierarchy.children || []).forEach(ingredient => Object.entries(ingredient.cuisines || {}).forEach(([cuisine, count]) => {
+            if (!(count > 0)) return;
+            if (!vectors.has(cuisine)) vectors.set(cuisine, new Map());
+            vectors.get(cuisine).set(ingredient.name, count);
+        }));
+        return vectors;
+    }
+
+    // Pairwise similarity of the cuisines (cosine of the frequency vectors, or Jaccard of the ingredient sets),
+    // clustered with average linkage and laid out in optimal leaf order
+    function processDataForSimilarity(rawData, metric) {
+        const vectors = getCuisineVectors(rawData);
+        const names = Array.from(vectors.keys()).sort(d3.ascending);
+        const index = new Map(names.map((name, i) => [name, i]));
+        const n = names.length;
+        const shared = names.map(() => new Array(n).fill(0)); // Dot products (cosine) or shared ingredients (Jaccard)
+        const byIngredient = new Map(); // Ingredient -> [[cuisine index, count]]
+        vectors.forEach((vector, cuisine) => vector.forEach((count, name) => {
+            if (!byIngredient.has(name)) byIngredient.set(name, []);
+            byIngredient.get(name).push([index.get(cuisine), count]);
+        }));
+        byIngredient.forEach(entries => {
+            for (let a = 0; a < entries.length; a++) {
+                for (let b = a; b < entries.length; b++) {
+                    const [i, countI] = entries[a], [j, countJ] = entries[b];
+                    const value = metric === 'jaccard' ? 1 : countI * countJ;
+                    shared[i][j] += value;
+                    if (i !== j) shared[j][i] += value;
+                }
+            }
+        });
+        const similarity = shared.map((row, i) => row.map((value, j) => {
+            if (i === j) return 1;
+            if (metric === 'jaccard') {
+                const union = shared[i][i] + shared[j][j] - value; // Diagonal = size of the ingredient set
+                return union ? value / union : 0;
+            }
+            const norms = Math.sqrt(shared[i][i]) * Math.sqrt(shared[j][j]);
+            return norms ? value / norms : 0;
+        }));
+        const distances = similarity.map(row => row.map(value => 1 - value));
+        const tree = n > 1 ? averageLinkageTree(distances) : null;
+        const order = tree ? optimalLeafOrder(tree, distances) : d3.range(n);
+        return { names, similarity, tree, order, metric };
+    }
+
+    // Load the All cuisines data once (cached like any cuisine) and draw the map into the panel
+    async function updateSimilarityMap() {
+        const status = d3.select("#similarity-status");
+        if (!allCuisinesData) {
+            status.text("Loading every cuisine...");
+            try {
+                await getAllCuisinesData();
+            } catch (error) {
+                console.error("Error loading the cuisines for the similarity map:", error);
+                status.text(error.offline
+                    ? "Can't reach the server to load the cuisines. Check your connection and reopen the panel."
+                    : "Failed to load the cuisines. Please try again.");
+                return;
+            }
+        }
+        similarityState.result = processDataForSimilarity(allCuisinesData, similarityState.metric);
+        renderSimilarityMap(similarityState.result);
+        console.log(`Cuisine similarity map rendered (${similarityState.result.names.length} cuisines, ${similarityState.metric}).`);
+    }
+
+    // Clustered heatmap (optimal leaf order) with the dendrogram on its left; cuisines are labelled on
+    // the right and on top. Clicking a cuisine loads it; clicking a cell also compares the two cuisines.
+    function renderSimilarityMap({ names, similarity, tree, order, metric }) {
+        const content = d3.select("#similarity-content");
+        content.selectAll("*").remove();
+        const status = d3.select("#similarity-status");
+        if (names.length < 2) { status.text("Not enough cuisines to compare."); return; }
+
+        const n = names.length;
+        const size = n * SIMILARITY_CELL_SIZE;
+        const margin = { top: SIMILARITY_LABEL_SPACE, right: SIMILARITY_LABEL_SPACE, bottom: 10, left: SIMILARITY_DENDROGRAM_WIDTH + 10 };
+        const offDiagonal = similarity.flatMap((row, i) => row.filter((_, j) => j !== i));
+        const [minSimilarity, maxSimilarity] = d3.extent(offDiagonal);
+        const color = d3.scaleSequential(d3.interpolateYlGnBu).domain([minSimilarity, maxSimilarity]);
+        const position = d3.scaleBand().domain(order).range([0, size]); // Cuisine index -> row/column
+        const format = d3.format(".2f");
+        status.text(`${n} cuisines by ${SIMILARITY_METRICS[metric]}: darker cells are more similar (${format(minSimilarity)} to ${format(maxSimilarity)}). `
+            + "Click a cuisine to load it, or a cell to compare the two cuisines.");
+
+        const mapSvg = content.append("svg")
+            .attr("class", "similarity-map")
+            .attr("width", margin.left + size + margin.right)
+            .attr("height", margin.top + size + margin.bottom)
+            .attr("role", "img")
+            .attr("aria-label", `Similarity of ${n} cuisines by ${SIMILARITY_METRICS[metric]}, clustered`);
+        const mapG = mapSvg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+        // Dendrogram: merge height (average distance) grows leftwards from the heatmap
+        const heightScale = d3.scaleLinear().domain([0, tree.height || 1]).range([-4, -SIMILARITY_DENDROGRAM_WIDTH]);
+        const links = [];
+        (function place(node) {
+            if (!node.left) { node.y = position(node.leaves[0]) + position.bandwidth() / 2; return; }
+            place(node.left);
+            place(node.right);
+            node.y = (node.left.y + node.right.y) / 2;
+            links.push(node);
+        })(tree);
+        mapG.append("g").attr("class", "similarity-dendrogram")
+            .selectAll("path").data(links).enter().append("path")
+            .attr("d", d => `M${heightScale(d.left.height)},${d.left.y}H${heightScale(d.height)}V${d.right.y}H${heightScale(d.right.height)}`)
+            .call(bindTooltip, d => `${d.leaves.length} cuisines\nAverage distance ${format(d.height)}`);
+
+        const cells = [];
+        order.forEach(i => order.forEach(j => cells.push({ i, j, value: similarity[i][j] })));
+        const cellSelection = mapG.append("g").attr("class", "similarity-cells")
+            .selectAll("rect").data(cells).enter().append("rect")
+            .attr("class", "similarity-cell")
+            .attr("x", d => position(d.j)).attr("y", d => position(d.i))
+            .attr("width", position.bandwidth()).attr("height", position.bandwidth())
+            .style("fill", d => d.i === d.j ? "#e9ecef" : color(d.value));
+        bindTooltip(cellSelection, d => d.i === d.j ? names[d.i] : `${names[d.i]} & ${names[d.j]}\n${SIMILARITY_METRICS[metric]} ${format(d.value)}`);
+
+        const rowLabels = mapG.append("g").attr("class", "similarity-labels")
+            .selectAll("text").data(order).enter().append("text")
+            .attr("class", "similarity-label")
+            .attr("x", size + 6).attr("y", i => position(i) + position.bandwidth() / 2)
+            .attr("dy", "0.35em")
+            .text(i => names[i]);
+        const columnLabels = mapG.append("g").attr("class", "similarity-labels")
+            .selectAll("text").data(order).enter().append("text")
+            .attr("class", "similarity-label")
+            .attr("transform", i => `translate(${position(i) + position.bandwidth() / 2},-6) rotate(-90)`)
+            .attr("dy", "0.35em")
+            .text(i => names[i]);
+        const labels = mapG.selectAll(".similarity-label");
+        labels.append("title").text(i => `Load ${names[i]}`);
+        markSimilarityCuisine();
+
+        // Hover lights the row and column labels of the cell; clicks load cuisines into the charts
+        cellSelection
+            .on("mouseover", (event, d) => {
+                rowLabels.classed("active", i => i === d.i);
+                columnLabels.classed("active", i => i === d.j);
+            })
+            .on("mouseout", () => labels.classed("active", false))
+            .on("click", (event, d) => showSimilarCuisines(names[d.i], d.i === d.j ? '' : names[d.j]));
+        labels.on("click", (event, i) => showSimilarCuisines(names[i]));
+    }
+
+    // Load `cuisineName` into the charts (through loadData), compared with `compareName` when one is given
+    function showSimilarCuisines(cuisineName, compareName = '') {
+        const select = document.getElementById("cuisine-select");
+        if (select) select.value = cuisineName;
+        if (compareName) {
+            compareMode = true;
+            d3.select("#compare-toggle").property("checked", true);
+            d3.select("#compare-select").property("disabled", false).property("value", compareName);
+            if (compareName !== compareCuisineName) loadCompareData(compareName);
+        }
+        if (cuisineName !== currentCuisineName || !currentCuisineData) loadData(cuisineName);
+        else renderCurrentChart();
+        markSimilarityCuisine(cuisineName);
+    }
+
+    // Bold the loaded cuisine's labels in the similarity map
+    function markSimilarityCuisine(cuisineName = currentCuisineName) {
+        const names = similarityState.result?.names || [];
+        d3.selectAll("#similarity-content .similarity-label").classed("current", i => names[i] === cuisineName);
+    }
+
+    // --- Pinned Selection & Details Panel ---
+
+    // Pin/unpin ingredients. A plain click replaces the pinned set (or releases it if clicked again);
+    // Shift+click adds the ingredients, or removes them if they are all pinned already.
+    function togglePin(names, additive = false) {
+        const allPinned = names.every(name => pinnedIngredients.has(name));
+        if (additive) {
+            names.forEach(name => allPinned ? pinnedIngredients.delete(name) : pinnedIngredients.add(name));
+        } else {
+            const sameSelection = allPinned && pinnedIngredients.size === names.length;
+            pinnedIngredients.clear();
+            if (!sameSelection) names.forEach(name => pinnedIngredients.add(name));
+        }
+        console.log(`Pinned ingredients: ${Array.from(pinnedIngredients).join(', ') || '(none)'}`);
+        refreshPinnedState();
+    }
+
+    // Release every pinned ingredient
+    function clearPins() {
+        if (pinnedIngredients.size === 0) return;
+        pinnedIngredients.clear();
+        refreshPinnedState();
+    }
+
+    // Restore resting styles on the active chart, re-apply pins and update the side panel
+    function refreshPinnedState() {
+        if (substituteState && !pinnedIngredients.has(substituteState.name)) { // Substitutes belong to a pinned ingredient
+            substituteState = null;
+            drawHebSubstitutes();
+        }
+        if (currentChartType === 'heb') restoreHEBStyles();
+        else if (currentChartType === 'matrix') restoreMatrixStyles();
+        else if (currentChartType === 'network') restoreNetworkStyles();
+        else if (currentChartType === 'chord') restoreChordStyles();
+        else applyPinnedHighlight(); // Bar charts keep no hover styles of their own
+        renderDetailsPanel();
+    }
+
+    // Emphasize the pinned ingredients on the active chart (inline styles, so hover can temporarily override)
+    function applyPinnedHighlight() {
+        const hasPins = pinnedIngredients.size > 0;
+        if (currentChartType === 'heb') {
+            g.selectAll(".node").classed("pinned", d => pinnedIngredients.has(d.data.name));
+            if (hasPins) emphasizeHEBNodes(pinnedIngredients);
+            if (hasPins && substituteState) g.selectAll(".node.substitute-candidate").style("opacity", 1.0); // Rarely linked, so not lit as neighbors
+        } else if (currentChartType === 'network') {
+            networkG.selectAll(".network-node").classed("pinned", d => pinnedIngredients.has(d.name));
+            if (hasPins) emphasizeNetworkNodes(pinnedIngredients);
+        } else if (currentChartType === 'chord') {
+            const arcs = chordG.selectAll(".chord-group-arc"); // Arcs of pinned ingredients, or of their groups
+            const pinnedIndices = new Set(arcs.data().filter(d => d.key.names.some(name => pinnedIngredients.has(name))).map(d => d.index));
+            arcs.classed("pinned", d => pinnedIndices.has(d.index));
+            if (pinnedIndices.size > 0) emphasizeChordGroups(pinnedIndices);
+        } else if (currentChartType === 'bar' || currentChartType === 'pairs-bar' || currentChartType === 'signature') {
+            const targetGroup = (currentChartType === 'bar') ? barG : (currentChartType === 'signature') ? signatureG : pairBarG;
+            const isPinnedBar = d => (currentChartType !== 'pairs-bar')
+                ? pinnedIngredients.has(d.name)
+                : pinnedIngredients.has(d.source) || pinnedIngredients.has(d.target);
+            targetGroup.selectAll(".bar")
+                .classed("pinned", d => hasPins && isPinnedBar(d))
+                .style("opacity", d => (!hasPins || isPinnedBar(d)) ? null : 0.35);
+        } else if (currentChartType === 'matrix' && matrixCanvasView) {
+            scheduleMatrixCanvasDraw(); // Cell opacity and label styles follow pinnedIngredients when painted
+        } else if (currentChartType === 'matrix') {
+            const allCells = matrixG.selectAll(".matrix-cell");
+            const allTicks = matrixG.selectAll(".axis .tick");
+            allTicks.classed("pinned", name => pinnedIngredients.has(name));
+            if (!hasPins) return;
+            allCells.interrupt() // Stop the fade-in so it doesn't overwrite the pinned opacity
+                .style("opacity", d => (pinnedIngredients.has(d.source) || pinnedIngredients.has(d.target)) ? 1 : 0.3);
+            allTicks.style("opacity", name => pinnedIngredients.has(name) ? 1 : 0.3)
+                .select("text").style("font-weight", name => pinnedIngredients.has(name) ? "bold" : "normal");
+        }
+    }
+
+    // Names of the ingredients drawn by the active chart (to tell the user when a pin is off-chart)
+    function getIngredientsInCurrentChart() {
+        const names = new Set();
+        if (currentChartType === 'heb') g.selectAll(".node").each(d => names.add(d.data.name));
+        else if (currentChartType === 'bar') barG.selectAll(".bar").each(d => names.add(d.name));
+        else if (currentChartType === 'pairs-bar') pairBarG.selectAll(".bar").each(d => { names.add(d.source); names.add(d.target); });
+        else if (currentChartType === 'matrix' && matrixCanvasView) matrixCanvasView.processed.order.forEach(name => names.add(name)); // Labels are culled
+        else if (currentChartType === 'matrix' && matrixScales) matrixScales.yScale.domain().forEach(name => names.add(name)); // Not the ticks fading out
+        else if (currentChartType === 'network') networkG.selectAll(".network-node").each(d => names.add(d.name));
+        else if (currentChartType === 'chord') chordG.selectAll(".chord-group-arc").each(d => d.key.names.forEach(name => names.add(name)));
+        else if (currentChartType === 'signature') signatureG.selectAll(".bar").each(d => names.add(d.name));
+        return names;
+    }
+
+    // Partners of an ingredient ranked by co-occurrence value
+    function getRankedPartners(rawData, name) {
+        return rawData.links
+            .filter(link => link.source === name || link.target === name)
+            .map(link => ({ name: link.source === name ? link.target : link.source, value: link.value }))
+            .sort((a, b) => b.value - a.value || d3.ascending(a.name, b.name));
+    }
+
+    // Rebuild the side panel listing each pinned ingredient, its occurrences and ranked partners
+    function renderDetailsPanel() {
+        const content = d3.select("#details-content");
+        if (content.empty()) return;
+        content.selectAll("*").remove();
+        d3.select("#details-panel .details-hint").style("display", pinnedIngredients.size ? "none" : null);
+        if (!currentCuisineData || pinnedIngredients.size === 0) return;
+
+        const occurrences = getOccurrenceMap(currentCuisineData);
+        const visibleNames = getIngredientsInCurrentChart();
+
+        pinnedIngredients.forEach(name => {
+            const card = content.append("section").attr("class", "details-card");
+            const header = card.append("div").attr("class", "details-card-header");
+            header.append("h3").text(name);
+            header.append("button").attr("class", "details-unpin").attr("title", `Unpin ${name}`).text("×")
+                .on("click", () => togglePin([name], true));
+
+            const count = occurrences.get(name);
+            card.append("p").attr("class", "details-occurrences")
+                .text(count !== undefined ? `Occurs in ${count.toLocaleString()} recipes` : "Occurrence count unavailable");
+            if (!visibleNames.has(name)) {
+                card.append("p").attr("class", "details-note")
+                    .text(`Not shown in the current ${CHART_LABELS[currentChartType]} view (filtered out or outside its top N).`);
+            }
+
+            // Jump to the same ingredient in the other chart types
+            const jumpLinks = card.append("p").attr("class", "details-jump");
+            jumpLinks.append("span").text("Show in: ");
+            Object.keys(CHART_BUTTON_IDS).filter(type => type !== currentChartType).forEach(type => {
+                jumpLinks.append("a").attr("href", "#").text(CHART_LABELS[type])
+                    .on("click", (event) => {
+                        event.preventDefault();
+                        switchChartType(type);
+                    });
+            });
+
+            // Partners ranked by co-occurrence (clicking one pins it alongside)
+            const partners = getRankedPartners(currentCuisineData, name).slice(0, DETAILS_TOP_PARTNERS);
+            card.append("h4").text(partners.length ? "Top partners (co-occurrence)" : "No co-occurring partners");
+            const maxPartnerValue = d3.max(partners, d => d.value) || 1;
+            const items = card.append("ol").attr("class", "details-partners")
+                .selectAll("li").data(partners).enter().append("li");
+            items.append("a").attr("href", "#").text(d => d.name)
+                .attr("title", d => `Pin ${d.name} as well`)
+                .on("click", (event, d) => {
+                    event.preventDefault();
+                    togglePin([d.name], true);
+                });
+            items.append("span").attr("class", "details-partner-bar")
+                .style("width", d => `${Math.round(60 * d.value / maxPartnerValue)}px`);
+            items.append("span").attr("class", "details-partner-value").text(d => d.value.toLocaleString());
+
+            // Substitutes: similar partners, rarely used together (also drawn on the HEB)
+            const showingSubstitutes = substituteState?.name === name;
+            const substitutes = card.append("div").attr("class", "details-substitutes");
+            substitutes.append("button").attr("type", "button").attr("class", "details-substitutes-toggle")
+                .attr("aria-expanded", showingSubstitutes)
+                .text(showingSubstitutes ? "Hide substitutes" : "Find substitutes")
+                .on("click", () => showSubstitutes(showingSubstitutes ? null : name));
+            if (showingSubstitutes) renderSubstituteList(substitutes);
+        });
+    }
+
+
+    // --- Export (SVG / PNG) ---
+
+    // SVG group holding the active chart
+    function getActiveChartGroup() {
+        return { 'heb': g, 'bar': barG, 'pairs-bar': pairBarG, 'matrix': matrixG, 'network': networkG, 'chord': chordG, 'signature': signatureG }[currentChartType] || null;
+    }
+
+    // Base file name for downloads, e.g. "ingredient-web_italian_pairs-bar"
+    function getExportFileBaseName() {
+        const slug = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const cuisinePart = isCompareChart()
+            ? `${slug(currentCuisineName)}-vs-${slug(compareCuisineName)}`
+            : slug(currentCuisineName || 'chart');
+        return `ingredient-web_${cuisinePart}_${currentChartType}`;
+    }
+
+    // Legend sections of the drawn HEB links: colour (selected mode) and width (selected metric, else sqrt of the count)
+    function getHebLinkLegendSections() {
+        const sections = [];
+        const links = getHebLinkData();
+        if (!links.length) return sections;
+        const usesMetric = !!hebMetricWidthScale;
+        const strengthLabel = usesMetric ? PAIR_METRICS[pairMetricSettings.metric].label : "co-occurrences"; // Short: fits the on-screen legend
+        const formatStrength = usesMetric ? formatMetricValue : d3.format(",.0f");
+        if (hebLinkColorSettings.mode === 'strength' && hebLinkColorScale) {
+            sections.push({ title: `Link colour: ${strengthLabel}`, kind: 'gradient', scale: hebLinkColorScale, format: formatStrength });
+        } else if (hebLinkColorSettings.mode === 'source') {
+            sections.push({ title: "Link colour: source group", kind: 'note', text: "Each link takes the node colour of its source ingredient" });
+        } else if (hebLinkColorSettings.mode === 'gradient') {
+            sections.push({ title: "Link colour: gradient", kind: 'note', text: "Each link fades from its source ingredient's node colour to its target's" });
+        }
+        const values = links.map(getHebLinkStrength).filter(v => v !== null).sort(d3.ascending);
+        if (values.length) {
+            const samples = Array.from(new Set([values[0], d3.quantileSorted(values, 0.5), values[values.length - 1]]));
+            sections.push({
+                title: `Link width: ${usesMetric ? strengthLabel : "√ co-occurrences"}`, kind: 'widths',
+                items: samples.map(v => ({
+                    label: formatStrength(v),
+                    width: hebLinkWidth(usesMetric ? { metricValue: v } : { value: v })
+                }))
+            });
+        }
+        return sections;
+    }
+
+    // Describe the active chart's encodings as legend sections (drawn by drawLegend)
+    function getChartLegendSpec() {
+        const sections = [];
+        const metricLabel = PAIR_METRICS[pairMetricSettings.metric].label;
+        const compareSwatches = {
+            title: "Cuisine", kind: 'swatches',
+            items: [{ label: currentCuisineName, color: compareColors.a }, { label: compareCuisineName, color: compareColors.b }]
+        };
+        if (currentChartType === 'heb') {
+            const groups = lastRendered?.chartType === 'heb' ? getHebLegendGroups(lastRendered.processed.root) : [];
+            sections.push({
+                title: `Node colour: ${hebLayoutSettings.layout === 'community' ? "detected community" : "ingredient group"}`, kind: 'swatches',
+                items: groups.map(group => ({ label: group.label, color: group.color }))
+            });
+            const other = groups.find(group => group.key === TAXONOMY_OTHER.key);
+            if (other) {
+                sections.push({ title: "Unmapped ingredients (Other)", kind: 'note', text: other.names.join(", ") });
+            }
+            sections.push(...getHebLinkLegendSections());
+        } else if (currentChartType === 'bar') {
+            if (isCompareActive()) sections.push(compareSwatches);
+            sections.push({ title: "Bar length", kind: 'note', text: isCompareActive() ? "Share of each cuisine's recipes using the ingredient" : "Number of recipes using the ingredient" });
+        } else if (currentChartType === 'signature' && lastRendered?.chartType === 'signature') {
+            const groups = d3.groups(lastRendered.processed.signatures, d => classifyIngredient(d.name).groupIndex).sort((a, b) => d3.ascending(a[0], b[0]));
+            sections.push({ title: "Ingredient group", kind: 'swatches', items: groups.map(([, members]) => {
+                const { group } = classifyIngredient(members[0].name);
+                return { label: group.label, color: group.color };
+            }) });
+            sections.push({
+                title: "Bar length", kind: 'note',
+                text: "Log-odds ratio of a recipe using the ingredient in this cuisine vs in the others; whiskers show the 95% confidence interval (ranked by its lower end)"
+            });
+        } else if (currentChartType === 'pairs-bar') {
+            if (isCompareActive()) sections.push(compareSwatches);
+            sections.push({ title: "Bar length", kind: 'note', text: isCompareActive() ? "Share of each cuisine's recipes using the pair" : metricLabel });
+        } else if (currentChartType === 'network' && lastRendered?.chartType === 'network') {
+            const processed = lastRendered.processed;
+            const scales = getNetworkScales(processed);
+            const groups = d3.groups(processed.nodes, d => classifyIngredient(d.name).groupIndex).sort((a, b) => d3.ascending(a[0], b[0]));
+            sections.push({
+                title: "Ingredient group", kind: 'swatches',
+                items: groups.map(([, members]) => {
+                    const { group } = classifyIngredient(members[0].name);
+                    return { label: group.label, color: group.color };
+                })
+            });
+            sections.push({ title: "Node size", kind: 'note', text: "Number of recipes using the ingredient" +
+                (processed.truncated ? ` (the ${NETWORK_MAX_NODES} most frequent linked ingredients are shown)` : "") });
+            const values = processed.links.map(d => d.value).sort(d3.ascending);
+            const samples = Array.from(new Set([values[0], d3.quantileSorted(values, 0.5), values[values.length - 1]]));
+            sections.push({
+                title: "Edge width: co-occurrence count", kind: 'widths',
+                items: samples.map(v => ({ label: d3.format(",.0f")(v), width: scales.width(v) }))
+            });
+        } else if (currentChartType === 'chord' && lastRendered?.chartType === 'chord') {
+            const { keys, aggregate } = lastRendered.processed;
+            const swatches = aggregate === 'group' ? keys // Ingredient arcs take their group's colour
+                : d3.groups(keys, d => classifyIngredient(d.key).groupIndex).sort((a, b) => d3.ascending(a[0], b[0]))
+                    .map(([, members]) => classifyIngredient(members[0].key).group);
+            sections.push({ title: "Ingredient group", kind: 'swatches', items: swatches.map(d => ({ label: d.label, color: d.color })) });
+            sections.push({
+                title: "Ribbon width", kind: 'note',
+                text: aggregate === 'group' ? "Co-occurrence counts summed over the two groups' ingredient pairs" : "Number of recipes using both ingredients"
+            });
+        } else if (currentChartType === 'matrix' && matrixLegendInfo) {
+            sections.push({ title: matrixLegendInfo.title, kind: 'gradient', scale: matrixLegendInfo.scale, format: matrixLegendInfo.format });
+        }
+        return sections;
+    }
+
+    // Draw legend sections into an SVG group, stacked vertically. Returns the total height used.
+    function drawLegend(container, sections, { maxWidth = 600, idPrefix = "legend" } = {}) {
+        let y = 0;
+        sections.forEach((section, sectionIndex) => {
+            const sectionG = container.append("g").attr("class", "legend-section").attr("transform", `translate(0,${y})`);
+            sectionG.append("text").attr("class", "legend-title").attr("y", 12)
+                .style("font-size", "12px").style("font-weight", "bold").style("fill", "#333").text(section.title);
+            let rowY = 20;
+            if (section.kind === 'swatches' || section.kind === 'widths') {
+                let x = 0;
+                section.items.forEach(item => {
+                    const itemWidth = (section.kind === 'widths' ? 50 : 24) + item.label.length * 6.5;
+                    if (x > 0 && x + itemWidth > maxWidth) { x = 0; rowY += 18; } // Wrap to the next row
+                    const itemG = sectionG.append("g").attr("transform", `translate(${x},${rowY})`);
+                    if (section.kind === 'swatches') {
+                        itemG.append("rect").attr("width", 12).attr("height", 12)
+                            .attr("fill", item.color).attr("stroke", "#333").attr("stroke-width", 0.5);
+                    } else {
+                        itemG.append("line").attr("x1", 0).attr("x2", 30).attr("y1", 6).attr("y2", 6)
+                            .attr("stroke", item.color || "#6c757d").attr("stroke-width", item.width).attr("stroke-linecap", "round");
+                    }
+                    itemG.append("text").attr("x", section.kind === 'widths' ? 36 : 17).attr("y", 10)
+                        .style("font-size", "11px").style("fill", "#333").text(item.label);
+                    x += itemWidth;
+                });
+                rowY += 18;
+            } else if (section.kind === 'gradient') {
+                const rampWidth = Math.min(220, maxWidth);
+                const [domainMin, domainMax] = d3.extent(section.scale.domain());
+                const gradientId = `${idPrefix}-gradient-${sectionIndex}`;
+                const gradient = sectionG.append("defs").append("linearGradient").attr("id", gradientId);
+                d3.range(0, 1.0001, 0.1).forEach(t => gradient.append("stop")
+                    .attr("offset", `${Math.round(t * 100)}%`)
+                    .attr("stop-color", section.scale(domainMin + t * (domainMax - domainMin))));
+                sectionG.append("rect").attr("y", rowY).attr("width", rampWidth).attr("height", 12)
+                    .attr("fill", `url(#${gradientId})`).attr("stroke", "#ced4da");
+                const format = section.format || d3.format(".2~f");
+                [[domainMin, 0, "start"], [domainMax, rampWidth, "end"]].forEach(([value, x, anchor]) => {
+                    sectionG.append("text").attr("x", x).attr("y", rowY + 26).attr("text-anchor", anchor)
+                        .style("font-size", "11px").style("fill", "#333").text(format(value));
+                });
+                rowY += 32;
+            } else if (section.kind === 'note') {
+                // Word-wrap long notes (e.g. the list of unmapped HEB ingredients) to maxWidth
+                const maxChars = Math.max(20, Math.floor(maxWidth / 6));
+                const lines = [];
+                section.text.split(" ").forEach(word => {
+                    const last = lines[lines.length - 1];
+                    if (last !== undefined && (last + " " + word).length <= maxChars) lines[lines.length - 1] = last + " " + word;
+                    else lines.push(word);
+                });
+                lines.forEach(line => {
+                    sectionG.append("text").attr("y", rowY + 10).style("font-size", "11px").style("fill", "#333").text(line);
+                    rowY += 16;
+                });
+            }
+            y += rowY + 8;
+        });
+        return y;
+    }
+
+    // CSS rules from style.css that apply inside the exported SVG (hover rules are left out)
+    function collectExportCss(exportRoot) {
+        const cssTexts = [];
+        Array.from(document.styleSheets)
+            .filter(sheet => (sheet.href || '').includes('/static/style.css'))
+            .forEach(sheet => {
+                let rules = [];
+                try { rules = Array.from(sheet.cssRules); } catch (e) { console.warn("Cannot read style.css rules for export:", e); }
+                rules.forEach(rule => {
+                    if (!rule.selectorText || rule.selectorText.includes(':hover')) return;
+                    try {
+                        if (exportRoot.matches(rule.selectorText) || exportRoot.querySelector(rule.selectorText)) cssTexts.push(rule.cssText);
+                    } catch (e) { /* Selector not supported by querySelector; skip it */ }
+                });
+            });
+        return cssTexts.join("\n");
+    }
+
+    // Build a standalone SVG of the active chart with title, legend and inlined styles.
+    // Uses the group's local bounding box, so the HEB is exported in full regardless of the current zoom.
+    function buildExportSvg() {
+        const group = getActiveChartGroup();
+        if (!currentCuisineData || !group || group.select("*").empty()) return null;
+        const padding = 20, titleHeight = 34, legendGap = 20;
+        const bbox = group.node().getBBox();
+        const width = Math.ceil(Math.max(bbox.width, 300) + 2 * padding);
+
+        const exportSvg = d3.create("svg").attr("version", "1.1");
+        exportSvg.append("rect").attr("class", "export-background").attr("width", "100%").attr("height", "100%").attr("fill", "#fff");
+        exportSvg.append("text").attr("class", "export-title")
+            .attr("x", padding).attr("y", padding + 8)
+            .style("font-family", "sans-serif").style("font-size", "18px").style("font-weight", "bold").style("fill", "#495057")
+            .text(getChartTitle());
+
+        const chartClone = group.node().cloneNode(true);
+        d3.select(chartClone)
+            .attr("transform", `translate(${padding - bbox.x},${padding + titleHeight - bbox.y})`)
+            .style("display", null);
+        // Canvas layers (large matrix, minimap) don't serialise; embed their pixels as images
+        const canvasLayers = group.selectAll("foreignObject").nodes();
+        d3.select(chartClone).selectAll("foreignObject").each(function(_, i) {
+            const canvas = canvasLayers[i]?.querySelector("canvas");
+            const image = document.createElementNS(d3.namespaces.svg, "image");
+            ["x", "y", "width", "height"].forEach(attr => {
+                if (this.hasAttribute(attr)) image.setAttribute(attr, this.getAttribute(attr));
+            });
+            image.setAttribute("href", canvas?.toDataURL("image/png") || "");
+            this.replaceWith(image);
+        });
+        d3.select(chartClone).selectAll(".matrix-crosshair, .matrix-minimap-hit, .chart-exit").remove(); // Elements fading out are left out
+        if (group === g && hebCanvasView) { // Canvas HEB links are written out as vector paths under the nodes
+            const view = hebCanvasView;
+            const linksG = d3.select(chartClone).insert("g", ":first-child").attr("class", "heb-export-links");
+            const gradientPaints = hebLinkColorSettings.mode === 'gradient'
+                ? appendHebLinkGradients(linksG, view.links, view.nodeMap, "export-heb-link-gradient") : null;
+            const styled = view.links.map((link, i) => ({ link, style: getHebCanvasLinkStyle(view, link, i) }));
+            styled.sort((a, b) => d3.ascending(a.style.front, b.style.front)); // Emphasized links on top, as painted
+            styled.forEach(({ link, style }) => {
+                linksG.append("path").attr("class", "link")
+                    .attr("d", lineRadial(view.nodeMap.get(link.source).path(view.nodeMap.get(link.target))))
+                    .style("fill", "none").style("stroke", typeof style.color === 'string' ? style.color : gradientPaints.get(link))
+                    .style("stroke-width", style.width).style("stroke-opacity", style.opacity);
+            });
+        }
+        exportSvg.node().appendChild(chartClone);
+
+        const legendY = padding + titleHeight + Math.ceil(bbox.height) + legendGap;
+        const legendG = exportSvg.append("g").attr("class", "export-legend").attr("transform", `translate(${padding},${legendY})`);
+        const legendHeight = drawLegend(legendG, getChartLegendSpec(), { maxWidth: width - 2 * padding, idPrefix: "export-legend" });
+
+        const height = Math.ceil(legendY + legendHeight + padding);
+        exportSvg.attr("width", width).attr("height", height).attr("viewBox", `0 0 ${width} ${height}`)
+            .style("font-family", "sans-serif");
+        exportSvg.insert("style", ":first-child").text(collectExportCss(exportSvg.node()));
+        return { node: exportSvg.node(), width, height };
+    }
+
+    // Save a Blob through a temporary download link
+    function triggerDownload(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Show a short status next to the export/download buttons
+    function setExportStatus(message) {
+        d3.select("#export-status").text(message);
+    }
+
+    // Download the active chart as a standalone SVG file
+    function exportChartAsSvg() {
+        const exported = buildExportSvg();
+        if (!exported) { setExportStatus("Nothing to export yet."); return; }
+        const svgText = new XMLSerializer().serializeToString(exported.node);
+        triggerDownload(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }), `${getExportFileBaseName()}.svg`);
+        setExportStatus("");
+    }
+
+    // Rasterise the exported SVG to PNG at the given scale factor
+    function exportChartAsPng(scale = 2) {
+        const exported = buildExportSvg();
+        if (!exported) { setExportStatus("Nothing to export yet."); return; }
+        const svgText = new XMLSerializer().serializeToString(exported.node);
+        const svgUrl = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(exported.width * scale);
+            canvas.height = Math.round(exported.height * scale);
+            const context = canvas.getContext("2d");
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, exported.width, exported.height);
+            URL.revokeObjectURL(svgUrl);
+            canvas.toBlob(blob => {
+                if (!blob) { setExportStatus("PNG export failed."); return; }
+                triggerDownload(blob, `${getExportFileBaseName()}@${scale}x.png`);
+                setExportStatus("");
+            }, "image/png");
+        };
+        image.onerror = (error) => {
+            console.error("Could not rasterise the exported SVG:", error);
+            URL.revokeObjectURL(svgUrl);
+            setExportStatus("PNG export failed.");
+        };
+        image.src = svgUrl;
+    }
+
+    // --- Data Download (CSV / JSON) ---
+    // Exports exactly the rows the chart on screen was drawn from. CSV files start with "# key: value"
+    // comment lines describing the view (pandas: read_csv(path, comment="#")); JSON puts them under "meta".
+
+    // Parameters that produced the chart on screen
+    function getChartDataMeta({ chartType, compare, processed }) {
+        const meta = { cuisine: currentCuisineName };
+        if (compare) meta.compare_cuisine = compareCuisineName;
+        meta.chart = chartType;
+        meta.recipe_count = currentCuisineData?.recipe_count ?? null;
+        if (compare) meta.compare_recipe_count = compareCuisineData?.recipe_count ?? null;
+        if (currentCuisineData?.weighting) meta.weighting = currentCuisineData.weighting; // All cuisines
+        if (compare && compareCuisineData?.weighting) meta.compare_weighting = compareCuisineData.weighting;
+        const usesMetric = !compare && ['pairs-bar', 'matrix', 'heb'].includes(chartType); // Network and chord use raw counts
+        if (chartType === 'heb') {
+            meta.min_co_occurrence = hebFilters.minLinkValue;
+            meta.min_degree = hebFilters.minDegree;
+            meta.top_links_per_node = hebFilters.topK || 'all';
+            meta.layout = hebLayoutSettings.layout;
+            meta.link_color = hebLinkColorSettings.mode;
+        } else if (chartType === 'network') {
+            meta.min_co_occurrence = networkSettings.minLinkValue;
+            meta.max_nodes = NETWORK_MAX_NODES;
+        } else if (chartType === 'chord') {
+            meta.aggregate = processed.aggregate;
+            if (processed.aggregate === 'ingredient') meta.top_n = processed.keys.length;
+        } else if (chartType === 'signature') {
+            meta.top_n = SIGNATURE_TOP_N;
+            meta.min_recipes = SIGNATURE_MIN_RECIPES;
+            meta.total_recipe_count = processed.totalRecipes;
+            meta.values = "log odds ratio vs the other cuisines (0.5 added to each count), 95% Wald interval; ranked by its lower bound";
+        } else {
+            meta.top_n = {
+                'bar': compare ? COMPARE_TOP_N : BAR_TOP_N,
+                'pairs-bar': compare ? COMPARE_TOP_N : PAIRS_TOP_N,
+                'matrix': matrixSettings.topN || 'all'
+            }[chartType];
+        }
+        if (usesMetric) {
+            meta.metric = pairMetricSettings.metric;
+            if (pairMetricSettings.metric !== 'count') meta.min_support = pairMetricSettings.minSupport;
+        }
+        if (compare) meta.values = chartType === 'matrix' ? "share_a - share_b (share = fraction of recipes)" : "share = fraction of recipes";
+        if (chartType === 'matrix') {
+            meta.matrix_order_method = matrixSettings.order;
+            meta.matrix_order = processed.order.join('|');
+        }
+        meta.exported_at = new Date().toISOString();
+        return meta;
+    }
+
+    // Tabulate the processed chart data: { columns, rows } with one plain object per row
+    function getChartDataTable({ chartType, compare, processed }) {
+        const metricKey = pairMetricSettings.metric;
+        const metricColumns = metricKey === 'count' ? [] : [metricKey];
+        const compareColumns = ['count_a', 'share_a', 'count_b', 'share_b'];
+        const compareValues = d => ({ count_a: d.countA, share_a: d.shareA, count_b: d.countB, share_b: d.shareB });
+
+        switch (chartType) {
+            case 'heb': {
+                const groupOf = name => { const leaf = processed.nodeMap.get(name); return leaf ? getHebGroupName(leaf) : null; }; // Taxonomy group or community
+                return {
+                    columns: ['source', 'source_group', 'target', 'target_group', 'co_occurrence', ...metricColumns],
+                    rows: processed.finalLinks.map(link => ({
+                        source: link.source, source_group: groupOf(link.source),
+                        target: link.target, target_group: groupOf(link.target), co_occurrence: link.value,
+                        ...(metricColumns.length ? { [metricKey]: link.metricValue } : {})
+                    }))
+                };
+            }
+            case 'bar':
+                if (compare) {
+                    return {
+                        columns: ['rank', 'ingredient', ...compareColumns],
+                        rows: processed.rows.map((d, i) => ({ rank: i + 1, ingredient: d.name, ...compareValues(d) }))
+                    };
+                }
+                return {
+                    columns: ['rank', 'ingredient', 'occurrences'],
+                    rows: processed.sortedNodes.map((d, i) => ({ rank: i + 1, ingredient: d.name, occurrences: d.value }))
+                };
+            case 'pairs-bar':
+                if (compare) {
+                    return {
+                        columns: ['rank', 'source', 'target', ...compareColumns],
+                        rows: processed.rows.map((d, i) => ({ rank: i + 1, source: d.source, target: d.target, ...compareValues(d) }))
+                    };
+                }
+                return {
+                    columns: ['rank', 'source', 'target', 'co_occurrence', ...metricColumns],
+                    rows: processed.sortedPairs.map((d, i) => ({
+                        rank: i + 1, source: d.source, target: d.target, co_occurrence: d.count,
+                        ...(metricColumns.length ? { [metricKey]: d.value } : {})
+                    }))
+                };
+            case 'matrix': { // Long format in display order, one row per cell (row = A, column = B); empty cells keep a blank value
+                const nodeIndex = new Map(processed.nodes.map((name, i) => [name, i]));
+                const cellsInOrder = processed.order.flatMap(rowName =>
+                    processed.order.map(columnName => processed.matrix[nodeIndex.get(rowName)][nodeIndex.get(columnName)]));
+                if (processed.difference) {
+                    return {
+                        columns: ['row', 'column', ...compareColumns, 'difference'],
+                        rows: cellsInOrder.map(cell => ({
+                            row: cell.source, column: cell.target, ...compareValues(cell), difference: cell.z
+                        }))
+                    };
+                }
+                return {
+                    columns: ['row', 'column', 'co_occurrence', ...metricColumns],
+                    rows: cellsInOrder.map(cell => ({
+                        row: cell.source, column: cell.target, co_occurrence: cell.count,
+                        ...(metricColumns.length ? { [metricKey]: cell.z } : {})
+                    }))
+                };
+            }
+            case 'network':
+                return {
+                    columns: ['source', 'target', 'co_occurrence'],
+                    rows: processed.links.map(link => ({ source: link.source, target: link.target, co_occurrence: link.value }))
+                };
+            case 'signature':
+                return {
+                    columns: ['rank', 'ingredient', 'recipes', 'share', 'all_recipes', 'all_share', 'log_odds', 'ci_lower', 'ci_upper'],
+                    rows: processed.signatures.map((d, i) => ({
+                        rank: i + 1, ingredient: d.name, recipes: d.cuisineCount, share: d.cuisineShare,
+                        all_recipes: d.globalCount, all_share: d.globalShare, log_odds: d.logOdds, ci_lower: d.lower, ci_upper: d.upper
+                    }))
+                };
+            case 'chord': { // Upper triangle of the symmetric matrix (the diagonal holds pairs inside a group)
+                const rows = [];
+                processed.keys.forEach((a, i) => processed.keys.slice(i).forEach((b, offset) => {
+                    const value = processed.matrix[i][i + offset];
+                    if (value > 0) rows.push({ source: a.label, target: b.label, co_occurrence: value });
+                }));
+                return { columns: ['source', 'target', 'co_occurrence'], rows };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Quote a CSV field when it contains a delimiter, quote or line break
+    function csvField(value) {
+        if (value === null || value === undefined) return "";
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function buildCsv(meta, { columns, rows }) {
+        const lines = Object.entries(meta).map(([key, value]) => `# ${key}: ${value}`);
+        lines.push(columns.map(csvField).join(","));
+        rows.forEach(row => lines.push(columns.map(column => csvField(row[column])).join(",")));
+        return lines.join("\n") + "\n";
+    }
+
+    // Download the data behind the chart on screen as 'csv' or 'json'
+    function downloadChartData(format = 'csv') {
+        if (!lastRendered) { setExportStatus("No chart data to download yet."); return; }
+        const table = getChartDataTable(lastRendered);
+        if (!table) { setExportStatus("This chart has no data export."); return; }
+        const meta = getChartDataMeta(lastRendered);
+        const fileName = `${getExportFileBaseName()}_data.${format}`;
+        if (format === 'json') {
+            const json = JSON.stringify({ meta, columns: table.columns, rows: table.rows }, null, 2);
+            triggerDownload(new Blob([json], { type: "application/json;charset=utf-8" }), fileName);
+        } else {
+            triggerDownload(new Blob([buildCsv(meta, table)], { type: "text/csv;charset=utf-8" }), fileName);
+        }
+        console.log(`Downloaded ${table.rows.length} rows as ${fileName}`);
+        setExportStatus("");
+    }
+
+    // --- Deep Links (URL state) ---
+    // The query string mirrors the view: ?cuisine=Italian&chart=matrix&q=garlic&zoom=dx,dy,k
+    // (zoom = HEB pan offset from the chart center, and scale). Cuisine and chart changes push
+    // history entries so back/forward step through views; search and zoom replace the current entry.
+    let isRestoringUrlState = false; // Suppress URL writes while the view is being restored from the URL
+    let urlReplaceTimer = null;
+
+    // Parse the view state from the query string
+    function readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const chart = params.get("chart");
+        const zoomParts = (params.get("zoom") || "").split(",").map(Number);
+        const hasZoom = zoomParts.length === 3 && zoomParts.every(Number.isFinite) && zoomParts[2] > 0;
+        return {
+            cuisine: params.get("cuisine") || "",
+            chart: CHART_BUTTON_IDS[chart] ? chart : 'heb',
+            weighting: CUISINE_WEIGHTINGS[params.get("weighting")] ? params.get("weighting") : 'sum',
+            search: params.get("q") || "",
+            searchMode: params.get("match") === 'all' ? 'all' : 'any',
+            layout: HEB_LAYOUTS[params.get("layout")] ? params.get("layout") : 'taxonomy',
+            linkColor: HEB_LINK_COLOR_MODES[params.get("links")] ? params.get("links") : 'strength',
+            zoom: hasZoom ? { dx: zoomParts[0], dy: zoomParts[1], k: zoomParts[2] } : null
+        };
+    }
+
+    // Serialize the current view into a query string (defaults are left out to keep links short)
+    function buildUrlSearch() {
+        const params = new URLSearchParams();
+        if (currentCuisineName) params.set("cuisine", currentCuisineName);
+        if (isAllCuisines(currentCuisineName) && allCuisinesSettings.weighting !== 'sum') params.set("weighting", allCuisinesSettings.weighting);
+        if (currentChartType !== 'heb') params.set("chart", currentChartType);
+        const term = searchInput.node().value.trim();
+        if (term) params.set("q", term);
+        if (term && searchSettings.mode === 'all') params.set("match", "all");
+        if (hebLayoutSettings.layout !== 'taxonomy') params.set("layout", hebLayoutSettings.layout);
+        if (hebLinkColorSettings.mode !== 'strength') params.set("links", hebLinkColorSettings.mode);
+        if (currentChartType === 'heb' && currentCuisineData) {
+            const transform = d3.zoomTransform(svg.node());
+            const dx = transform.x - currentWidth / 2;
+            const dy = transform.y - (vizHeight / 2 + hebVerticalOffset);
+            if (Math.abs(dx) >= 0.5 || Math.abs(dy) >= 0.5 || Math.abs(transform.k - initialHebScale) >= 0.001) {
+                params.set("zoom", `${dx.toFixed(1)},${dy.toFixed(1)},${transform.k.toFixed(3)}`);
+            }
+        }
+        const search = params.toString();
+        return search ? `?${search}` : "";
+    }
+
+    // Write the current view to the URL (push = new history entry, otherwise replace the current one)
+    function updateUrlState({ push = false } = {}) {
+        if (isRestoringUrlState) return;
+        clearTimeout(urlReplaceTimer);
+        const search = buildUrlSearch();
+        if (search === window.location.search) return;
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (push) history.pushState(null, "", url);
+        else history.replaceState(null, "", url);
+    }
+
+    // Debounced URL replace for high-frequency changes (typing, zooming)
+    function scheduleUrlStateUpdate() {
+        if (isRestoringUrlState) return;
+        clearTimeout(urlReplaceTimer);
+        urlReplaceTimer = setTimeout(() => updateUrlState(), 300);
+    }
+
+    // Restore a view parsed by readUrlState: chart type, cuisine, search term, then HEB zoom
+    async function applyUrlState(state) {
+        console.log("Restoring view from URL:", state);
+        isRestoringUrlState = true;
+        try {
+            if (state.chart !== currentChartType) {
+                currentChartType = state.chart;
+                setActiveButton(CHART_BUTTON_IDS[state.chart]);
+            }
+            hebLayoutSettings.layout = state.layout;
+            d3.select("#heb-layout").property("value", state.layout);
+            hebLinkColorSettings.mode = state.linkColor;
+            d3.select("#heb-link-color").property("value", state.linkColor);
+
+            const select = document.getElementById("cuisine-select");
+            const knownCuisine = Array.from(select?.options || []).some(option => option.value && option.value === state.cuisine);
+            if (state.cuisine && !knownCuisine) console.warn(`Cuisine "${state.cuisine}" from the URL is not available.`);
+            const cuisine = knownCuisine ? state.cuisine : "";
+            const weightingChanged = isAllCuisines(cuisine) && state.weighting !== allCuisinesSettings.weighting;
+            if (isAllCuisines(cuisine)) allCuisinesSettings.weighting = state.weighting;
+            if (cuisine !== currentCuisineName || (cuisine && !currentCuisineData) || weightingChanged) {
+                if (select) select.value = cuisine;
+                await loadData(cuisine); // Renders the chart (loadData clears the search box)
+                if (weightingChanged && compareMode && isAllCuisines(compareCuisineName)) loadCompareData(compareCuisineName);
+            } else {
+                renderCurrentChart();
+            }
+
+            searchInput.property("value", state.search);
+            searchSettings.mode = state.searchMode;
+            d3.select("#search-mode").property("value", state.searchMode);
+            if (state.search) highlightNodes(state.search);
+            else clearHighlight(false);
+
+            if (state.zoom && currentChartType === 'heb' && currentCuisineData) {
+                svg.call(zoom.transform, d3.zoomIdentity
+                    .translate(currentWidth / 2 + state.zoom.dx, vizHeight / 2 + hebVerticalOffset + state.zoom.dy)
+                    .scale(state.zoom.k));
+            }
+        } finally {
+            isRestoringUrlState = false;
+            clearTimeout(urlReplaceTimer); // Drop zoom/search writes queued during the restore
+        }
+    }
+
+    // --- Event Listeners Setup ---
+
+    // Cuisine Select Dropdown
+    const selectElement = document.getElementById("cuisine-select");
+    if (selectElement) {
+        selectElement.addEventListener("change", (e) => loadData(e.target.value)); // Load data on change
+    } else { console.error("Cuisine select dropdown (#cuisine-select) not found."); }
+
+    // Compare Mode: toggle enables the second cuisine select; both changes reload B and re-render
+    const compareToggle = document.getElementById("compare-toggle");
+    const compareSelect = document.getElementById("compare-select");
+    if (compareToggle && compareSelect) {
+        compareToggle.addEventListener("change", () => {
+            compareMode = compareToggle.checked;
+            compareSelect.disabled = !compareMode;
+            syncCuisineWeightingControl();
+            if (compareMode && compareSelect.value && compareSelect.value !== compareCuisineName) {
+                loadCompareData(compareSelect.value);
+            } else if (currentCuisineData) {
+                renderCurrentChart();
+            }
+        });
+        compareSelect.addEventListener("change", (e) => { if (compareMode) loadCompareData(e.target.value); });
+    }
+
+    // All cuisines weighting: refetch whichever side shows All cuisines (each weighting is cached separately)
+    const weightingSelect = document.getElementById("cuisine-weighting");
+    if (weightingSelect) {
+        weightingSelect.addEventListener("change", (e) => {
+            allCuisinesSettings.weighting = CUISINE_WEIGHTINGS[e.target.value] ? e.target.value : 'sum';
+            if (isAllCuisines(currentCuisineName)) loadData(currentCuisineName);
+            if (compareMode && isAllCuisines(compareCuisineName)) loadCompareData(compareCuisineName);
+        });
+    }
+
+    // Chart Type Buttons
+    chartButtonsContainer.selectAll("button").on("click", function() {
+        const buttonId = d3.select(this).attr("id"); // Get the ID of the clicked button
+        // Determine new chart type based on button ID
+        const newChartType = Object.keys(CHART_BUTTON_IDS).find(type => CHART_BUTTON_IDS[type] === buttonId);
+        if (!newChartType) { console.warn(`Unknown button ID clicked: ${buttonId}`); return; } // Ignore unknown buttons
+
+        // Switch chart only if it's different
+        if (newChartType !== currentChartType) {
+            clearHighlight(); // Clear search highlight when switching charts (before the URL is updated)
+            switchChartType(newChartType);
+        }
+    });
+
+    // Chart keyboard navigation (arrow keys, Space/Enter to pin) with spoken announcements
+    svg.on("keydown.a11y", handleChartKeydown)
+        .on("focus.a11y", () => { if (lastRendered) announce(svg.attr("aria-label")); })
+        .on("blur.a11y", () => { if (keyboardFocus) clearKeyboardFocus(); });
+    document.getElementById("data-table-panel")?.addEventListener("toggle", renderDataTable);
+
+    // Escape releases the pinned selection
+    document.addEventListener("keydown", (event) => {
+        if (event.key === "Escape" && pinnedIngredients.size > 0) clearPins();
+    });
+
+    // HEB Threshold Sliders: re-filter and re-layout live, coalescing rapid input events per frame
+    let hebRefilterFrame = null;
+    [['heb-min-value', 'minLinkValue'], ['heb-min-degree', 'minDegree'], ['heb-top-k', 'topK']].forEach(([id, key]) => {
+        d3.select(`#${id}`).on("input", function() {
+            setHebFilter(key, +this.value);
+            if (currentChartType !== 'heb' || !currentCuisineData) return;
+            cancelAnimationFrame(hebRefilterFrame);
+            hebRefilterFrame = requestAnimationFrame(() => renderCurrentChart({ preserveZoom: true }));
+        });
+    });
+
+    // HEB Layout: regroup the leaves (alphabetical, taxonomy or detected communities) and re-layout
+    d3.select("#heb-layout").on("change", function() {
+        hebLayoutSettings.layout = HEB_LAYOUTS[this.value] ? this.value : 'taxonomy';
+        if (currentChartType === 'heb' && currentCuisineData) renderCurrentChart({ preserveZoom: true });
+        updateUrlState({ push: true }); // New history entry for the layout change
+    });
+
+    // HEB Link Colour: recolour the links (strength, source group or source-to-target gradient)
+    d3.select("#heb-link-color").on("change", function() {
+        hebLinkColorSettings.mode = HEB_LINK_COLOR_MODES[this.value] ? this.value : 'strength';
+        if (currentChartType === 'heb' && currentCuisineData) renderCurrentChart({ preserveZoom: true });
+        updateUrlState({ push: true });
+    });
+
+    // Force Network strength threshold: redraw live, keeping the positions of the ingredients still shown
+    let networkRefilterFrame = null;
+    d3.select("#network-min-value").on("input", function() {
+        setNetworkMinValue(+this.value);
+        if (currentChartType !== 'network' || !currentCuisineData) return;
+        cancelAnimationFrame(networkRefilterFrame);
+        networkRefilterFrame = requestAnimationFrame(() => renderCurrentChart({ preserveZoom: true }));
+    });
+
+    // Chord Diagram: arcs per ingredient (top N) or per ingredient group
+    d3.select("#chord-aggregate").on("change", function() {
+        chordSettings.aggregate = this.value === 'group' ? 'group' : 'ingredient';
+        d3.select("#chord-top-n").property("disabled", chordSettings.aggregate === 'group');
+        if (currentCuisineData && currentChartType === 'chord') renderCurrentChart();
+    });
+    d3.select("#chord-top-n").on("change", function() {
+        chordSettings.topN = Math.max(2, Math.round(+this.value) || CHORD_TOP_N);
+        if (currentCuisineData && currentChartType === 'chord') renderCurrentChart();
+    });
+
+    // Association Metric Controls: re-render the metric-driven charts (pairs ranking, matrix colours, HEB widths)
+    function onPairMetricSettingsChange() {
+        d3.select("#metric-min-support").property("disabled", pairMetricSettings.metric === 'count');
+        if (currentCuisineData && ['heb', 'pairs-bar', 'matrix'].includes(currentChartType)) {
+            renderCurrentChart({ preserveZoom: true });
+        }
+    }
+    d3.select("#metric-select").on("change", function() {
+        pairMetricSettings.metric = PAIR_METRICS[this.value] ? this.value : 'count';
+        onPairMetricSettingsChange();
+    });
+    d3.select("#metric-min-support").on("change", function() {
+        pairMetricSettings.minSupport = Math.max(1, Math.round(+this.value) || 1);
+        this.value = pairMetricSettings.minSupport;
+        onPairMetricSettingsChange();
+    });
+
+    // Matrix size: a new top N needs new processing; more than MATRIX_CANVAS_THRESHOLD switches to the canvas view
+    d3.select("#matrix-top-n").on("change", function() {
+        matrixSettings.topN = Math.max(0, Math.round(+this.value) || 0);
+        if (currentCuisineData && currentChartType === 'matrix') renderCurrentChart();
+    });
+    d3.select("#matrix-lens").on("change", function() {
+        matrixSettings.lens = this.checked;
+        if (matrixCanvasView && !matrixSettings.lens) {
+            matrixCanvasView.lensFocus = null;
+            scheduleMatrixCanvasDraw();
+        }
+    });
+
+    // Matrix order: recompute the order on the drawn matrix and animate into it (no re-processing)
+    d3.select("#matrix-order").on("change", function() {
+        matrixSettings.order = MATRIX_ORDERS[this.value] ? this.value : 'alpha';
+        if (currentChartType !== 'matrix' || lastRendered?.chartType !== 'matrix') return; // Applied on the next draw
+        const processed = lastRendered.processed;
+        processed.order = computeMatrixOrder(processed);
+        animateMatrixOrder(processed.order);
+    });
+
+    // Search Input Listener
+    searchInput.on("input", function() {
+        if (keyboardFocus) { keyboardFocus = null; clearKeyboardFocus(); } // Drop the focus of a picked suggestion
+        highlightNodes(this.value); // Trigger highlight function on input
+        if (!this.value.trim()) refreshPantryHighlight(); // The pantry highlight returns once the search is emptied
+        renderSearchSuggestions();
+        scheduleUrlStateUpdate(); // Keep the search term in the shareable URL
+    });
+    searchInput.on("keydown", handleSearchKeydown)
+        .on("blur", closeSearchSuggestions);
+
+    // Multi-term search mode: any term (OR) or all terms (AND)
+    d3.select("#search-mode").on("change", function() {
+        searchSettings.mode = this.value === 'all' ? 'all' : 'any';
+        highlightNodes(searchInput.property("value"));
+        updateUrlState();
+    });
+
+    // Clear Highlight Button Listener
+    clearHighlightButton.on("click", () => { // Clear highlights and input box
+        clearHighlight(true);
+        d3.select("#pantry-highlight").property("checked", false); // Also turns the pantry highlight off
+        updateUrlState();
+    });
+
+    // Pantry matcher: submit runs the query, the checkbox toggles its HEB highlight
+    d3.select("#pantry-form").on("submit", (event) => {
+        event.preventDefault();
+        updatePantryMatches();
+    });
+    d3.select("#pantry-highlight").on("change", refreshPantryHighlight);
+
+    // Cuisine similarity map: drawn the first time the panel opens, redrawn when the metric changes
+    document.getElementById("similarity-panel")?.addEventListener("toggle", (event) => {
+        if (event.target.open && !similarityState.result) updateSimilarityMap();
+    });
+    d3.select("#similarity-metric").on("change", (event) => {
+        similarityState.metric = SIMILARITY_METRICS[event.target.value] ? event.target.value : 'cosine';
+        if (document.getElementById("similarity-panel")?.open) updateSimilarityMap();
+        else similarityState.result = null; // Redrawn when the panel opens
+    });
+
+    // Export Buttons
+    d3.select("#export-svg-button").on("click", exportChartAsSvg);
+    d3.select("#export-png-button").on("click", () => exportChartAsPng(+d3.select("#export-scale").property("value") || 2));
+    d3.select("#download-data-button").on("click", () => downloadChartData(d3.select("#download-format").property("value")));
+
+    // Chart tooltip: a tap or click outside the charts' tooltip targets closes it (touch leaves it open), as does scrolling
+    document.addEventListener("pointerdown", (event) => {
+        for (let element = event.target; element; element = element.parentNode) {
+            if (tooltipContent.has(element)) return;
+        }
+        hideTooltip();
+    });
+    window.addEventListener("scroll", hideTooltip, { passive: true });
+
+    // Browser back/forward: restore the view recorded in the URL
+    window.addEventListener("popstate", () => applyUrlState(readUrlState()));
+
+    // Window Resize Listener (with debouncing)
+    let resizeTimer;
     window.addEventListener("resize", () => {
         clearTimeout(resizeTimer); // Clear previous timer
         // Set a new timer to run after a short delay
         resizeTimer = setTimeout(() => {
             console.log("Window resized, updating layout...");
-            updateSvgDimensions(); // Recalculate dimensions and update SVG
-            renderCurrentChart(); // Re-render the active chart with new dimensions
+            updateSvgDimensions(); // Recalculate dimensions and update SVG (also recenters the HEB/network zoom)
+            renderCurrentChart({ preserveZoom: true, resize: true }); // Relayout the drawn elements at the new size
         }, 250); // 250ms delay
     });
 
     // --- Initial Load ---
     updateSvgDimensions(); // Set initial SVG/chart dimensions
+    d3.select("#metric-min-support").property("disabled", pairMetricSettings.metric === 'count');
     clearVisualization("Select a cuisine to begin."); // Show initial message
     setActiveButton('heb-button'); // Set HEB as the default active button
 
-    console.log("Visualization Initialized (with HEB, Bars, Top 15 Matrix).");
+    // Restore the view from the URL once the cuisine dropdown is populated (by loadCuisines in index.html)
+    if (selectElement?.dataset.loaded) {
+        applyUrlState(readUrlState());
+    } else {
+        document.addEventListener("cuisines-loaded", () => applyUrlState(readUrlState()), { once: true });
+    }
+
+    console.log("Visualization Initialized (with HEB, Bars, Top 15 Matrix, Force Network, Chord Diagram, Signature Ingredients).");
 
 }); // End DOMContentLoaded listener
\ No newline at end of file